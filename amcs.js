@@ -0,0 +1,137 @@
+/**
+ * MF Compass AMCs
+ * One row per fund house in amcs, keyed by the fund-house key the data source
+ * uses in discovery (the list.json grouping) and fund details (fund_house),
+ * named from the details (fund_name). After every publish the house-level
+ * aggregates are recomputed from the active published funds and the funds
+ * currently cut at Stage 9 (fund_rejections), and stored on each row.
+ */
+
+// Ranking metrics for getAmcRankings, best first
+const AMC_RANKINGS = {
+  score: 'avg_score DESC',
+  aum: 'total_aum DESC',
+  funds: 'active_funds DESC',
+  survival: 'survival_rate DESC',
+  expense: 'avg_expense_ratio ASC'
+};
+
+/**
+ * Upsert the houses seen this run, add houses of stored funds that are
+ * missing, and refresh every house's aggregates
+ * @param {Pool} pool - pg pool; called after publish, so funds is the live table
+ * @param {Array} houses - [{ fund_house, name }] from discovery and fund details; name may be null
+ * @returns {Promise<Object>} - { seen, added, refreshed }
+ */
+async function recordAmcs(pool, houses = []) {
+  const names = new Map();
+  houses.filter(house => house.fund_house).forEach(house => {
+    names.set(house.fund_house, house.name || names.get(house.fund_house) || null);
+  });
+  const seen = [...names].map(([fundHouse, name]) => ({ fund_house: fundHouse, name }));
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { rows: upserted } = await client.query(`
+      INSERT INTO amcs (fund_house, name)
+      SELECT fund_house, name FROM jsonb_to_recordset($1::jsonb) AS h(fund_house TEXT, name TEXT)
+      ON CONFLICT (fund_house) DO UPDATE SET
+        name = COALESCE(EXCLUDED.name, amcs.name),
+        last_seen_at = CURRENT_TIMESTAMP
+      RETURNING (xmax = 0) AS inserted
+    `, [JSON.stringify(seen)]);
+
+    // Houses of funds kept from earlier runs, e.g. outside a scoped sync
+    const { rowCount: backfilled } = await client.query(`
+      INSERT INTO amcs (fund_house, name)
+      SELECT DISTINCT ON (fund_house) fund_house, fund_house_name
+      FROM funds
+      WHERE fund_house IS NOT NULL
+      ORDER BY fund_house, last_updated DESC
+      ON CONFLICT (fund_house) DO NOTHING
+    `);
+
+    const { rowCount: refreshed } = await client.query(`
+      WITH active AS (
+        SELECT fund_house, fund_category, aum, expense_ratio, total_score FROM funds WHERE is_active
+      ),
+      totals AS (
+        SELECT fund_house, COUNT(*)::int AS active_funds, SUM(aum) AS total_aum,
+               AVG(expense_ratio) AS avg_expense_ratio, AVG(total_score) AS avg_score
+        FROM active GROUP BY fund_house
+      ),
+      by_category AS (
+        SELECT fund_house, jsonb_object_agg(fund_category, funds) AS funds_by_category
+        FROM (SELECT fund_house, fund_category, COUNT(*)::int AS funds FROM active GROUP BY fund_house, fund_category) counts
+        GROUP BY fund_house
+      ),
+      cut AS (
+        SELECT fund_house, COUNT(*)::int AS cut_funds FROM fund_rejections WHERE stage = 'score_cutoff' GROUP BY fund_house
+      ),
+      stats AS (
+        SELECT a.fund_house,
+               COALESCE(t.active_funds, 0) AS active_funds,
+               COALESCE(b.funds_by_category, '{}'::jsonb) AS funds_by_category,
+               t.total_aum, t.avg_expense_ratio, t.avg_score,
+               COALESCE(c.cut_funds, 0) AS cut_funds
+        FROM amcs a
+        LEFT JOIN totals t USING (fund_house)
+        LEFT JOIN by_category b USING (fund_house)
+        LEFT JOIN cut c USING (fund_house)
+      )
+      UPDATE amcs SET
+        active_funds = s.active_funds,
+        funds_by_category = s.funds_by_category,
+        total_aum = ROUND(s.total_aum, 2),
+        avg_expense_ratio = ROUND(s.avg_expense_ratio, 2),
+        avg_score = ROUND(s.avg_score, 2),
+        cut_funds = s.cut_funds,
+        survival_rate = CASE WHEN s.active_funds + s.cut_funds > 0
+          THEN ROUND(s.active_funds::numeric / (s.active_funds + s.cut_funds), 4) END,
+        aggregates_updated_at = CURRENT_TIMESTAMP
+      FROM stats s
+      WHERE amcs.fund_house = s.fund_house
+    `);
+
+    await client.query('COMMIT');
+
+    return { seen: seen.length, added: upserted.filter(row => row.inserted).length + backfilled, refreshed };
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Houses with active published funds, ranked on one aggregate
+ * @param {Pool} pool - pg pool
+ * @param {Object} options - { rankBy: key of AMC_RANKINGS (default score), category: only houses with funds in it, limit }
+ * @returns {Promise<Array>} - amcs rows plus rank, best first
+ */
+async function getAmcRankings(pool, options = {}) {
+  const rankBy = options.rankBy || 'score';
+  if (!AMC_RANKINGS[rankBy]) {
+    throw new Error(`Unknown AMC ranking "${rankBy}" (expected ${Object.keys(AMC_RANKINGS).join(', ')})`);
+  }
+
+  const { rows } = await pool.query(`
+    SELECT RANK() OVER (ORDER BY ${AMC_RANKINGS[rankBy]} NULLS LAST)::int AS rank,
+           fund_house, name, active_funds, funds_by_category,
+           total_aum::float AS total_aum, avg_expense_ratio::float AS avg_expense_ratio,
+           avg_score::float AS avg_score, cut_funds, survival_rate::float AS survival_rate,
+           aggregates_updated_at
+    FROM amcs
+    WHERE active_funds > 0 AND ($1::text IS NULL OR funds_by_category ? $1)
+    ORDER BY rank, fund_house
+    LIMIT $2
+  `, [options.category || null, options.limit || null]);
+  return rows;
+}
+
+module.exports = { AMC_RANKINGS, recordAmcs, getAmcRankings };
@@ -0,0 +1,139 @@
+/**
+ * MF Compass AMFI Data Source
+ * Reads the AMFI NAVAll.txt daily NAV file and the AMFI scheme master (SchemeData CSV)
+ * from local files and maps them into the canonical fund record shape
+ *
+ * AMFI publishes NAVs and scheme metadata only: AUM, ratings, returns and category
+ * averages are not available, so those fields come back empty.
+ */
+
+const fs = require('fs').promises;
+const { DataSource } = require('./data-source');
+const { parseNavAll, parseSchemeMaster, parseSchemeCategory, parseMinimumAmount, isGrowthScheme } = require('./amfi-parser');
+
+class AmfiDataSource extends DataSource {
+  constructor(options = {}) {
+    super('amfi');
+
+    this.navFile = options.navFile || process.env.AMFI_NAV_FILE || 'data/amfi/NAVAll.txt';
+    this.schemeMasterFile = options.schemeMasterFile || process.env.AMFI_SCHEME_MASTER_FILE || null;
+
+    this.capabilities = {
+      aum: false,
+      ratings: false,
+      returns: false,
+      categoryAverages: false
+    };
+
+    this.navRows = null;
+    this.navRowsByCode = null;
+    this.schemeMaster = null;
+  }
+
+  async load() {
+    if (this.navRows) {
+      return;
+    }
+
+    this.navRows = parseNavAll(await fs.readFile(this.navFile, 'utf8'));
+    this.navRowsByCode = new Map(this.navRows.map(row => [row.schemeCode, row]));
+    this.schemeMaster = this.schemeMasterFile
+      ? parseSchemeMaster(await fs.readFile(this.schemeMasterFile, 'utf8'))
+      : new Map();
+  }
+
+  async testConnection() {
+    try {
+      await this.load();
+      if (this.navRows.length === 0) {
+        throw new Error(`No NAV rows found in ${this.navFile}`);
+      }
+      return true;
+    } catch (error) {
+      console.error('❌ AMFI data source test failed:', error.message);
+      throw error;
+    }
+  }
+
+  async getFilteredFundCodes() {
+    await this.load();
+
+    const filteredFunds = [];
+    for (const row of this.navRows) {
+      const master = this.schemeMaster.get(row.schemeCode);
+      const { assetClass, category } = parseSchemeCategory(master ? master.schemeCategory : row.schemeCategory);
+      if (!this.isAllowedCategory(assetClass, category)) {
+        continue;
+      }
+
+      if (!isGrowthScheme(row.schemeName)) {
+        continue;
+      }
+
+      filteredFunds.push({
+        code: row.schemeCode,
+        name: row.schemeName,
+        assetClass,
+        category,
+        fundHouse: master && master.amc ? master.amc : row.fundHouse,
+        nav: row.nav,
+        reinvestment: null
+      });
+    }
+
+    return filteredFunds;
+  }
+
+  async getFundDetails(fundCode) {
+    await this.load();
+
+    const row = this.navRowsByCode.get(String(fundCode));
+    if (!row) {
+      throw new Error(`No fund details found for code: ${fundCode}`);
+    }
+
+    const master = this.schemeMaster.get(row.schemeCode) || {};
+    const { assetClass, category } = parseSchemeCategory(master.schemeCategory || row.schemeCategory);
+    const fundHouse = master.amc || row.fundHouse;
+    const minimumAmount = parseMinimumAmount(master.minimumAmount);
+
+    return {
+      code: row.schemeCode,
+      name: row.schemeName,
+      ISIN: row.isinGrowth || row.isinReinvestment,
+      fund_house: fundHouse,
+      fund_name: fundHouse,
+      fund_category: category,
+      fund_type: assetClass,
+      lump_available: 'Y',
+      lump_min: minimumAmount,
+      sip_available: 'Y',
+      sip_min: null,
+      lock_in_period: null,
+      direct: /direct/i.test(row.schemeName) ? 'Y' : 'N',
+      plan: isGrowthScheme(row.schemeName) ? 'GROWTH' : 'DIVIDEND',
+      maturity_type: (master.schemeType || row.maturityType || '').toLowerCase().includes('open') ? 'Open Ended' : (master.schemeType || row.maturityType),
+      nav: { nav: row.nav, date: row.navDate },
+      last_nav: null,
+      returns: null,
+      start_date: master.launchDate || null,
+      expense_ratio: null,
+      expense_ratio_date: null,
+      fund_manager: null,
+      investment_objective: null,
+      volatility: null,
+      portfolio_turnover: null,
+      aum: null,
+      fund_rating: null,
+      fund_rating_date: null,
+      crisil_rating: null
+    };
+  }
+
+  // AMFI does not publish category return averages
+  async getCategoryAverages() {
+    return [];
+  }
+}
+
+module.exports = new AmfiDataSource();
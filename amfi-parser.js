@@ -0,0 +1,238 @@
+/**
+ * MF Compass AMFI File Parsers
+ * Parsers for the AMFI NAVAll.txt daily NAV file, the AMFI NAV history report and the
+ * AMFI scheme master (SchemeData CSV)
+ */
+
+const MONTHS = {
+  jan: '01', feb: '02', mar: '03', apr: '04', may: '05', jun: '06',
+  jul: '07', aug: '08', sep: '09', oct: '10', nov: '11', dec: '12'
+};
+
+// "Equity Scheme - Large Cap Fund" → asset class prefix as used by Kuvera
+const ASSET_CLASS_PREFIXES = {
+  'equity scheme': 'Equity',
+  'debt scheme': 'Debt',
+  'hybrid scheme': 'Hybrid',
+  'solution oriented scheme': 'Solution Oriented',
+  'other scheme': 'Other'
+};
+
+// NAVAll.txt column order, used until a "Scheme Code;" header says otherwise
+const NAV_ALL_COLUMNS = { schemeCode: 0, isinGrowth: 1, isinReinvestment: 2, schemeName: 3, nav: 4, date: 5 };
+
+/**
+ * Convert AMFI dates such as "17-Oct-2025" or "02-JAN-2013" to ISO format
+ * @param {string} value - AMFI date string
+ * @returns {string|null} - YYYY-MM-DD or null if unparseable
+ */
+function parseAmfiDate(value) {
+  if (!value) {
+    return null;
+  }
+  const match = value.trim().match(/^(\d{1,2})-([A-Za-z]{3})-(\d{4})$/);
+  if (!match || !MONTHS[match[2].toLowerCase()]) {
+    return null;
+  }
+  return `${match[3]}-${MONTHS[match[2].toLowerCase()]}-${match[1].padStart(2, '0')}`;
+}
+
+/**
+ * Split an AMFI scheme category into asset class and category name
+ * @param {string} value - e.g. "Equity Scheme - Large Cap Fund"
+ * @returns {Object} - { assetClass, category }
+ */
+function parseSchemeCategory(value) {
+  const [prefix, ...rest] = (value || '').split(' - ');
+  const assetClass = ASSET_CLASS_PREFIXES[prefix.trim().toLowerCase()] || prefix.trim() || 'Other';
+  const category = rest.join(' - ').trim() || prefix.trim();
+  return { assetClass, category };
+}
+
+/**
+ * Minimal CSV line parser supporting quoted fields
+ * @param {string} line - CSV line
+ * @returns {Array<string>} - Field values
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current.trim());
+  return fields;
+}
+
+/**
+ * Column positions from a "Scheme Code;..." header line. NAVAll.txt and the NAV
+ * history report (which adds repurchase and sale prices) order them differently.
+ * @param {string} line - Header line
+ * @returns {Object} - Column index by field, -1 when absent
+ */
+function parseNavHeader(line) {
+  const names = line.split(';').map(name => name.trim().toLowerCase());
+  const find = test => names.findIndex(test);
+  return {
+    schemeCode: find(name => name === 'scheme code'),
+    isinGrowth: find(name => name.includes('growth')),
+    isinReinvestment: find(name => name.includes('reinvestment')),
+    schemeName: find(name => name === 'scheme name'),
+    nav: find(name => name === 'net asset value'),
+    date: find(name => name === 'date')
+  };
+}
+
+/**
+ * Parse NAVAll.txt or an AMFI NAV history report. Both interleave section
+ * headers with semicolon rows:
+ *
+ *   Open Ended Schemes(Equity Scheme - Large Cap Fund)
+ *   Aditya Birla Sun Life Mutual Fund
+ *   119551;INF209K01YY7;-;Aditya Birla ... - Growth - Direct Plan;512.34;17-Oct-2025
+ *
+ * A history report holds one row per scheme per day.
+ * @param {string} content - Raw file content
+ * @returns {Array<Object>} - NAV rows with their section context
+ */
+function parseNavAll(content) {
+  const rows = [];
+  let maturityType = null;
+  let schemeCategory = null;
+  let fundHouse = null;
+  let columns = NAV_ALL_COLUMNS;
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) {
+      continue;
+    }
+    if (line.startsWith('Scheme Code;')) {
+      columns = parseNavHeader(line);
+      continue;
+    }
+
+    if (!line.includes(';')) {
+      const section = line.match(/^(Open Ended|Close Ended|Interval Fund) Schemes\s*\((.+)\)$/i);
+      if (section) {
+        maturityType = section[1].toLowerCase() === 'open ended' ? 'Open Ended' : section[1];
+        schemeCategory = section[2].trim();
+      } else {
+        fundHouse = line;
+      }
+      continue;
+    }
+
+    const fields = line.split(';').map(part => part.trim());
+    const [schemeCode, isinGrowth, isinReinvestment, schemeName, nav, date] = [
+      columns.schemeCode, columns.isinGrowth, columns.isinReinvestment, columns.schemeName, columns.nav, columns.date
+    ].map(index => fields[index]);
+    const navValue = parseFloat(nav);
+    if (!schemeCode || isNaN(navValue)) {
+      continue;
+    }
+
+    rows.push({
+      schemeCode,
+      isinGrowth: isinGrowth && isinGrowth !== '-' ? isinGrowth : null,
+      isinReinvestment: isinReinvestment && isinReinvestment !== '-' ? isinReinvestment : null,
+      schemeName,
+      nav: navValue,
+      navDate: parseAmfiDate(date),
+      maturityType,
+      schemeCategory,
+      fundHouse
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Parse the AMFI scheme master CSV into a map keyed by scheme code
+ * @param {string} content - Raw CSV content
+ * @returns {Map<string, Object>} - Scheme metadata by code
+ */
+function parseSchemeMaster(content) {
+  const lines = content.split(/\r?\n/).filter(line => line.trim().length > 0);
+  const schemes = new Map();
+  if (lines.length === 0) {
+    return schemes;
+  }
+
+  const header = parseCsvLine(lines[0]).map(name => name.toLowerCase().replace(/\s+/g, ' ').trim());
+  const column = name => header.indexOf(name);
+  const columns = {
+    amc: column('amc'),
+    code: column('code'),
+    schemeName: column('scheme name'),
+    schemeType: column('scheme type'),
+    schemeCategory: column('scheme category'),
+    navName: column('scheme nav name'),
+    minimumAmount: column('scheme minimum amount'),
+    launchDate: column('launch date')
+  };
+
+  for (const line of lines.slice(1)) {
+    const fields = parseCsvLine(line);
+    const value = key => (columns[key] >= 0 ? fields[columns[key]] : undefined);
+    const code = value('code');
+    if (!code) {
+      continue;
+    }
+
+    schemes.set(code, {
+      amc: value('amc'),
+      schemeName: value('schemeName'),
+      schemeType: value('schemeType'),
+      schemeCategory: value('schemeCategory'),
+      navName: value('navName'),
+      minimumAmount: value('minimumAmount'),
+      launchDate: parseAmfiDate(value('launchDate'))
+    });
+  }
+
+  return schemes;
+}
+
+// Growth option only; AMFI has no reinvestment flag so the scheme name decides
+function isGrowthScheme(schemeName) {
+  const name = (schemeName || '').toLowerCase();
+  return name.includes('growth') && !/idcw|dividend|bonus/.test(name);
+}
+
+function parseMinimumAmount(value) {
+  if (!value) {
+    return null;
+  }
+  const match = value.replace(/,/g, '').match(/\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+module.exports = {
+  parseNavAll,
+  parseSchemeMaster,
+  parseSchemeCategory,
+  parseAmfiDate,
+  parseMinimumAmount,
+  isGrowthScheme
+};
@@ -0,0 +1,331 @@
+/**
+ * MF Compass Anomaly Detection
+ * Funds that pass filtering are checked before they are stored: rule checks
+ * on the fund's own data (scoringUtils.validateFundData, a future-dated NAV,
+ * an implausible 1-year return), checks against stored history (a NAV jump
+ * from the last recorded NAV, an AUM collapse from the stored AUM) and a
+ * robust z-score of each return against the category's peers. Funds failing
+ * any check are quarantined in fund_quarantine with the reasons: they are not
+ * stored or normalized, so they keep their previously published row and
+ * score, and every later sync refetches them until their data passes. A fund
+ * too new to report any return is scored with missing data, not quarantined.
+ * A NAV jump that holds on a later NAV date becomes the fund's baseline, so a
+ * genuine move (e.g. a split or merger) releases the fund on its next fetch.
+ *
+ * Config:
+ * - ANOMALY_MAX_NAV_CHANGE: largest NAV move from the previous NAV, as a share (default 0.2)
+ * - ANOMALY_NAV_HISTORY_DAYS: how far back nav_history is searched for the previous NAV (default 7)
+ * - ANOMALY_MAX_AUM_DROP: largest AUM fall from the stored AUM, as a share (default 0.8)
+ * - ANOMALY_MAX_RETURNS_1Y: largest plausible 1-year return, in % (default 300)
+ * - ANOMALY_PEER_Z: robust z-score beyond which a return is an outlier among its peers (default 8)
+ * - ANOMALY_MIN_PEERS: fewest funds in a category for the peer check to run (default 5)
+ * - ANOMALY_PEER_MIN_SPREAD: floor on a category's median absolute deviation, in percentage
+ *   points, so a category of near-identical funds (e.g. index funds) does not flag ordinary gaps (default 2)
+ */
+
+const scoringUtils = require('./scoring-utils');
+const { readNumberEnv } = require('./retry-utils');
+
+// Returns compared with category peers
+const PEER_FIELDS = ['returns_1y', 'returns_3y', 'returns_5y'];
+
+// Scales the median absolute deviation to a standard deviation for normal data
+const MAD_SCALE = 0.6745;
+
+function readThresholds() {
+  return {
+    maxNavChange: readNumberEnv('ANOMALY_MAX_NAV_CHANGE', 0.2),
+    navHistoryDays: readNumberEnv('ANOMALY_NAV_HISTORY_DAYS', 7),
+    maxAumDrop: readNumberEnv('ANOMALY_MAX_AUM_DROP', 0.8),
+    maxReturns1y: readNumberEnv('ANOMALY_MAX_RETURNS_1Y', 300),
+    peerZ: readNumberEnv('ANOMALY_PEER_Z', 8),
+    minPeers: readNumberEnv('ANOMALY_MIN_PEERS', 5),
+    minSpread: readNumberEnv('ANOMALY_PEER_MIN_SPREAD', 2)
+  };
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+function toDateKey(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date.toISOString().slice(0, 10) : null;
+}
+
+// NAV dates are market dates, so "today" is the date in India
+function todayInIndia() {
+  return new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+}
+
+// The figures checked, read from fund details as Stage 7 reads them
+function fundFigures(fund) {
+  const returns = fund.returns || {};
+  return {
+    nav: fund.nav ? toNumber(fund.nav.nav) : null,
+    navDate: fund.nav ? toDateKey(fund.nav.date) : null,
+    t1Nav: fund.last_nav ? toNumber(fund.last_nav.nav) : null,
+    t1NavDate: fund.last_nav ? toDateKey(fund.last_nav.date) : null,
+    returns_1w: toNumber(returns.week_1),
+    returns_1y: toNumber(returns.year_1),
+    returns_3y: toNumber(returns.year_3),
+    returns_5y: toNumber(returns.year_5),
+    // AUM arrives in multiples of 10L; stored in crores
+    aum: fund.aum ? fund.aum / 10 : null
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Median and MAD (at least minSpread) of a return per category with enough peers reporting it
+function peerStatistics(peersByCategory, field, { minPeers, minSpread }) {
+  const statistics = new Map();
+  peersByCategory.forEach((peers, category) => {
+    const values = peers.map(peer => peer[field]).filter(value => value !== null);
+    if (values.length < minPeers) {
+      return;
+    }
+    const center = median(values);
+    const mad = median(values.map(value => Math.abs(value - center)));
+    statistics.set(category, { median: center, mad: Math.max(mad, minSpread) });
+  });
+  return statistics;
+}
+
+// A fund that reports no return at all is too new to validate; it is scored with missing data
+function hasAnyReturn(figures) {
+  return ['returns_1w', ...PEER_FIELDS].some(field => figures[field] !== null);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function formatPercent(share) {
+  return `${(share * 100).toFixed(1)}%`;
+}
+
+/**
+ * Run the anomaly checks on funds about to be stored
+ * @param {Pool} pool - pg pool; reads the live funds and nav_history
+ * @param {Array} funds - Fund details that passed filtering
+ * @param {Object} options - { capabilities: data source capabilities; checks on fields the source never provides are skipped }
+ * @returns {Promise<Object>} - { quarantined: [{ fund, reasons: [{ check, description, value, expected, date? }] }], checked }
+ */
+async function detectAnomalies(pool, funds, options = {}) {
+  const capabilities = options.capabilities || {};
+  const thresholds = readThresholds();
+  const candidates = funds.map(fund => ({ fund, figures: fundFigures(fund), reasons: [] }));
+  const codes = candidates.map(candidate => candidate.fund.code);
+  const categories = [...new Set(funds.map(fund => fund.fund_category))];
+
+  // The last NAV recorded before each fund's new NAV date, and its stored AUM
+  const { rows: history } = await pool.query(`
+    SELECT c.kuvera_code, f.aum::float AS stored_aum,
+           h.nav::float AS previous_nav, h.nav_date::text AS previous_nav_date
+    FROM unnest($1::text[], $2::date[]) AS c(kuvera_code, nav_date)
+    LEFT JOIN funds f ON f.kuvera_code = c.kuvera_code
+    LEFT JOIN LATERAL (
+      SELECT n.nav, n.nav_date FROM nav_history n
+      WHERE n.kuvera_code = c.kuvera_code
+        AND n.nav_date < c.nav_date AND n.nav_date >= c.nav_date - $3::int
+      ORDER BY n.nav_date DESC LIMIT 1
+    ) h ON TRUE
+  `, [codes, candidates.map(candidate => candidate.figures.navDate), thresholds.navHistoryDays]);
+  const historyByCode = new Map(history.map(row => [row.kuvera_code, row]));
+
+  // The NAV each quarantined fund was flagged with for a jump, and its date
+  const { rows: quarantine } = await pool.query(
+    'SELECT kuvera_code, reasons FROM fund_quarantine WHERE kuvera_code = ANY($1::text[])',
+    [codes]
+  );
+  const flaggedJumps = new Map();
+  quarantine.forEach(entry => {
+    const jump = entry.reasons.find(reason => reason.check === 'nav_jump' && reason.date);
+    if (jump) {
+      flaggedJumps.set(entry.kuvera_code, { nav: jump.value, date: jump.date });
+    }
+  });
+
+  // Peers are the funds being checked plus the category's other active published funds
+  const { rows: storedPeers } = await pool.query(`
+    SELECT fund_category, returns_1y::float AS returns_1y, returns_3y::float AS returns_3y, returns_5y::float AS returns_5y
+    FROM funds
+    WHERE is_active AND fund_category = ANY($1::text[]) AND NOT (kuvera_code = ANY($2::text[]))
+  `, [categories, codes]);
+  const peersByCategory = new Map(categories.map(category => [category, []]));
+  candidates.forEach(candidate => peersByCategory.get(candidate.fund.fund_category).push(candidate.figures));
+  storedPeers.forEach(peer => peersByCategory.get(peer.fund_category).push(peer));
+  const peerStats = capabilities.returns
+    ? PEER_FIELDS.map(field => ({ field, statistics: peerStatistics(peersByCategory, field, thresholds) }))
+    : [];
+
+  const today = todayInIndia();
+
+  candidates.forEach(({ fund, figures, reasons }) => {
+    const stored = historyByCode.get(fund.code) || {};
+
+    if (capabilities.returns) {
+      if (hasAnyReturn(figures)) {
+        scoringUtils.validateFundData(figures).issues.forEach(issue => {
+          reasons.push({ check: 'validation', description: issue, value: null, expected: null });
+        });
+      }
+
+      if (figures.returns_1y !== null && figures.returns_1y > thresholds.maxReturns1y) {
+        reasons.push({
+          check: 'returns_1y',
+          description: `1-year return of ${round(figures.returns_1y)}% is above ${thresholds.maxReturns1y}%`,
+          value: figures.returns_1y,
+          expected: `<= ${thresholds.maxReturns1y}`
+        });
+      }
+    }
+
+    if (figures.navDate && figures.navDate > today) {
+      reasons.push({
+        check: 'future_nav_date',
+        description: `NAV dated ${figures.navDate}, after today (${today})`,
+        value: figures.navDate,
+        expected: `<= ${today}`
+      });
+    }
+
+    // A jump flagged on an earlier NAV date that the new NAV confirms has held and becomes the baseline.
+    // Otherwise stored history is preferred; funds not recorded yet are compared with the source's previous-day NAV
+    const jump = flaggedJumps.get(fund.code);
+    const jumpHeld = jump && figures.nav && figures.navDate && jump.date < figures.navDate &&
+      Math.abs(figures.nav / jump.nav - 1) <= thresholds.maxNavChange;
+    const previous = jumpHeld
+      ? { nav: jump.nav, date: jump.date, source: 'held jump' }
+      : stored.previous_nav
+        ? { nav: stored.previous_nav, date: stored.previous_nav_date, source: 'nav_history' }
+        : figures.t1Nav ? { nav: figures.t1Nav, date: figures.t1NavDate, source: 'previous-day NAV' } : null;
+    if (figures.nav && previous) {
+      const change = figures.nav / previous.nav - 1;
+      if (Math.abs(change) > thresholds.maxNavChange) {
+        reasons.push({
+          check: 'nav_jump',
+          description: `NAV moved ${formatPercent(change)} from ${previous.nav} on ${previous.date} (${previous.source}) to ${figures.nav}`,
+          value: figures.nav,
+          date: figures.navDate,
+          expected: `within ${formatPercent(thresholds.maxNavChange)} of ${previous.nav}`
+        });
+      }
+    }
+
+    if (capabilities.aum && stored.stored_aum > 0 && figures.aum !== null &&
+        figures.aum < stored.stored_aum * (1 - thresholds.maxAumDrop)) {
+      reasons.push({
+        check: 'aum_drop',
+        description: `AUM fell ${formatPercent(1 - figures.aum / stored.stored_aum)} from ${stored.stored_aum} to ${figures.aum} crores`,
+        value: figures.aum,
+        expected: `>= ${round(stored.stored_aum * (1 - thresholds.maxAumDrop))}`
+      });
+    }
+
+    peerStats.forEach(({ field, statistics }) => {
+      const peer = statistics.get(fund.fund_category);
+      if (!peer || figures[field] === null) {
+        return;
+      }
+      const z = MAD_SCALE * (figures[field] - peer.median) / peer.mad;
+      if (Math.abs(z) > thresholds.peerZ) {
+        reasons.push({
+          check: 'peer_outlier',
+          description: `${field} of ${round(figures[field])}% is ${Math.abs(z).toFixed(1)} robust deviations from the ${fund.fund_category} median of ${round(peer.median)}%`,
+          value: figures[field],
+          expected: `z within ±${thresholds.peerZ}`
+        });
+      }
+    });
+  });
+
+  const quarantined = candidates
+    .filter(candidate => candidate.reasons.length > 0)
+    .map(({ fund, reasons }) => ({ fund, reasons }));
+
+  return { quarantined, checked: codes };
+}
+
+/**
+ * Quarantine the flagged funds and release the checked funds that passed.
+ * Each fund keeps the reasons of its latest check; quarantined_at is when it was first flagged.
+ * @param {Pool} pool - pg pool; the quarantine lives in public, outside staging
+ * @param {Array} quarantined - [{ fund: { code, name, fund_category, fund_house }, reasons }]
+ * @param {Array<string>} checkedCodes - Every fund checked this run
+ * @param {number|null} runId - sync_runs id
+ * @returns {Promise<Object>} - { quarantined, released }
+ */
+async function recordQuarantine(pool, quarantined, checkedCodes, runId) {
+  const flaggedCodes = new Set(quarantined.map(entry => entry.fund.code));
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { rowCount: released } = await client.query(
+      'DELETE FROM fund_quarantine WHERE kuvera_code = ANY($1::text[])',
+      [checkedCodes.filter(code => !flaggedCodes.has(code))]
+    );
+
+    if (quarantined.length > 0) {
+      await client.query(`
+        INSERT INTO fund_quarantine (kuvera_code, scheme_name, fund_category, fund_house, reasons, run_id)
+        SELECT code, name, fund_category, fund_house, reasons, $1
+        FROM jsonb_to_recordset($2::jsonb) AS q(code TEXT, name TEXT, fund_category TEXT, fund_house TEXT, reasons JSONB)
+        ON CONFLICT (kuvera_code) DO UPDATE SET
+          scheme_name = EXCLUDED.scheme_name,
+          fund_category = EXCLUDED.fund_category,
+          fund_house = EXCLUDED.fund_house,
+          reasons = EXCLUDED.reasons,
+          run_id = EXCLUDED.run_id,
+          last_flagged_at = CURRENT_TIMESTAMP
+      `, [runId, JSON.stringify(quarantined.map(({ fund, reasons }) => ({
+        code: fund.code,
+        name: fund.name,
+        fund_category: fund.fund_category,
+        fund_house: fund.fund_house,
+        reasons
+      })))]);
+    }
+
+    await client.query('COMMIT');
+
+    return { quarantined: quarantined.length, released };
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Codes currently in quarantine, refetched by every sync until their data passes
+ * @param {Pool} pool - pg pool
+ * @returns {Promise<Array<string>>}
+ */
+async function getQuarantinedCodes(pool) {
+  const { rows } = await pool.query('SELECT kuvera_code FROM fund_quarantine ORDER BY kuvera_code');
+  return rows.map(row => row.kuvera_code);
+}
+
+/**
+ * A fund's quarantine entry
+ * @param {Pool} pool - pg pool
+ * @param {string} code - Kuvera code
+ * @returns {Promise<Object|null>}
+ */
+async function getQuarantineEntry(pool, code) {
+  const { rows: [entry] } = await pool.query('SELECT * FROM fund_quarantine WHERE kuvera_code = $1', [code]);
+  return entry || null;
+}
+
+module.exports = { detectAnomalies, recordQuarantine, getQuarantinedCodes, getQuarantineEntry };
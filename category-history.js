@@ -0,0 +1,92 @@
+/**
+ * MF Compass Category Average History
+ * Once a sync has published, it appends the category averages it published to
+ * category_average_history, one row per (category_name, report_date), so the
+ * benchmark a fund was scored against is never overwritten. A run that fails
+ * before publishing leaves the history alone. A sync scores against the staged
+ * category_averages, rescore against each category's newest report
+ * (category_averages_latest), and the as-of report against the averages that
+ * applied on a past date.
+ */
+
+const AVERAGE_COLUMNS = ['returns_1w', 'returns_1y', 'returns_3y', 'returns_5y', 'returns_inception'];
+
+// Pooled sessions may have switched time zone, so dates are passed as YYYY-MM-DD
+function toDateParam(value) {
+  if (!value) {
+    return null;
+  }
+  return value instanceof Date ? value.toISOString().slice(0, 10) : value;
+}
+
+/**
+ * Append fetched category averages; a restated average for a stored report date replaces it
+ * @param {Pool} pool - pg pool; called after publish, the history lives in public, outside staging
+ * @param {Array} categories - { category_name, report_date, returns_1w, ... }
+ * @returns {Promise<Object>} - { inserted, updated }
+ */
+async function recordCategoryAverages(pool, categories) {
+  if (categories.length === 0) {
+    return { inserted: 0, updated: 0 };
+  }
+
+  const { rows } = await pool.query(`
+    INSERT INTO category_average_history (category_name, report_date, ${AVERAGE_COLUMNS.join(', ')})
+    SELECT category_name, report_date, ${AVERAGE_COLUMNS.join(', ')}
+    FROM jsonb_to_recordset($1::jsonb) AS c(
+      category_name TEXT, report_date DATE, returns_1w DECIMAL(8,4), returns_1y DECIMAL(8,4),
+      returns_3y DECIMAL(8,4), returns_5y DECIMAL(8,4), returns_inception DECIMAL(8,4)
+    )
+    ON CONFLICT (category_name, report_date) DO UPDATE SET
+      ${AVERAGE_COLUMNS.map(column => `${column} = EXCLUDED.${column}`).join(', ')},
+      recorded_at = CURRENT_TIMESTAMP
+    WHERE (${AVERAGE_COLUMNS.map(column => `category_average_history.${column}`).join(', ')})
+      IS DISTINCT FROM (${AVERAGE_COLUMNS.map(column => `EXCLUDED.${column}`).join(', ')})
+    RETURNING (xmax = 0) AS inserted
+  `, [JSON.stringify(categories)]);
+
+  const inserted = rows.filter(row => row.inserted).length;
+  return { inserted, updated: rows.length - inserted };
+}
+
+/**
+ * Each category's averages as of a date: the latest report on or before it
+ * @param {Pool|PoolClient} db - pg pool or client; the history is read from public
+ * @param {Date|string|null} asOf - Date, or null for the latest report (category_averages_latest)
+ * @returns {Promise<Array>} - { category_name, report_date, returns_1w, ... }
+ */
+async function getCategoryAveragesAsOf(db, asOf = null) {
+  const { rows } = asOf
+    ? await db.query(`
+        SELECT DISTINCT ON (category_name)
+          category_name, report_date, ${AVERAGE_COLUMNS.join(', ')}
+        FROM public.category_average_history
+        WHERE report_date <= $1::date
+        ORDER BY category_name, report_date DESC
+      `, [toDateParam(asOf)])
+    : await db.query(`
+        SELECT category_name, report_date, ${AVERAGE_COLUMNS.join(', ')}
+        FROM public.category_averages_latest
+      `);
+  return rows;
+}
+
+/**
+ * Category averages over time, for charting
+ * @param {Pool} pool - pg pool
+ * @param {Object} options - { category, since, until: Date or YYYY-MM-DD, both inclusive }
+ * @returns {Promise<Array>} - { category_name, report_date: YYYY-MM-DD, returns_1w, ... }, oldest first per category
+ */
+async function getCategoryAverageSeries(pool, options = {}) {
+  const { rows } = await pool.query(`
+    SELECT category_name, to_char(report_date, 'YYYY-MM-DD') AS report_date, ${AVERAGE_COLUMNS.join(', ')}
+    FROM category_average_history
+    WHERE ($1::text IS NULL OR category_name = $1)
+      AND ($2::date IS NULL OR report_date >= $2::date)
+      AND ($3::date IS NULL OR report_date <= $3::date)
+    ORDER BY category_name, report_date
+  `, [options.category || null, toDateParam(options.since), toDateParam(options.until)]);
+  return rows;
+}
+
+module.exports = { AVERAGE_COLUMNS, recordCategoryAverages, getCategoryAveragesAsOf, getCategoryAverageSeries };
@@ -0,0 +1,166 @@
+/**
+ * MF Compass Sync Checkpoints
+ * Persists the output of each sync stage in sync_checkpoints so a run that
+ * dies part-way can resume from the last completed stage (or the last stored
+ * batch of funds) instead of starting over. Checkpoints are keyed by data
+ * source and scope, and are cleared when a run completes. The table is created
+ * by migrations/005_sync_checkpoints.js.
+ *
+ * Config:
+ * - SYNC_CHECKPOINT_MAX_AGE_HOURS: checkpoints older than this are discarded (default 12)
+ */
+
+const { readNumberEnv } = require('./retry-utils');
+
+// Stages whose output lives in the staging schema; they are only valid while staging holds this run's tables
+const STAGING_STAGES = ['staging', 'category_averages', 'storage'];
+
+class SyncCheckpoint {
+  /**
+   * @param {Pool} pool - pg pool; checkpoints live in public, outside staging
+   * @param {string} key - Identifies the run being resumed, e.g. "kuvera:all"
+   */
+  constructor(pool, key) {
+    this.pool = pool;
+    this.key = key;
+    this.runId = null;
+    this.stages = new Map();
+  }
+
+  /**
+   * Expire stale checkpoints and load this key's stages
+   * @param {Object} options - { fresh: discard this key's checkpoints, maxAgeHours }
+   * @returns {Promise<SyncCheckpoint>}
+   */
+  async load(options = {}) {
+    const maxAgeHours = options.maxAgeHours ?? readNumberEnv('SYNC_CHECKPOINT_MAX_AGE_HOURS', 12);
+    const client = await this.pool.connect();
+
+    try {
+      const expired = await client.query(`
+        DELETE FROM sync_checkpoints
+        WHERE updated_at < CURRENT_TIMESTAMP - make_interval(secs => $1)
+      `, [maxAgeHours * 3600]);
+      if (expired.rowCount > 0) {
+        console.log(`🧹 Expired ${expired.rowCount} checkpoint stages older than ${maxAgeHours}h`);
+      }
+
+      if (options.fresh) {
+        const { rowCount } = await client.query('DELETE FROM sync_checkpoints WHERE checkpoint_key = $1', [this.key]);
+        if (rowCount > 0) {
+          console.log(`🆕 Fresh run requested - discarded ${rowCount} checkpoint stages`);
+        }
+      }
+
+      const { rows } = await client.query(
+        'SELECT stage, payload, updated_at FROM sync_checkpoints WHERE checkpoint_key = $1',
+        [this.key]
+      );
+      rows.forEach(row => this.stages.set(row.stage, row.payload));
+      this.savedAt = rows.length > 0 ? new Date(Math.max(...rows.map(row => row.updated_at.getTime()))) : null;
+
+      return this;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  get resuming() {
+    return this.stages.size > 0;
+  }
+
+  has(stage) {
+    return this.stages.has(stage);
+  }
+
+  get(stage) {
+    return this.stages.get(stage) || null;
+  }
+
+  /**
+   * Persist a stage's output (replacing an earlier save of the same stage)
+   * @param {string} stage - Stage key
+   * @param {Object} payload - JSON-serializable stage output
+   */
+  async save(stage, payload) {
+    await this.pool.query(`
+      INSERT INTO sync_checkpoints (checkpoint_key, stage, payload, run_id, updated_at)
+      VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+      ON CONFLICT (checkpoint_key, stage) DO UPDATE SET
+        payload = EXCLUDED.payload,
+        run_id = EXCLUDED.run_id,
+        updated_at = EXCLUDED.updated_at
+    `, [this.key, stage, JSON.stringify(payload), this.runId]);
+    this.stages.set(stage, payload);
+  }
+
+  // Drop stages whose work has to be redone
+  async discard(stages) {
+    await this.pool.query(
+      'DELETE FROM sync_checkpoints WHERE checkpoint_key = $1 AND stage = ANY($2::text[])',
+      [this.key, stages]
+    );
+    stages.forEach(stage => this.stages.delete(stage));
+  }
+
+  // This run is about to reset staging, so other runs' staging stages no longer hold
+  async claimStaging() {
+    await discardStagingCheckpoints(this.pool, this.key);
+  }
+
+  // Remove every stage for this key once the run has completed
+  async clear() {
+    await this.pool.query('DELETE FROM sync_checkpoints WHERE checkpoint_key = $1', [this.key]);
+    this.stages.clear();
+  }
+}
+
+/**
+ * Drop the staging stages of every checkpoint (except exceptKey's) after staging is reset
+ * @param {Pool} pool - pg pool
+ * @param {string|null} exceptKey - Checkpoint key to keep
+ */
+async function discardStagingCheckpoints(pool, exceptKey = null) {
+  const client = await pool.connect();
+
+  try {
+    await client.query(`
+      DELETE FROM sync_checkpoints
+      WHERE stage = ANY($1::text[]) AND ($2::text IS NULL OR checkpoint_key <> $2)
+    `, [STAGING_STAGES, exceptKey]);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * List stored checkpoints, optionally deleting them
+ * @param {Pool} pool - pg pool
+ * @param {Object} options - { clear }
+ * @returns {Promise<Array>} - { checkpoint_key, stages, run_id, updated_at }
+ */
+async function listCheckpoints(pool, options = {}) {
+  const client = await pool.connect();
+
+  try {
+    const { rows } = await client.query(`
+      SELECT checkpoint_key, array_agg(stage ORDER BY updated_at) AS stages,
+             MAX(run_id) AS run_id, MAX(updated_at) AS updated_at
+      FROM sync_checkpoints
+      GROUP BY checkpoint_key
+      ORDER BY MAX(updated_at) DESC
+    `);
+
+    if (options.clear) {
+      await client.query('DELETE FROM sync_checkpoints');
+    }
+
+    return rows;
+
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { SyncCheckpoint, STAGING_STAGES, discardStagingCheckpoints, listCheckpoints };
@@ -0,0 +1,339 @@
+#!/usr/bin/env node
+/**
+ * MF Compass Command-Line Interface
+ * One entry point for syncing, rescoring and inspecting the fund database.
+ *
+ *   node cli.js <command> [options]
+ *
+ * With --json, the command's result is printed to stdout as JSON and all
+ * progress output goes to stderr, so the output can be piped.
+ */
+
+const { parseArgs } = require('util');
+
+const OPTIONS = {
+  category: { type: 'string' },
+  fund: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  force: { type: 'boolean' },
+  fresh: { type: 'boolean' },
+  clear: { type: 'boolean' },
+  since: { type: 'string' },
+  until: { type: 'string' },
+  'as-of': { type: 'string' },
+  limit: { type: 'string' },
+  days: { type: 'string' },
+  'rank-by': { type: 'string' },
+  to: { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// Modules are required per command so e.g. `export` does not set up the data source
+const COMMANDS = {
+  sync: {
+    usage: 'sync [--category <name> | --fund <code>] [--dry-run] [--force] [--fresh]',
+    description: 'Sync the fund universe, one category or one fund; --dry-run reports a diff without writing',
+    run: (args, options) => require('./sync').seedDatabase({
+      category: options.category,
+      fund: options.fund,
+      dryRun: options['dry-run'],
+      force: options.force,
+      fresh: options.fresh
+    })
+  },
+  rescore: {
+    usage: 'rescore [--category <name> | --fund <code>] [--as-of <date>]',
+    description: 'Recalculate scores from stored data without fetching (a fund rescoring covers its category)',
+    run: (args, options) => require('./sync').rescoreDatabase({
+      category: options.category,
+      fund: options.fund,
+      asOf: options['as-of']
+    })
+  },
+  retry: {
+    usage: 'retry [--fresh]',
+    description: 'Reprocess only the funds recorded in sync_failures by earlier runs',
+    run: (args, options) => require('./sync').retryFailedFunds({ fresh: options.fresh })
+  },
+  migrate: {
+    usage: 'migrate [up | down | status] [--to <version>]',
+    description: 'Apply pending schema migrations, roll them back (one step by default) or list their status',
+    run: (args, options) => {
+      const migrate = require('./migrate');
+      const direction = args[0] || 'up';
+      if (direction === 'up') {
+        return migrate.migrateDatabase({ to: options.to });
+      }
+      if (direction === 'down') {
+        return migrate.revertMigrations({ to: options.to });
+      }
+      if (direction === 'status') {
+        return migrate.showSchemaStatus();
+      }
+      throw new UsageError(`migrate expects up, down or status, got "${direction}"`);
+    }
+  },
+  flush: {
+    usage: 'flush',
+    description: 'Drop all tables',
+    run: () => require('./flush').flushDatabase()
+  },
+  rollback: {
+    usage: 'rollback',
+    description: 'Swap the previously published dataset back in',
+    run: () => require('./rollback').rollbackDatabase()
+  },
+  health: {
+    usage: 'health',
+    description: 'Check the database, data source, discovery and sample data quality',
+    run: async () => {
+      const result = await require('./test').testConnection();
+      if (!result.ok) {
+        process.exitCode = 1;
+      }
+      return result;
+    }
+  },
+  export: {
+    usage: 'export [--category <name> | --fund <code>] [--since <date>] [--json]',
+    description: 'Write published funds as CSV (or JSON), optionally only those updated since a date',
+    run: (args, options) => require('./fund-reports').exportFunds({
+      category: options.category,
+      fund: options.fund,
+      since: options.since,
+      json: options.json
+    })
+  },
+  events: {
+    usage: 'events <code> [--since <date>] [--until <date>] [--json]',
+    description: 'Show a fund\'s recorded renames, manager changes, recategorizations and rating changes',
+    run: (args, options) => {
+      if (!args[0]) {
+        throw new UsageError('events needs a Kuvera fund code');
+      }
+      return require('./fund-reports').showFundEvents(args[0], {
+        since: options.since,
+        until: options.until
+      });
+    }
+  },
+  nav: {
+    usage: 'nav <code> [--since <date>] [--until <date>] [--json]',
+    description: 'Write a fund\'s daily NAV history as CSV (or JSON), optionally for a date range',
+    run: (args, options) => {
+      if (!args[0]) {
+        throw new UsageError('nav needs a Kuvera fund code');
+      }
+      return require('./fund-reports').exportNavHistory(args[0], {
+        since: options.since,
+        until: options.until,
+        json: options.json
+      });
+    }
+  },
+  averages: {
+    usage: 'averages [--category <name>] [--since <date>] [--until <date>] [--json]',
+    description: 'Write the category average history as CSV (or JSON), one row per category and report date',
+    run: (args, options) => require('./fund-reports').exportCategoryAverages({
+      category: options.category,
+      since: options.since,
+      until: options.until,
+      json: options.json
+    })
+  },
+  backfill: {
+    usage: 'backfill <file> [--fund <code>] [--since <date>] [--until <date>]',
+    description: 'Import historical NAVs of stored funds from an AMFI NAV history report or NAVAll.txt',
+    run: (args, options) => {
+      if (!args[0]) {
+        throw new UsageError('backfill needs the path of an AMFI NAV file');
+      }
+      return require('./nav-backfill').backfillNavHistory(args[0], {
+        fund: options.fund,
+        since: options.since,
+        until: options.until
+      });
+    }
+  },
+  inspect: {
+    usage: 'inspect <code>',
+    description: 'Show everything stored about one fund, including why it was rejected',
+    run: (args) => {
+      if (!args[0]) {
+        throw new UsageError('inspect needs a Kuvera fund code');
+      }
+      return require('./fund-reports').inspectFund(args[0]);
+    }
+  },
+  runs: {
+    usage: 'runs [<n> | --limit <n>] [--since <date>]',
+    description: 'Show recent sync runs with per-stage metrics and fund-count regressions',
+    run: (args, options) => require('./runs').showRecentRuns(parseInt(options.limit || args[0]) || 10, { since: options.since })
+  },
+  managers: {
+    usage: 'managers [<name>] [--category <name>] [--limit <n>]',
+    description: 'List fund managers with their fund count, average score and categories, or one manager\'s tenures',
+    run: (args, options) => require('./fund-reports').showManagers(args[0] || null, {
+      category: options.category,
+      limit: options.limit ? parseInt(options.limit) : undefined
+    })
+  },
+  amcs: {
+    usage: 'amcs [--rank-by score|aum|funds|survival|expense] [--category <name>] [--limit <n>]',
+    description: 'Rank fund houses by average score, AUM, fund count, share surviving the score cutoff or expense ratio',
+    run: (args, options) => {
+      const { AMC_RANKINGS } = require('./amcs');
+      if (options['rank-by'] && !AMC_RANKINGS[options['rank-by']]) {
+        throw new UsageError(`--rank-by expects one of ${Object.keys(AMC_RANKINGS).join(', ')}, got "${options['rank-by']}"`);
+      }
+      return require('./fund-reports').showAmcs({
+        rankBy: options['rank-by'],
+        category: options.category,
+        limit: options.limit ? parseInt(options.limit) : undefined
+      });
+    }
+  },
+  movers: {
+    usage: 'movers [--days <n>[,<n>...]] [--category <name>] [--limit <n>]',
+    description: 'Show score gains and losses, rank changes, new entrants and funds cut below the cutoff over N-day windows',
+    run: (args, options) => require('./fund-reports').showMovers({
+      days: options.days,
+      category: options.category,
+      limit: options.limit ? parseInt(options.limit) : undefined
+    })
+  },
+  checkpoints: {
+    usage: 'checkpoints [--clear]',
+    description: 'List the checkpoints interrupted syncs will resume from; --clear deletes them',
+    run: (args, options) => require('./runs').showCheckpoints({ clear: options.clear })
+  },
+  rejections: {
+    usage: 'rejections [code or name]',
+    description: 'Explain why a fund is not listed, or count rejections per rule',
+    run: (args) => {
+      const rejections = require('./rejections');
+      return args[0] ? rejections.explainFund(args[0]) : rejections.showRejectionSummary();
+    }
+  }
+};
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+function printHelp() {
+  console.log('MF Compass CLI\n');
+  console.log('Usage: node cli.js <command> [options]\n');
+  console.log('Commands:');
+  Object.values(COMMANDS).forEach(command => {
+    console.log(`  ${command.usage}`);
+    console.log(`      ${command.description}`);
+  });
+  console.log('\nOptions:');
+  console.log('  --category <name>   Limit to one fund universe category, e.g. "Mid Cap Fund"');
+  console.log('  --fund <code>       Limit to one fund by Kuvera code');
+  console.log('  --dry-run           Project a sync and diff it against published funds without writing');
+  console.log('  --force             Ignore data freshness checks');
+  console.log('  --fresh             Start over instead of resuming an interrupted sync');
+  console.log('  --clear             Delete stored checkpoints (checkpoints)');
+  console.log('  --since <date>      Only records on or after this date (export, runs, events, nav, averages, backfill)');
+  console.log('  --until <date>      Only records on or before this date (events, nav, averages, backfill)');
+  console.log('  --as-of <date>      Report scores against the category averages of this date, writing nothing (rescore)');
+  console.log('  --limit <n>         Number of runs (runs), funds per section (movers), managers or AMCs to show');
+  console.log('  --days <n>[,<n>]    Windows in days to compare scores over (movers)');
+  console.log('  --rank-by <metric>  score, aum, funds, survival or expense (amcs)');
+  console.log('  --to <version>      Migrate up or down to this schema version (migrate)');
+  console.log('  --json              Print the result as JSON on stdout; progress goes to stderr');
+}
+
+/**
+ * Parse argv into a command, its positional arguments and options
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} - { command, args, options }
+ */
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const [command, ...args] = parsed.positionals;
+  const options = { ...parsed.values };
+
+  if (options.category && options.fund) {
+    throw new UsageError('--category and --fund cannot be combined');
+  }
+  ['since', 'until', 'as-of'].forEach(name => {
+    if (options[name]) {
+      const date = new Date(options[name]);
+      if (isNaN(date.getTime())) {
+        throw new UsageError(`--${name} expects a date, got "${options[name]}"`);
+      }
+      options[name] = date;
+    }
+  });
+  if (options.days !== undefined) {
+    const days = options.days.split(',').map(value => Number(value.trim()));
+    if (days.some(value => !Number.isInteger(value) || value <= 0)) {
+      throw new UsageError(`--days expects whole numbers of days, e.g. 1,7,30, got "${options.days}"`);
+    }
+    options.days = days;
+  }
+  if (options.to !== undefined) {
+    const to = Number(options.to);
+    if (!Number.isInteger(to) || to < 0) {
+      throw new UsageError(`--to expects a migration version, got "${options.to}"`);
+    }
+    options.to = to;
+  }
+
+  return { command, args, options };
+}
+
+async function main(argv) {
+  const { command, args, options } = parseCommandLine(argv);
+
+  if (!command || options.help || command === 'help') {
+    printHelp();
+    return;
+  }
+  if (!COMMANDS[command]) {
+    throw new UsageError(`Unknown command "${command}"`);
+  }
+
+  // Keep stdout for the JSON result
+  if (options.json) {
+    console.log = console.error;
+  }
+
+  const result = await COMMANDS[command].run(args, options);
+
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify(result ?? null, null, 2)}\n`);
+  }
+}
+
+// Run the CLI
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => {
+      process.exit(process.exitCode || 0);
+    })
+    .catch((error) => {
+      if (error instanceof UsageError) {
+        console.error(`${error.message}\n`);
+        printHelp();
+        process.exit(2);
+      }
+      console.error('💥 Command failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { main, parseCommandLine, COMMANDS };
@@ -0,0 +1,133 @@
+/**
+ * MF Compass Data Source Interface
+ * Base class for fund data providers. Adapters return records in the canonical
+ * (Kuvera-shaped) formats the sync pipeline consumes:
+ *
+ * - getFilteredFundCodes(): [{ code, name, assetClass, category, fundHouse, nav, reinvestment }]
+ * - getFundDetails(code):   { code, name, ISIN, fund_house, fund_name, fund_category, fund_type,
+ *                             nav: { nav, date }, last_nav, returns: { week_1, year_1, ... }, ... }
+ * - getCategoryAverages():  [{ category_name, report_date, week_1, year_1, year_3, year_5, inception }]
+ *
+ * Which categories are discovered is decided by the fund universe config.
+ */
+
+const fundUniverse = require('./fund-universe');
+
+class DataSource {
+  constructor(name) {
+    this.name = name;
+
+    // Fields this source can supply; filters skip checks on fields a source never provides
+    this.capabilities = {
+      aum: true,
+      ratings: true,
+      returns: true,
+      categoryAverages: true
+    };
+  }
+
+  async testConnection() {
+    throw new Error(`${this.name} data source does not implement testConnection()`);
+  }
+
+  async getFilteredFundCodes() {
+    throw new Error(`${this.name} data source does not implement getFilteredFundCodes()`);
+  }
+
+  async getFundDetails(fundCode) {
+    throw new Error(`${this.name} data source does not implement getFundDetails(${fundCode})`);
+  }
+
+  async getCategoryAverages() {
+    throw new Error(`${this.name} data source does not implement getCategoryAverages()`);
+  }
+
+  /**
+   * Fetch details for many funds; sources with rate limits override this
+   * @param {Array} fundCodes - Fund codes or discovery objects with a `code`
+   * @returns {Promise<Array>} - { success, data|error, fundCode } per fund, in input order
+   */
+  async getFundDetailsBatch(fundCodes) {
+    return Promise.all(fundCodes.map(fundCode => {
+      const code = fundCode.code || fundCode;
+      return this.getFundDetails(code)
+        .then(data => ({ success: true, data, fundCode: code }))
+        .catch(error => ({ success: false, error: error.message, fundCode: code }));
+    }));
+  }
+
+  // Retry bookkeeping; sources without retries report nothing
+  getAttemptReport() {
+    return { recovered: [], failed: [], totalAttempts: 0, totalRetries: 0, circuitOpened: 0 };
+  }
+
+  getThroughputStats() {
+    return null;
+  }
+
+  // Schema drift tracking; sources without response schemas report nothing
+  getDriftReport() {
+    return null;
+  }
+
+  assertCriticalFields() {}
+
+  isAllowedCategory(assetClass, category) {
+    const entry = fundUniverse.getCategory(category);
+    return Boolean(entry && entry.enabled && entry.assetClass === assetClass);
+  }
+
+  isAllowedCategoryName(category) {
+    return fundUniverse.isEnabled(category);
+  }
+
+  // Helper method to get fund categories breakdown
+  getCategoriesBreakdown(fundCodes) {
+    const breakdown = {};
+
+    fundCodes.forEach(fund => {
+      const key = `${fund.assetClass} - ${fund.category}`;
+      breakdown[key] = (breakdown[key] || 0) + 1;
+    });
+
+    return breakdown;
+  }
+
+  // Helper method to validate fund data structure
+  validateFundData(fundData) {
+    const requiredFields = ['code', 'name', 'ISIN', 'fund_house', 'fund_category'];
+    const missingFields = requiredFields.filter(field => !fundData[field]);
+
+    if (missingFields.length > 0) {
+      return {
+        isValid: false,
+        missingFields: missingFields,
+        message: `Missing required fields: ${missingFields.join(', ')}`
+      };
+    }
+
+    // Validate NAV data
+    if (!fundData.nav || !fundData.nav.nav) {
+      return {
+        isValid: false,
+        message: 'NAV data is missing or invalid'
+      };
+    }
+
+    // Validate numeric fields
+    const nav = parseFloat(fundData.nav.nav);
+    if (isNaN(nav) || nav <= 0) {
+      return {
+        isValid: false,
+        message: 'Invalid NAV value'
+      };
+    }
+
+    return {
+      isValid: true,
+      message: 'Fund data validation passed'
+    };
+  }
+}
+
+module.exports = { DataSource };
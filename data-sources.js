@@ -0,0 +1,24 @@
+/**
+ * MF Compass Data Source Registry
+ * Resolves the configured data source adapter (DATA_SOURCE=kuvera|amfi)
+ */
+
+const SOURCES = {
+  kuvera: () => require('./kuvera-list-service'),
+  amfi: () => require('./amfi-data-source')
+};
+
+/**
+ * Get a data source adapter by name
+ * @param {string} name - Adapter name, defaults to the DATA_SOURCE env var or "kuvera"
+ * @returns {DataSource} - Adapter instance
+ */
+function getDataSource(name = process.env.DATA_SOURCE || 'kuvera') {
+  const loader = SOURCES[name.toLowerCase()];
+  if (!loader) {
+    throw new Error(`Unknown data source "${name}". Available: ${Object.keys(SOURCES).join(', ')}`);
+  }
+  return loader();
+}
+
+module.exports = { getDataSource, availableSources: Object.keys(SOURCES) };
@@ -0,0 +1,185 @@
+/**
+ * MF Compass Dry-Run Diff Report
+ * Compares the funds a sync would publish, or a rescore as of a past date
+ * would score, with the currently published funds: additions, removals (with
+ * the reason), score changes and rank changes per category
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Score differences below this are rounding noise (total_score is DECIMAL(5,2))
+const SCORE_EPSILON = 0.005;
+
+function roundScore(score) {
+  return score === null || score === undefined ? null : Math.round(parseFloat(score) * 100) / 100;
+}
+
+// Rank funds within each category by score, highest first (1-based)
+function rankByCategory(funds) {
+  const ranks = new Map();
+  const byCategory = {};
+
+  funds.forEach(fund => {
+    const category = fund.fund_category || 'unknown';
+    byCategory[category] = byCategory[category] || [];
+    byCategory[category].push(fund);
+  });
+
+  Object.values(byCategory).forEach(categoryFunds => {
+    categoryFunds
+      .slice()
+      .sort((a, b) => (roundScore(b.total_score) ?? -Infinity) - (roundScore(a.total_score) ?? -Infinity))
+      .forEach((fund, index) => ranks.set(fund.code, index + 1));
+  });
+
+  return ranks;
+}
+
+/**
+ * Build the diff between the published and the projected dataset
+ * @param {Array} currentFunds - Published active funds: { code, name, fund_category, total_score }
+ * @param {Array} projectedFunds - Funds the sync would publish, same shape
+ * @param {Object} context - { removalReasons: Map<code, reason>, keptCodes: Set<code> }
+ *   keptCodes are published funds the sync would leave untouched (e.g. details not fetched)
+ * @returns {Object} - Report with a summary and per-category changes
+ */
+function buildDiffReport(currentFunds, projectedFunds, context = {}) {
+  const removalReasons = context.removalReasons || new Map();
+  const keptCodes = context.keptCodes || new Set();
+
+  // Untouched funds stay in the projected dataset with their current score
+  const projected = [
+    ...projectedFunds,
+    ...currentFunds.filter(fund => keptCodes.has(fund.code) && !projectedFunds.some(p => p.code === fund.code))
+  ];
+
+  const currentByCode = new Map(currentFunds.map(fund => [fund.code, fund]));
+  const projectedByCode = new Map(projected.map(fund => [fund.code, fund]));
+  const currentRanks = rankByCategory(currentFunds);
+  const projectedRanks = rankByCategory(projected);
+
+  const categories = {};
+  const categoryFor = name => {
+    const key = name || 'unknown';
+    categories[key] = categories[key] || { added: [], removed: [], scoreChanges: [], rankChanges: [] };
+    return categories[key];
+  };
+
+  projected.forEach(fund => {
+    const before = currentByCode.get(fund.code);
+    const entry = categoryFor(fund.fund_category);
+    const score = roundScore(fund.total_score);
+
+    if (!before) {
+      entry.added.push({ code: fund.code, name: fund.name, score, rank: projectedRanks.get(fund.code) });
+      return;
+    }
+
+    const previousScore = roundScore(before.total_score);
+    const scoreChanged = previousScore === null || score === null
+      ? previousScore !== score
+      : Math.abs(score - previousScore) >= SCORE_EPSILON;
+    if (scoreChanged) {
+      entry.scoreChanges.push({
+        code: fund.code,
+        name: fund.name,
+        before: previousScore,
+        after: score,
+        delta: previousScore === null || score === null ? null : roundScore(score - previousScore)
+      });
+    }
+
+    const previousRank = currentRanks.get(fund.code);
+    const rank = projectedRanks.get(fund.code);
+    if (before.fund_category === fund.fund_category && previousRank !== rank) {
+      entry.rankChanges.push({ code: fund.code, name: fund.name, before: previousRank, after: rank });
+    }
+  });
+
+  currentFunds.forEach(fund => {
+    if (projectedByCode.has(fund.code)) {
+      return;
+    }
+    categoryFor(fund.fund_category).removed.push({
+      code: fund.code,
+      name: fund.name,
+      score: roundScore(fund.total_score),
+      rank: currentRanks.get(fund.code),
+      reason: removalReasons.get(fund.code) || 'unknown'
+    });
+  });
+
+  Object.values(categories).forEach(entry => {
+    entry.added.sort((a, b) => a.rank - b.rank);
+    entry.removed.sort((a, b) => a.rank - b.rank);
+    entry.scoreChanges.sort((a, b) => Math.abs(b.delta ?? 0) - Math.abs(a.delta ?? 0));
+    entry.rankChanges.sort((a, b) => a.after - b.after);
+  });
+
+  const total = key => Object.values(categories).reduce((sum, entry) => sum + entry[key].length, 0);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    summary: {
+      currentFunds: currentFunds.length,
+      projectedFunds: projected.length,
+      added: total('added'),
+      removed: total('removed'),
+      scoreChanges: total('scoreChanges'),
+      rankChanges: total('rankChanges')
+    },
+    categories
+  };
+}
+
+/**
+ * Print the summary and each category's changes
+ * @param {Object} report - Report from buildDiffReport
+ * @param {Object} labels - { title, projected: what the projected count is called }
+ */
+function printDiffReport(report, labels = {}) {
+  const { summary } = report;
+  const title = labels.title || 'Dry-run diff against published funds';
+
+  console.log(`\n🧪 ${title}:`);
+  console.log(`  - Published now: ${summary.currentFunds}, ${labels.projected || 'after sync'}: ${summary.projectedFunds}`);
+  console.log(`  - Added: ${summary.added}, removed: ${summary.removed}`);
+  console.log(`  - Score changes: ${summary.scoreChanges}, rank changes: ${summary.rankChanges}`);
+
+  Object.entries(report.categories)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([category, entry]) => {
+      const changes = entry.added.length + entry.removed.length + entry.scoreChanges.length + entry.rankChanges.length;
+      if (changes === 0) {
+        return;
+      }
+
+      console.log(`\n  ${category}:`);
+      entry.added.forEach(fund => {
+        console.log(`    + ${fund.code}: ${fund.name} (score ${fund.score}, rank ${fund.rank})`);
+      });
+      entry.removed.forEach(fund => {
+        console.log(`    - ${fund.code}: ${fund.name} (score ${fund.score}, rank ${fund.rank}) [${fund.reason}]`);
+      });
+      entry.scoreChanges.forEach(change => {
+        const delta = change.delta === null ? '' : ` (${change.delta > 0 ? '+' : ''}${change.delta})`;
+        console.log(`    ~ ${change.code}: score ${change.before} → ${change.after}${delta}`);
+      });
+      entry.rankChanges.forEach(change => {
+        console.log(`    ↕ ${change.code}: rank ${change.before} → ${change.after}`);
+      });
+    });
+}
+
+/**
+ * Write the report as JSON
+ * @param {Object} report - Report from buildDiffReport
+ * @param {string} filePath - Target file; parent directories are created
+ */
+function saveDiffReport(report, filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(report, null, 2));
+}
+
+module.exports = { buildDiffReport, printDiffReport, saveDiffReport, rankByCategory };
@@ -0,0 +1,107 @@
+/**
+ * MF Compass Filter Rules
+ * Evaluates the declarative fund filter rules from the fund universe config.
+ * Every rule is checked so a rejected fund reports all the rules it failed,
+ * not just the first one.
+ *
+ * Rule format:
+ *   { id, description, fields: ['detail.field', ...], op, param, scale?, requires? }
+ *
+ * `requires` names a data source capability (aum, ratings, ...); the rule is
+ * skipped for sources that never provide the field.
+ */
+
+function getField(fund, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? value : value[key]), fund);
+}
+
+function isMissing(value) {
+  return value === null || value === undefined || value === '';
+}
+
+// Each operator gets the rule's field values and returns true when the fund passes
+const operators = {
+  // Every field equals param
+  equals: (values, param) => values.every(value => value === param),
+
+  // At least one field equals param
+  anyEquals: (values, param) => values.some(value => value === param),
+
+  // Field is not one of param; a missing value passes
+  notIn: (values, param) => values.every(value => isMissing(value) || !param.includes(parseInt(value))),
+
+  // Field (times the rule's scale) is at least param; a missing value fails
+  min: (values, param, rule) => values.every(value => !isMissing(value) && parseFloat(value) * (rule.scale ?? 1) >= param),
+
+  // Every field is present
+  present: values => values.every(value => !isMissing(value)),
+
+  // Field contains none of the param fragments (case-insensitive)
+  notContains: (values, param) => values.every(value => {
+    const text = String(value ?? '').toLowerCase();
+    return !param.some(fragment => text.includes(fragment.toLowerCase()));
+  })
+};
+
+/**
+ * Check a rule definition, throwing on unknown operators or missing fields
+ * @param {Object} rule - Rule definition
+ * @param {string} source - Where the rule came from, for error messages
+ */
+function validateRule(rule, source) {
+  if (!rule.id || !Array.isArray(rule.fields) || rule.fields.length === 0) {
+    throw new Error(`Invalid filter rule in ${source}: ${JSON.stringify(rule)}`);
+  }
+  if (!operators[rule.op]) {
+    throw new Error(`Filter rule "${rule.id}" in ${source} uses unknown op "${rule.op}" (known: ${Object.keys(operators).join(', ')})`);
+  }
+}
+
+/**
+ * Apply per-category overrides ({ ruleId: { param, enabled } }) to the default rules
+ * @param {Array} rules - Default rules
+ * @param {Object} overrides - Overrides keyed by rule id
+ * @param {string} source - Where the overrides came from, for error messages
+ * @returns {Array} - Effective rules; disabled rules are dropped
+ */
+function mergeRules(rules, overrides = {}, source) {
+  const unknown = Object.keys(overrides).filter(id => !rules.some(rule => rule.id === id));
+  if (unknown.length > 0) {
+    throw new Error(`Filter rule overrides in ${source} name unknown rules: ${unknown.join(', ')}`);
+  }
+
+  return rules
+    .map(rule => ({ ...rule, ...(overrides[rule.id] || {}) }))
+    .filter(rule => rule.enabled !== false);
+}
+
+/**
+ * Evaluate every rule against one fund
+ * @param {Object} fund - Fund details
+ * @param {Array} rules - Effective rules for the fund's category
+ * @param {Object} capabilities - Data source capabilities
+ * @returns {Object} - { passed, failures: [{ rule, description, param, actual }] }
+ */
+function evaluateRules(fund, rules, capabilities = {}) {
+  const failures = [];
+
+  for (const rule of rules) {
+    if (rule.requires && !capabilities[rule.requires]) {
+      continue;
+    }
+
+    const values = rule.fields.map(field => getField(fund, field));
+    if (!operators[rule.op](values, rule.param, rule)) {
+      failures.push({
+        rule: rule.id,
+        description: rule.description || rule.id,
+        param: rule.param ?? null,
+        actual: rule.fields.length === 1 ? values[0] ?? null : values
+      });
+    }
+  }
+
+  return { passed: failures.length === 0, failures };
+}
+
+module.exports = { operators, validateRule, mergeRules, evaluateRules };
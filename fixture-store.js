@@ -0,0 +1,121 @@
+/**
+ * MF Compass Fixture Store
+ * Records Kuvera API responses to disk and replays them so a sync can run offline
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const MODES = ['off', 'record', 'replay'];
+
+class FixtureStore {
+  /**
+   * @param {Object} options - Store settings
+   * @param {string} options.mode - 'off', 'record' or 'replay'
+   * @param {string} options.dir - Fixture directory
+   */
+  constructor(options = {}) {
+    const mode = (options.mode || 'off').toLowerCase();
+    if (!MODES.includes(mode)) {
+      throw new Error(`Invalid fixture mode "${options.mode}". Expected one of: ${MODES.join(', ')}`);
+    }
+
+    this.mode = mode;
+    this.dir = path.resolve(options.dir || 'fixtures/kuvera');
+    this.recordedCount = 0;
+    this.replayedCount = 0;
+  }
+
+  isRecording() {
+    return this.mode === 'record';
+  }
+
+  isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  /**
+   * Map a fixture name such as "fund_schemes/ABC-GR.json" to a file path
+   * @param {string} name - Fixture name relative to the store directory
+   * @returns {string} - Absolute file path
+   */
+  resolvePath(name) {
+    const parts = name.split('/').map(part => encodeURIComponent(part));
+    return path.join(this.dir, ...parts);
+  }
+
+  /**
+   * Save a successful response
+   * @param {string} name - Fixture name
+   * @param {string} url - Requested URL
+   * @param {Object} response - Axios response
+   */
+  async recordResponse(name, url, response) {
+    await this.write(name, {
+      url,
+      status: response.status,
+      recordedAt: new Date().toISOString(),
+      data: response.data
+    });
+  }
+
+  /**
+   * Save a failed request so replay reproduces the same failure
+   * @param {string} name - Fixture name
+   * @param {string} url - Requested URL
+   * @param {Error} error - Error thrown by axios
+   */
+  async recordError(name, url, error) {
+    await this.write(name, {
+      url,
+      status: error.response ? error.response.status : null,
+      recordedAt: new Date().toISOString(),
+      error: {
+        message: error.message,
+        code: error.code || null
+      },
+      data: error.response ? error.response.data : null
+    });
+  }
+
+  async write(name, envelope) {
+    const filePath = this.resolvePath(name);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(envelope, null, 2));
+    this.recordedCount++;
+  }
+
+  /**
+   * Serve a recorded response in the shape of an axios response
+   * @param {string} name - Fixture name
+   * @returns {Promise<Object>} - { status, data, headers }
+   */
+  async replay(name) {
+    const filePath = this.resolvePath(name);
+    let envelope;
+
+    try {
+      envelope = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`No recorded fixture for ${name} in ${this.dir}`);
+      }
+      throw error;
+    }
+
+    this.replayedCount++;
+
+    if (envelope.error) {
+      const replayedError = new Error(envelope.error.message);
+      replayedError.code = envelope.error.code;
+      if (envelope.status) {
+        replayedError.response = { status: envelope.status, data: envelope.data, headers: {} };
+      }
+      throw replayedError;
+    }
+
+    return { status: envelope.status, data: envelope.data, headers: {} };
+  }
+}
+
+module.exports = { FixtureStore };
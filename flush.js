@@ -1,6 +1,8 @@
 const { Pool } = require('pg');
 require('dotenv').config();
 
+const { STAGING_SCHEMA, PREVIOUS_SCHEMA } = require('./staging');
+
 // Database connection
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -15,6 +17,22 @@ async function flushDatabase() {
     await client.query('BEGIN');
     await client.query('DROP TABLE IF EXISTS funds CASCADE');
     await client.query('DROP TABLE IF EXISTS category_averages CASCADE');
+    await client.query('DROP TABLE IF EXISTS fund_rejections CASCADE');
+    await client.query('DROP TABLE IF EXISTS nav_history CASCADE');
+    await client.query('DROP TABLE IF EXISTS category_average_history CASCADE');
+    await client.query('DROP TABLE IF EXISTS score_history CASCADE');
+    await client.query('DROP TABLE IF EXISTS fund_events CASCADE');
+    await client.query('DROP TABLE IF EXISTS fund_managers CASCADE');
+    await client.query('DROP TABLE IF EXISTS managers CASCADE');
+    await client.query('DROP TABLE IF EXISTS amcs CASCADE');
+    await client.query('DROP TABLE IF EXISTS fund_quarantine CASCADE');
+    await client.query('DROP TABLE IF EXISTS sync_checkpoints CASCADE');
+    await client.query('DROP TABLE IF EXISTS sync_failures CASCADE');
+    await client.query('DROP TABLE IF EXISTS sync_run_stages CASCADE');
+    await client.query('DROP TABLE IF EXISTS sync_runs CASCADE');
+    await client.query('DROP TABLE IF EXISTS schema_migrations CASCADE');
+    await client.query(`DROP SCHEMA IF EXISTS ${STAGING_SCHEMA} CASCADE`);
+    await client.query(`DROP SCHEMA IF EXISTS ${PREVIOUS_SCHEMA} CASCADE`);
     await client.query('COMMIT');
     console.log('Flush completed. All tables removed.');
   } catch (error) {
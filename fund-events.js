@@ -0,0 +1,140 @@
+/**
+ * MF Compass Fund Events
+ * Renames, manager changes, recategorizations, rating changes and the like are
+ * overwritten in funds by every sync. When a sync publishes, each staged fund
+ * is compared with its live row on the tracked fields, and every difference
+ * is appended to fund_events as a typed event. A published fund that falls
+ * below its category's score cutoff records `cut`, and a cut fund whose score
+ * clears it again records `reinstated`, both with the old and new score. Detection
+ * runs inside the publish transaction, so events are recorded exactly when the
+ * change goes live. New funds, deactivations and reactivations record no events.
+ */
+
+// Tracked fields, the event each change records, and the event recorded when a value disappears
+const FUND_EVENT_FIELDS = [
+  { field: 'scheme_name', type: 'renamed' },
+  { field: 'fund_category', type: 'recategorized' },
+  { field: 'fund_managers', type: 'managers_changed' },
+  { field: 'fund_rating', type: 'rating_changed', removedType: 'rating_withdrawn', requires: 'ratings' },
+  { field: 'crisil_rating', type: 'crisil_rating_changed', removedType: 'crisil_rating_withdrawn', requires: 'ratings' },
+  { field: 'expense_ratio', type: 'expense_ratio_changed' },
+  { field: 'isin', type: 'isin_changed' }
+];
+
+// DECIMAL columns come back from pg as strings
+function decodeValue(field, value) {
+  return field === 'expense_ratio' && value !== null ? parseFloat(value) : value;
+}
+
+// Managers are compared as a set, so a reordered list is not a change
+function comparableValue(field, value) {
+  return field === 'fund_managers' && value !== null ? JSON.stringify([...new Set(value)].sort()) : value;
+}
+
+// Score cutoff transitions: a published fund cut below it, or a cut fund published again
+async function detectCutoffEvents(client, options) {
+  const { rows } = await client.query(`
+    SELECT s.kuvera_code, s.is_active AS reinstated, l.total_score AS old_score, s.total_score AS new_score
+    FROM ${options.stagingSchema}.funds s
+    JOIN ${options.liveSchema}.funds l USING (kuvera_code)
+    WHERE (l.is_active AND s.below_cutoff) OR (l.below_cutoff AND s.is_active)
+  `);
+
+  return rows.map(row => ({
+    kuvera_code: row.kuvera_code,
+    event_type: row.reinstated ? 'reinstated' : 'cut',
+    field: 'total_score',
+    old_value: row.old_score === null ? null : parseFloat(row.old_score),
+    new_value: row.new_score === null ? null : parseFloat(row.new_score)
+  }));
+}
+
+/**
+ * Compare staged funds with their live rows
+ * @param {PoolClient} client - Client inside the publish transaction
+ * @param {Object} options - { stagingSchema, liveSchema, capabilities: data source capabilities }
+ * @returns {Promise<Array>} - { kuvera_code, event_type, field, old_value, new_value }
+ */
+async function detectFundEvents(client, options) {
+  const capabilities = options.capabilities || {};
+  // Fields a source never provides would read as withdrawn on every sync
+  const fields = FUND_EVENT_FIELDS.filter(definition => !definition.requires || capabilities[definition.requires]);
+  const columns = fields.map(definition => definition.field);
+
+  const { rows } = await client.query(`
+    SELECT s.kuvera_code,
+           ${columns.map(column => `l.${column} AS old_${column}, s.${column} AS new_${column}`).join(',\n           ')}
+    FROM ${options.stagingSchema}.funds s
+    JOIN ${options.liveSchema}.funds l USING (kuvera_code)
+    WHERE ROW(${columns.map(column => `s.${column}`).join(', ')}) IS DISTINCT FROM ROW(${columns.map(column => `l.${column}`).join(', ')})
+  `);
+
+  const events = [];
+  rows.forEach(row => {
+    fields.forEach(({ field, type, removedType }) => {
+      const oldValue = decodeValue(field, row[`old_${field}`]);
+      const newValue = decodeValue(field, row[`new_${field}`]);
+      if (comparableValue(field, oldValue) === comparableValue(field, newValue)) {
+        return;
+      }
+      events.push({
+        kuvera_code: row.kuvera_code,
+        event_type: removedType && newValue === null ? removedType : type,
+        field,
+        old_value: oldValue,
+        new_value: newValue
+      });
+    });
+  });
+
+  return [...events, ...await detectCutoffEvents(client, options)];
+}
+
+/**
+ * Detect changes between staging and live and append them to fund_events
+ * @param {PoolClient} client - Client inside the publish transaction
+ * @param {number|null} runId - sync_runs id
+ * @param {Object} options - See detectFundEvents
+ * @returns {Promise<Object>} - { recorded, byType: { event_type: count } }
+ */
+async function recordFundEvents(client, runId, options) {
+  const events = await detectFundEvents(client, options);
+
+  if (events.length > 0) {
+    await client.query(`
+      INSERT INTO public.fund_events (kuvera_code, event_type, field, old_value, new_value, run_id)
+      SELECT kuvera_code, event_type, field, old_value, new_value, $2::integer
+      FROM jsonb_to_recordset($1::jsonb) AS e(
+        kuvera_code TEXT, event_type TEXT, field TEXT, old_value JSONB, new_value JSONB
+      )
+    `, [JSON.stringify(events), runId]);
+  }
+
+  const byType = {};
+  events.forEach(event => {
+    byType[event.event_type] = (byType[event.event_type] || 0) + 1;
+  });
+
+  return { recorded: events.length, byType };
+}
+
+/**
+ * A fund's change timeline, oldest first
+ * @param {Pool} pool - pg pool
+ * @param {string} code - Kuvera code
+ * @param {Object} options - { since, until: Date }
+ * @returns {Promise<Array>} - { detected_at, event_type, field, old_value, new_value, run_id }
+ */
+async function getFundTimeline(pool, code, options = {}) {
+  const { rows } = await pool.query(`
+    SELECT detected_at, event_type, field, old_value, new_value, run_id
+    FROM fund_events
+    WHERE kuvera_code = $1
+      AND ($2::timestamptz IS NULL OR detected_at >= $2::timestamptz)
+      AND ($3::timestamptz IS NULL OR detected_at < $3::timestamptz + INTERVAL '1 day')
+    ORDER BY detected_at, id
+  `, [code, options.since || null, options.until || null]);
+  return rows;
+}
+
+module.exports = { FUND_EVENT_FIELDS, detectFundEvents, recordFundEvents, getFundTimeline };
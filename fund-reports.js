@@ -0,0 +1,345 @@
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const { getNavSeries } = require('./nav-history');
+const { AVERAGE_COLUMNS, getCategoryAverageSeries } = require('./category-history');
+const { buildMoversReport, printMoversReport } = require('./score-history');
+const { getFundTimeline } = require('./fund-events');
+const { getManagerSummary, getManagerTrackRecord } = require('./managers');
+const { getAmcRankings } = require('./amcs');
+const { PLAN_GAPS } = require('./plan-pairs');
+const { getQuarantineEntry } = require('./anomalies');
+
+// Database connection
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+// Columns written by `export`, in output order
+const EXPORT_COLUMNS = [
+  'kuvera_code', 'scheme_name', 'isin', 'fund_house_name', 'fund_category', 'fund_type',
+  'current_nav', 'current_nav_date', 'returns_1w', 'returns_1y', 'returns_3y', 'returns_5y',
+  'expense_ratio', 'aum', 'fund_rating', 'total_score', 'last_updated',
+  'regular_code', 'regular_expense_ratio', ...Object.keys(PLAN_GAPS)
+];
+
+// Gap columns are computed; the rest are read as stored
+const EXPORT_SELECT = EXPORT_COLUMNS.map(column => PLAN_GAPS[column] ? `${PLAN_GAPS[column]} AS ${column}` : column);
+
+function formatCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Published funds, best score first within each category
+ * @param {Object} options - { category, fund, since: Date }
+ * @returns {Promise<Array>} - Rows with EXPORT_COLUMNS
+ */
+async function loadExportRows(options = {}) {
+  const { rows } = await pool.query(`
+    SELECT ${EXPORT_SELECT.join(', ')}
+    FROM funds
+    WHERE is_active
+      AND ($1::text IS NULL OR fund_category = $1)
+      AND ($2::text IS NULL OR kuvera_code = $2)
+      AND ($3::timestamp IS NULL OR last_updated >= $3::timestamp)
+    ORDER BY fund_category, total_score DESC NULLS LAST, scheme_name
+  `, [options.category || null, options.fund || null, options.since || null]);
+  return rows;
+}
+
+/**
+ * Write published funds to stdout as CSV; with options.json the rows are
+ * returned for the caller to print instead
+ * @param {Object} options - { category, fund, since, json }
+ * @returns {Promise<Array>} - Exported rows
+ */
+async function exportFunds(options = {}) {
+  try {
+    const rows = await loadExportRows(options);
+
+    if (!options.json) {
+      process.stdout.write(`${EXPORT_COLUMNS.join(',')}\n`);
+      rows.forEach(row => {
+        process.stdout.write(`${EXPORT_COLUMNS.map(column => formatCsvValue(row[column])).join(',')}\n`);
+      });
+    }
+    console.error(`📤 Exported ${rows.length} funds`);
+
+    return rows;
+
+  } finally {
+    await pool.end();
+  }
+}
+
+function formatEventValue(value) {
+  if (value === null || value === undefined) {
+    return '-';
+  }
+  return Array.isArray(value) ? value.join('; ') : String(value);
+}
+
+function formatEvent(event) {
+  return `${event.detected_at.toISOString()}  ${event.event_type}: ${formatEventValue(event.old_value)} → ${formatEventValue(event.new_value)}`;
+}
+
+/**
+ * Print everything stored about one fund: its row (active or not), its
+ * category average, its latest rejection, its quarantine entry and its recent changes
+ * @param {string} code - Kuvera code
+ * @returns {Promise<Object>} - { fund, categoryAverage, rejection, quarantine, events }
+ */
+async function inspectFund(code) {
+  try {
+    const { rows: funds } = await pool.query(`
+      SELECT *, ${Object.entries(PLAN_GAPS).map(([column, expression]) => `${expression} AS ${column}`).join(', ')}
+      FROM funds WHERE kuvera_code = $1
+    `, [code]);
+    const fund = funds[0] || null;
+
+    let categoryAverage = null;
+    if (fund) {
+      const { rows } = await pool.query('SELECT * FROM category_averages WHERE category_name = $1', [fund.fund_category]);
+      categoryAverage = rows[0] || null;
+    }
+
+    const { rows: rejections } = await pool.query('SELECT * FROM fund_rejections WHERE kuvera_code = $1', [code]);
+    const rejection = rejections[0] || null;
+
+    const quarantine = await getQuarantineEntry(pool, code);
+
+    if (!fund && !rejection && !quarantine) {
+      console.log(`No stored data for ${code}. It may be outside the fund universe, or its details could not be fetched.`);
+    }
+
+    if (fund) {
+      const status = fund.is_active
+        ? '✅ active'
+        : `${fund.below_cutoff ? '✂️ cut at the score cutoff' : '🚪 inactive'} since ${fund.removed_at.toISOString()}`;
+      console.log(`\n${fund.kuvera_code}: ${fund.scheme_name} (${status})`);
+      console.log(`  Category: ${fund.fund_category} (${fund.fund_type}), house: ${fund.fund_house_name || fund.fund_house}`);
+      console.log(`  NAV: ${fund.current_nav} on ${fund.current_nav_date ? fund.current_nav_date.toDateString() : '-'}`);
+      console.log(`  Returns: 1w ${fund.returns_1w}, 1y ${fund.returns_1y}, 3y ${fund.returns_3y}, 5y ${fund.returns_5y}`);
+      console.log(`  AUM: ${fund.aum} cr, rating: ${fund.fund_rating ?? '-'}, expense ratio: ${fund.expense_ratio ?? '-'}`);
+      console.log(`  Score: ${fund.total_score ?? '-'} (updated ${fund.score_updated ? fund.score_updated.toISOString() : '-'})`);
+      if (fund.regular_code) {
+        console.log(`  Regular plan ${fund.regular_code}: NAV ${fund.regular_nav ?? '-'}, expense ratio ${fund.regular_expense_ratio ?? '-'} (direct saves ${fund.expense_ratio_gap ?? '-'})`);
+        console.log(`  Direct minus regular returns: 1y ${fund.returns_gap_1y ?? '-'}, 3y ${fund.returns_gap_3y ?? '-'}, 5y ${fund.returns_gap_5y ?? '-'}`);
+      }
+      if (categoryAverage) {
+        console.log(`  Category average: 1y ${categoryAverage.returns_1y}, 3y ${categoryAverage.returns_3y}, 5y ${categoryAverage.returns_5y} (report ${categoryAverage.report_date.toDateString()})`);
+      }
+    }
+
+    if (rejection) {
+      console.log(`\n❌ Rejected at ${rejection.stage} stage (run #${rejection.run_id ?? '-'})`);
+      rejection.failed_rules.forEach(failure => {
+        console.log(`  - ${failure.rule}: ${failure.description} (expected ${JSON.stringify(failure.param)}, got ${JSON.stringify(failure.actual ?? null)})`);
+      });
+    }
+
+    if (quarantine) {
+      console.log(`\n🚧 Quarantined since ${quarantine.quarantined_at.toISOString()} (last flagged by run #${quarantine.run_id ?? '-'}); new data is not stored until it passes`);
+      quarantine.reasons.forEach(reason => {
+        console.log(`  - ${reason.check}: ${reason.description}`);
+      });
+    }
+
+    const events = (await getFundTimeline(pool, code)).slice(-5);
+    if (events.length > 0) {
+      console.log(`\n📝 Recent changes (node cli.js events ${code} for all):`);
+      events.forEach(event => console.log(`  ${formatEvent(event)}`));
+    }
+
+    return { fund, categoryAverage, rejection, quarantine, events };
+
+  } finally {
+    await pool.end();
+  }
+}
+
+/**
+ * Print a fund's change timeline, oldest first
+ * @param {string} code - Kuvera code
+ * @param {Object} options - { since, until }
+ * @returns {Promise<Array>} - fund_events rows
+ */
+async function showFundEvents(code, options = {}) {
+  try {
+    const events = await getFundTimeline(pool, code, options);
+
+    if (events.length === 0) {
+      console.log(`No recorded changes for ${code} in that range.`);
+    } else {
+      console.log(`📝 ${events.length} changes recorded for ${code}:`);
+      events.forEach(event => console.log(`  ${formatEvent(event)}`));
+    }
+
+    return events;
+
+  } finally {
+    await pool.end();
+  }
+}
+
+/**
+ * Print the managers of active published funds with their fund count, average
+ * score and categories, or one manager's tenures when a name is given
+ * @param {string|null} name - Manager name
+ * @param {Object} options - { category, limit }
+ * @returns {Promise<Array|Object|null>} - Summary rows, or { manager, tenures }
+ */
+async function showManagers(name, options = {}) {
+  try {
+    if (name) {
+      const record = await getManagerTrackRecord(pool, name);
+      if (!record) {
+        console.log(`No manager named "${name}" has been recorded.`);
+        return null;
+      }
+
+      console.log(`\n👤 ${record.manager.name}: ${record.tenures.filter(tenure => !tenure.end_date).length} current and ${record.tenures.filter(tenure => tenure.end_date).length} past tenures`);
+      record.tenures.forEach(tenure => {
+        const period = `${tenure.start_date} → ${tenure.end_date || 'present'}`;
+        const status = tenure.is_active ? `score ${tenure.total_score ?? '-'}` : 'not published';
+        console.log(`  ${tenure.kuvera_code}: ${tenure.scheme_name || '-'} (${tenure.fund_category || '-'}), ${period}, ${status}`);
+      });
+      return record;
+    }
+
+    const managers = await getManagerSummary(pool, options);
+    if (managers.length === 0) {
+      console.log('No managers recorded for published funds yet.');
+    } else {
+      const width = Math.max(...managers.map(manager => manager.name.length));
+      console.log(`\n👤 ${managers.length} managers of published funds:\n`);
+      managers.forEach(manager => {
+        console.log(`  ${manager.name.padEnd(width)}  ${String(manager.funds).padStart(3)} funds  avg score ${manager.average_score ?? '-'}  ${manager.categories.join(', ')}`);
+      });
+    }
+    return managers;
+
+  } finally {
+    await pool.end();
+  }
+}
+
+/**
+ * Print fund houses ranked on one of their aggregates
+ * @param {Object} options - { rankBy, category, limit }
+ * @returns {Promise<Array>} - Ranked amcs rows
+ */
+async function showAmcs(options = {}) {
+  try {
+    const amcs = await getAmcRankings(pool, options);
+
+    if (amcs.length === 0) {
+      console.log('No fund houses with published funds yet.');
+      return amcs;
+    }
+
+    console.log(`\n🏦 Fund houses ranked by ${options.rankBy || 'score'}:\n`);
+    amcs.forEach(amc => {
+      const survival = amc.survival_rate === null ? '-' : `${Math.round(amc.survival_rate * 100)}%`;
+      console.log(`  #${amc.rank} ${amc.name || amc.fund_house} (${amc.fund_house})`);
+      console.log(`      ${amc.active_funds} funds, AUM ${amc.total_aum ?? '-'} cr, avg score ${amc.avg_score ?? '-'}, avg expense ratio ${amc.avg_expense_ratio ?? '-'}, ${survival} survive the score cutoff (${amc.cut_funds} cut)`);
+      console.log(`      ${Object.entries(amc.funds_by_category).map(([category, count]) => `${category}: ${count}`).join(', ')}`);
+    });
+
+    return amcs;
+
+  } finally {
+    await pool.end();
+  }
+}
+
+/**
+ * Write a fund's NAV series to stdout as CSV; with options.json the rows are
+ * returned for the caller to print instead
+ * @param {string} code - Kuvera code
+ * @param {Object} options - { since, until, json }
+ * @returns {Promise<Array>} - { nav_date, nav, source }, oldest first
+ */
+async function exportNavHistory(code, options = {}) {
+  try {
+    const rows = await getNavSeries(pool, code, options);
+
+    if (!options.json) {
+      process.stdout.write('nav_date,nav,source\n');
+      rows.forEach(row => {
+        process.stdout.write(`${row.nav_date},${row.nav},${row.source}\n`);
+      });
+    }
+    console.error(rows.length > 0
+      ? `📈 ${rows.length} NAVs for ${code} from ${rows[0].nav_date} to ${rows[rows.length - 1].nav_date}`
+      : `📈 No NAV history for ${code} in that range`);
+
+    return rows;
+
+  } finally {
+    await pool.end();
+  }
+}
+
+/**
+ * Write the category average history to stdout as CSV; with options.json the
+ * rows are returned for the caller to print instead
+ * @param {Object} options - { category, since, until, json }
+ * @returns {Promise<Array>} - One row per category and report date
+ */
+async function exportCategoryAverages(options = {}) {
+  const columns = ['category_name', 'report_date', ...AVERAGE_COLUMNS];
+
+  try {
+    const rows = await getCategoryAverageSeries(pool, options);
+
+    if (!options.json) {
+      process.stdout.write(`${columns.join(',')}\n`);
+      rows.forEach(row => {
+        process.stdout.write(`${columns.map(column => formatCsvValue(row[column])).join(',')}\n`);
+      });
+    }
+    console.error(`📚 Exported ${rows.length} category average reports`);
+
+    return rows;
+
+  } finally {
+    await pool.end();
+  }
+}
+
+/**
+ * Print the biggest score gains and losses, rank changes, new entrants and
+ * funds cut below their category's score cutoff, for each window
+ * @param {Object} options - { days: [window in days] (default MOVERS_WINDOW_DAYS), category, limit }
+ * @returns {Promise<Array>} - One report per window with two snapshots to compare
+ */
+async function showMovers(options = {}) {
+  const windows = options.days || (process.env.MOVERS_WINDOW_DAYS || '7').split(',').map(value => parseInt(value, 10));
+
+  try {
+    const reports = [];
+    for (const days of windows) {
+      const report = await buildMoversReport(pool, days, options);
+      if (!report) {
+        console.log('No score history to compare yet: movers need at least two published runs.');
+        break;
+      }
+      printMoversReport(report);
+      reports.push(report);
+    }
+
+    return reports;
+
+  } finally {
+    await pool.end();
+  }
+}
+
+module.exports = { exportFunds, inspectFund, showFundEvents, showManagers, showAmcs, exportNavHistory, exportCategoryAverages, showMovers, EXPORT_COLUMNS };
@@ -0,0 +1,92 @@
+/**
+ * MF Compass Fund Universe
+ * Single config-driven definition of which categories are synced and how each
+ * category is filtered and scored. Discovery, category averages, filtering,
+ * scoring weights, normalization and the score cutoff all read from here.
+ *
+ * Config: fund-universe.json (override with FUND_UNIVERSE_FILE)
+ * Enabled categories can be overridden with FUND_UNIVERSE_CATEGORIES="Large Cap Fund,ELSS"
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateRule, mergeRules } = require('./filter-rules');
+
+class FundUniverse {
+  constructor(configPath = process.env.FUND_UNIVERSE_FILE || path.join(__dirname, 'fund-universe.json')) {
+    this.configPath = configPath;
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+    if (!config.defaults || !Array.isArray(config.defaults.filterRules) || !Array.isArray(config.categories)) {
+      throw new Error(`Invalid fund universe config ${configPath}: expected "defaults.filterRules" and "categories"`);
+    }
+
+    config.defaults.filterRules.forEach(rule => validateRule(rule, configPath));
+    this.defaults = config.defaults;
+
+    const enabledOverride = process.env.FUND_UNIVERSE_CATEGORIES
+      ? process.env.FUND_UNIVERSE_CATEGORIES.split(',').map(name => name.trim()).filter(Boolean)
+      : null;
+
+    this.categories = config.categories.map(entry => {
+      if (!entry.assetClass || !entry.category) {
+        throw new Error(`Invalid fund universe entry: ${JSON.stringify(entry)}`);
+      }
+
+      return {
+        assetClass: entry.assetClass,
+        category: entry.category,
+        enabled: enabledOverride ? enabledOverride.includes(entry.category) : entry.enabled !== false,
+        filterRules: mergeRules(this.defaults.filterRules, entry.filterRules, `${configPath} (${entry.category})`),
+        scoring: { ...this.defaults.scoring, ...(entry.scoring || {}) }
+      };
+    });
+
+    if (enabledOverride) {
+      const unknown = enabledOverride.filter(name => !this.categories.some(entry => entry.category === name));
+      if (unknown.length > 0) {
+        throw new Error(`FUND_UNIVERSE_CATEGORIES names categories missing from ${configPath}: ${unknown.join(', ')}`);
+      }
+    }
+  }
+
+  getEnabledCategories() {
+    return this.categories.filter(entry => entry.enabled);
+  }
+
+  getCategory(category) {
+    return this.categories.find(entry => entry.category === category) || null;
+  }
+
+  /**
+   * Enabled categories grouped by asset class, as discovery walks list.json
+   * @returns {Object} - { assetClass: [category, ...] }
+   */
+  getAllowedCategories() {
+    const allowed = {};
+    this.getEnabledCategories().forEach(entry => {
+      allowed[entry.assetClass] = allowed[entry.assetClass] || [];
+      allowed[entry.assetClass].push(entry.category);
+    });
+    return allowed;
+  }
+
+  isEnabled(category) {
+    const entry = this.getCategory(category);
+    return Boolean(entry && entry.enabled);
+  }
+
+  // Filter rules for a category; categories outside the universe get the defaults
+  getFilterRules(category) {
+    const entry = this.getCategory(category);
+    return entry ? entry.filterRules : this.defaults.filterRules;
+  }
+
+  // Scoring settings (weights, normalizeRange, minScore) for a category
+  getScoring(category) {
+    const entry = this.getCategory(category);
+    return entry ? entry.scoring : this.defaults.scoring;
+  }
+}
+
+module.exports = new FundUniverse();
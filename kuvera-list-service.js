@@ -1,32 +1,124 @@
 const axios = require('axios');
+const { CircuitBreaker, withRetry, readNumberEnv } = require('./retry-utils');
+const { AdaptiveRateLimiter } = require('./rate-limiter');
+const { FixtureStore } = require('./fixture-store');
+const { DataSource } = require('./data-source');
+const { SchemaDriftTracker } = require('./schema-drift');
+const kuveraSchemas = require('./kuvera-schemas');
+const fundUniverse = require('./fund-universe');
 
-class KuveraListService {
-  constructor() {
-    this.listApiUrl = 'https://api.kuvera.in/mf/api/v4/fund_schemes/list.json';
-    this.detailsApiUrl = 'https://api.kuvera.in/mf/api/v5/fund_schemes';
+class KuveraListService extends DataSource {
+  constructor(options = {}) {
+    super('kuvera');
+    
+    const baseUrl = options.baseUrl || process.env.KUVERA_API_BASE_URL || 'https://api.kuvera.in/mf/api';
+    this.listApiUrl = `${baseUrl}/v4/fund_schemes/list.json`;
+    this.detailsApiUrl = `${baseUrl}/v5/fund_schemes`;
+    this.categoriesApiUrl = `${baseUrl}/v4/fund_categories.json`;
     this.timeout = 15000;
     this.headers = {
       'Accept': 'application/json',
       'User-Agent': 'MF-Compass-Sync-Service/2.0'
     };
     
-    // Only keep equity asset class and only Large/Mid/Small/Flexi Cap categories
-    this.allowedCategories = {
-      'Equity': [
-        'Large Cap Fund',
-        'Mid Cap Fund',
-        'Small Cap Fund',
-        'Flexi Cap Fund'
-      ]
+    // Retry policy for transient failures (timeouts, 429, 5xx)
+    this.retryPolicy = {
+      maxRetries: readNumberEnv('KUVERA_MAX_RETRIES', 3),
+      baseDelayMs: readNumberEnv('KUVERA_RETRY_BASE_DELAY_MS', 500),
+      maxDelayMs: readNumberEnv('KUVERA_RETRY_MAX_DELAY_MS', 10000),
+      maxRetryAfterMs: readNumberEnv('KUVERA_RETRY_AFTER_MAX_MS', 60000)
+    };
+    
+    // Stop calling the API once most recent requests are failing
+    this.circuitBreaker = new CircuitBreaker({
+      errorThreshold: readNumberEnv('KUVERA_BREAKER_ERROR_THRESHOLD', 0.5),
+      minRequests: readNumberEnv('KUVERA_BREAKER_MIN_REQUESTS', 20),
+      windowSize: readNumberEnv('KUVERA_BREAKER_WINDOW_SIZE', 50),
+      cooldownMs: readNumberEnv('KUVERA_BREAKER_COOLDOWN_MS', 30000)
+    });
+    
+    // Every request attempt, keyed by fund code (or endpoint name)
+    this.attemptLog = new Map();
+    
+    // Concurrency settings for detail fetches; the limiter adapts within these bounds
+    this.concurrencyOptions = {
+      concurrency: readNumberEnv('KUVERA_CONCURRENCY', 8),
+      minConcurrency: readNumberEnv('KUVERA_MIN_CONCURRENCY', 1),
+      maxConcurrency: readNumberEnv('KUVERA_MAX_CONCURRENCY', 20),
+      latencyFactor: readNumberEnv('KUVERA_LATENCY_FACTOR', 2)
     };
+    this.rateLimiter = null;
+    this.throughputStats = null;
+    
+    // Every response is validated; drift is accumulated for the run report
+    this.schemaTracker = new SchemaDriftTracker(kuveraSchemas);
+    this.criticalMissingRatio = readNumberEnv('SCHEMA_CRITICAL_MISSING_RATIO', 0.5);
+    
+    // Record responses to disk, or replay a previous recording instead of calling the API
+    this.fixtures = new FixtureStore({
+      mode: process.env.KUVERA_FIXTURE_MODE,
+      dir: process.env.KUVERA_FIXTURE_DIR
+    });
+  }
+
+  /**
+   * GET a Kuvera endpoint with retries, backoff and the circuit breaker.
+   * In replay mode the response comes from the fixture store instead.
+   * @param {string} url - Endpoint URL
+   * @param {string} key - Attempt log key (fund code or endpoint name)
+   * @param {string} fixtureName - Fixture file name used for record/replay
+   * @returns {Promise<Object>} - Axios response
+   */
+  async request(url, key, fixtureName) {
+    // A new request for the same key replaces its earlier attempt history
+    const attempts = [];
+    this.attemptLog.set(key, attempts);
+    
+    if (this.fixtures.isReplaying()) {
+      try {
+        const response = await this.fixtures.replay(fixtureName);
+        attempts.push({ attempt: 1, success: true, status: response.status, replayed: true });
+        return response;
+      } catch (error) {
+        attempts.push({ attempt: 1, success: false, status: error.response ? error.response.status : null, error: error.message, replayed: true });
+        throw error;
+      }
+    }
+    
+    try {
+      const response = await withRetry(
+        () => axios.get(url, {
+          timeout: this.timeout,
+          headers: this.headers
+        }),
+        this.retryPolicy,
+        {
+          breaker: this.circuitBreaker,
+          onAttempt: record => {
+            attempts.push({ ...record, timestamp: new Date().toISOString() });
+            if (this.rateLimiter) {
+              this.rateLimiter.observe(record);
+            }
+          }
+        }
+      );
+      
+      if (this.fixtures.isRecording()) {
+        await this.fixtures.recordResponse(fixtureName, url, response);
+      }
+      return response;
+      
+    } catch (error) {
+      if (this.fixtures.isRecording()) {
+        await this.fixtures.recordError(fixtureName, url, error);
+      }
+      throw error;
+    }
   }
 
   async testConnection() {
     try {
-      const response = await axios.get(this.listApiUrl, {
-        timeout: this.timeout,
-        headers: this.headers
-      });
+      const response = await this.request(this.listApiUrl, 'list.json', 'list.json');
       
       if (response.status === 200 && response.data) {
         const data = response.data;
@@ -51,10 +143,7 @@ class KuveraListService {
 
   async getFilteredFundCodes() {
     try {
-      const response = await axios.get(this.listApiUrl, {
-        timeout: this.timeout,
-        headers: this.headers
-      });
+      const response = await this.request(this.listApiUrl, 'list.json', 'list.json');
       
       if (!response.data) {
         throw new Error('No data received from API');
@@ -63,12 +152,11 @@ class KuveraListService {
       const data = response.data;
       const filteredFunds = [];
       
-      // Only process equity asset class
-      for (const [assetClass, categories] of Object.entries(this.allowedCategories)) {
-        if (assetClass !== 'Equity' || !data[assetClass]) {
+      // Only process asset classes and categories enabled in the fund universe
+      for (const [assetClass, categories] of Object.entries(fundUniverse.getAllowedCategories())) {
+        if (!data[assetClass]) {
           continue;
         }
-        // Only process allowed equity categories
         for (const category of categories) {
           if (!data[assetClass][category]) {
             continue;
@@ -80,6 +168,8 @@ class KuveraListService {
               continue;
             }
             
+            funds.forEach(fund => this.schemaTracker.validate('fundList', fund));
+            
             // Filter for growth plans (-GR suffix)
             const growthFunds = funds.filter(fund => {
               const hasCode = fund.c && typeof fund.c === 'string';
@@ -118,10 +208,7 @@ class KuveraListService {
     try {
       const url = `${this.detailsApiUrl}/${fundCode}.json`;
       
-      const response = await axios.get(url, {
-        timeout: this.timeout,
-        headers: this.headers
-      });
+      const response = await this.request(url, fundCode, `fund_schemes/${fundCode}.json`);
       
       if (!response.data || !Array.isArray(response.data) || response.data.length === 0) {
         throw new Error(`No fund details found for code: ${fundCode}`);
@@ -129,6 +216,7 @@ class KuveraListService {
       
       // API returns array, take first element
       const fundDetails = response.data[0];
+      this.schemaTracker.validate('fundDetails', fundDetails);
       
       // Validate essential fields
       if (!fundDetails.code || !fundDetails.name) {
@@ -143,89 +231,101 @@ class KuveraListService {
     }
   }
 
-  async getFundDetailsBatch(fundCodes, batchSize = 5, delayMs = 200) {
-    const results = [];
-    
-    for (let i = 0; i < fundCodes.length; i += batchSize) {
-      const batch = fundCodes.slice(i, i + batchSize);
+  async getCategoryAverages() {
+    try {
+      const response = await this.request(this.categoriesApiUrl, 'fund_categories.json', 'fund_categories.json');
       
-      const batchPromises = batch.map(fundCode => 
-        this.getFundDetails(fundCode.code || fundCode)
-          .then(data => ({ success: true, data, fundCode: fundCode.code || fundCode }))
-          .catch(error => ({ success: false, error: error.message, fundCode: fundCode.code || fundCode }))
-      );
+      if (!response.data || !Array.isArray(response.data)) {
+        throw new Error('Invalid category averages response from API');
+      }
       
-      const batchResults = await Promise.allSettled(batchPromises);
+      response.data
+        .filter(category => this.isAllowedCategoryName(category.category_name))
+        .forEach(category => this.schemaTracker.validate('fundCategories', category));
       
-      // Process batch results
-      batchResults.forEach((result, index) => {
-        if (result.status === 'fulfilled') {
-          results.push(result.value);
-        } else {
-          results.push({
-            success: false,
-            error: result.reason.message,
-            fundCode: batch[index].code || batch[index]
-          });
-        }
-      });
+      return response.data;
       
-      // Add delay between batches (except for last batch)
-      if (i + batchSize < fundCodes.length) {
-        await new Promise(resolve => setTimeout(resolve, delayMs));
-      }
+    } catch (error) {
+      console.error('❌ Failed to fetch category averages:', error.message);
+      throw error;
     }
-    
-    return results;
   }
 
-  // Helper method to get fund categories breakdown
-  getCategoriesBreakdown(fundCodes) {
-    const breakdown = {};
+  /**
+   * Fetch details for many funds through the adaptive rate limiter
+   * @param {Array} fundCodes - Fund codes or discovery objects with a `code`
+   * @param {Object} options - Overrides for the concurrency settings
+   * @returns {Promise<Array>} - { success, data|error, fundCode } per fund, in input order
+   */
+  async getFundDetailsBatch(fundCodes, options = {}) {
+    const limiter = new AdaptiveRateLimiter({ ...this.concurrencyOptions, ...options });
+    this.rateLimiter = limiter;
     
-    fundCodes.forEach(fund => {
-      const key = `${fund.assetClass} - ${fund.category}`;
-      breakdown[key] = (breakdown[key] || 0) + 1;
-    });
-    
-    return breakdown;
+    try {
+      const results = await Promise.all(fundCodes.map(fundCode => {
+        const code = fundCode.code || fundCode;
+        return limiter.schedule(() => this.getFundDetails(code))
+          .then(data => ({ success: true, data, fundCode: code }))
+          .catch(error => ({ success: false, error: error.message, fundCode: code }));
+      }));
+      
+      return results;
+      
+    } finally {
+      this.throughputStats = limiter.getStats();
+      this.rateLimiter = null;
+    }
   }
 
-  // Helper method to validate fund data structure
-  validateFundData(fundData) {
-    const requiredFields = ['code', 'name', 'ISIN', 'fund_house', 'fund_category'];
-    const missingFields = requiredFields.filter(field => !fundData[field]);
-    
-    if (missingFields.length > 0) {
-      return {
-        isValid: false,
-        missingFields: missingFields,
-        message: `Missing required fields: ${missingFields.join(', ')}`
-      };
-    }
-    
-    // Validate NAV data
-    if (!fundData.nav || !fundData.nav.nav) {
-      return {
-        isValid: false,
-        message: 'NAV data is missing or invalid'
-      };
-    }
+  // Throughput statistics of the last getFundDetailsBatch run
+  getThroughputStats() {
+    return this.throughputStats;
+  }
+
+  /**
+   * Summarize the attempt log: which requests needed retries and how they ended
+   * @returns {Object} - { recovered, failed, totalAttempts, totalRetries, circuitOpened }
+   */
+  getAttemptReport() {
+    const recovered = [];
+    const failed = [];
+    let totalAttempts = 0;
     
-    // Validate numeric fields
-    const nav = parseFloat(fundData.nav.nav);
-    if (isNaN(nav) || nav <= 0) {
-      return {
-        isValid: false,
-        message: 'Invalid NAV value'
-      };
+    for (const [key, attempts] of this.attemptLog.entries()) {
+      totalAttempts += attempts.length;
+      if (attempts.length === 0) {
+        continue;
+      }
+      
+      const last = attempts[attempts.length - 1];
+      if (last.success && attempts.length > 1) {
+        recovered.push({ key, attempts: attempts.length });
+      } else if (!last.success) {
+        failed.push({ key, attempts: attempts.length, lastError: last.error, lastStatus: last.status });
+      }
     }
     
     return {
-      isValid: true,
-      message: 'Fund data validation passed'
+      recovered,
+      failed,
+      totalAttempts,
+      totalRetries: totalAttempts - this.attemptLog.size,
+      circuitOpened: this.circuitBreaker.timesOpened
     };
   }
+
+  resetAttemptLog() {
+    this.attemptLog.clear();
+  }
+
+  getDriftReport() {
+    return this.schemaTracker.getReport();
+  }
+
+  // Fail when a field scoring depends on has disappeared for most records
+  assertCriticalFields() {
+    this.schemaTracker.assertCriticalFields(Object.keys(kuveraSchemas), this.criticalMissingRatio);
+  }
 }
 
-module.exports = new KuveraListService();
\ No newline at end of file
+module.exports = new KuveraListService();
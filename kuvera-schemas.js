@@ -0,0 +1,80 @@
+/**
+ * MF Compass Kuvera Response Schemas
+ * Declarative schemas for list.json entries, fund detail payloads and
+ * fund_categories.json entries. `critical` marks fields scoring depends on.
+ */
+
+const kuveraSchemas = {
+  // One fund entry of list.json: { AssetClass: { Category: { FundHouse: [entry] } } }
+  fundList: {
+    name: 'list.json fund entry',
+    fields: {
+      'c': { type: 'string', required: true, critical: true },
+      'n': { type: 'string', required: true, critical: true },
+      're': { type: 'string' },
+      'v': { type: 'numeric' }
+    }
+  },
+
+  // First element of /fund_schemes/{code}.json
+  fundDetails: {
+    name: 'fund details',
+    fields: {
+      'code': { type: 'string', required: true, critical: true },
+      'name': { type: 'string', required: true, critical: true },
+      'ISIN': { type: 'string' },
+      'fund_house': { type: 'string' },
+      'fund_name': { type: 'string' },
+      'fund_category': { type: 'string', required: true, critical: true },
+      'fund_type': { type: 'string' },
+      'direct': { type: 'string' },
+      'plan': { type: 'string' },
+      'maturity_type': { type: 'string' },
+      'lump_available': { type: 'string' },
+      'lump_min': { type: 'numeric' },
+      'sip_available': { type: 'string' },
+      'sip_min': { type: 'numeric' },
+      'lock_in_period': { type: 'numeric' },
+      'investment_objective': { type: 'string' },
+      'nav': { type: 'object', critical: true },
+      'nav.nav': { type: 'numeric', critical: true },
+      'nav.date': { type: 'date' },
+      'last_nav': { type: 'object' },
+      'last_nav.nav': { type: 'numeric' },
+      'last_nav.date': { type: 'date' },
+      'returns': { type: 'object', critical: true },
+      'returns.week_1': { type: 'numeric', critical: true },
+      'returns.year_1': { type: 'numeric', critical: true },
+      'returns.year_3': { type: 'numeric', critical: true },
+      'returns.year_5': { type: 'numeric', critical: true },
+      'returns.inception': { type: 'numeric' },
+      'returns.date': { type: 'date' },
+      'start_date': { type: 'date' },
+      'expense_ratio': { type: 'numeric' },
+      'expense_ratio_date': { type: 'date' },
+      'fund_manager': { type: 'string' },
+      'volatility': { type: 'numeric' },
+      'portfolio_turnover': { type: 'numeric' },
+      'aum': { type: 'numeric' },
+      'fund_rating': { type: 'numeric' },
+      'fund_rating_date': { type: 'date' },
+      'crisil_rating': { type: 'string' }
+    }
+  },
+
+  // One entry of fund_categories.json
+  fundCategories: {
+    name: 'fund_categories.json entry',
+    fields: {
+      'category_name': { type: 'string', required: true, critical: true },
+      'report_date': { type: 'date', critical: true },
+      'week_1': { type: 'numeric', critical: true },
+      'year_1': { type: 'numeric', critical: true },
+      'year_3': { type: 'numeric', critical: true },
+      'year_5': { type: 'numeric', critical: true },
+      'inception': { type: 'numeric' }
+    }
+  }
+};
+
+module.exports = kuveraSchemas;
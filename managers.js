@@ -0,0 +1,152 @@
+/**
+ * MF Compass Fund Managers
+ * funds.fund_managers holds the manager names the data source lists for each
+ * fund. After every publish they are normalized into managers (one row per
+ * person) and reconciled with the open tenures in fund_managers: a newly
+ * listed manager opens a tenure, a manager no longer listed has theirs
+ * closed. Tenure dates are therefore the dates of the runs that saw the
+ * change; tenures already running when tracking started begin at that run.
+ *
+ * The aggregates are queries rather than views, because a view would follow
+ * funds into mf_previous when staging is published.
+ */
+
+// Tenure dates follow the market's calendar, whatever the session time zone
+const TODAY = "(CURRENT_TIMESTAMP AT TIME ZONE 'Asia/Kolkata')::date";
+
+const HONORIFIC_PATTERN = /^(mr|mrs|ms|miss|dr|shri|smt)\.?\s+/i;
+
+/**
+ * Clean a manager name for display and derive the key managers are deduplicated on
+ * @param {string} name - Name as listed by the data source, e.g. "Mr. R.  Srinivasan"
+ * @returns {Object|null} - { name: 'R. Srinivasan', key: 'r srinivasan' }, or null for an empty name
+ */
+function normalizeManagerName(name) {
+  let display = String(name).replace(/\s+/g, ' ').trim();
+  while (HONORIFIC_PATTERN.test(display)) {
+    display = display.replace(HONORIFIC_PATTERN, '');
+  }
+  const key = display.toLowerCase().replace(/[.,]/g, ' ').replace(/\s+/g, ' ').trim();
+  return key ? { name: display, key } : null;
+}
+
+/**
+ * Reconcile managers and open tenures with the managers listed on active published funds.
+ * Funds without a manager list are skipped, so a source that omits managers closes nothing.
+ * @param {Pool} pool - pg pool; called after publish, so funds is the live table
+ * @returns {Promise<Object>} - { funds, managersAdded, tenuresOpened, tenuresClosed }
+ */
+async function recordFundManagers(pool) {
+  const { rows: funds } = await pool.query('SELECT kuvera_code, fund_managers FROM funds WHERE is_active AND fund_managers IS NOT NULL');
+
+  const listed = new Map();
+  funds.forEach(fund => {
+    fund.fund_managers.forEach(name => {
+      const manager = normalizeManagerName(name);
+      if (manager) {
+        listed.set(`${fund.kuvera_code}\u0000${manager.key}`, { kuvera_code: fund.kuvera_code, ...manager });
+      }
+    });
+  });
+  const assignments = [...listed.values()];
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { rowCount: managersAdded } = await client.query(`
+      INSERT INTO managers (name, normalized_name)
+      SELECT DISTINCT ON (key) name, key
+      FROM jsonb_to_recordset($1::jsonb) AS a(name TEXT, key TEXT)
+      ON CONFLICT (normalized_name) DO NOTHING
+    `, [JSON.stringify(assignments)]);
+
+    const { rowCount: tenuresClosed } = await client.query(`
+      UPDATE fund_managers fm
+      SET end_date = ${TODAY}
+      FROM managers m
+      WHERE fm.manager_id = m.id
+        AND fm.end_date IS NULL
+        AND fm.kuvera_code = ANY($1::text[])
+        AND NOT EXISTS (
+          SELECT 1 FROM jsonb_to_recordset($2::jsonb) AS a(kuvera_code TEXT, key TEXT)
+          WHERE a.kuvera_code = fm.kuvera_code AND a.key = m.normalized_name
+        )
+    `, [funds.map(fund => fund.kuvera_code), JSON.stringify(assignments)]);
+
+    const { rowCount: tenuresOpened } = await client.query(`
+      INSERT INTO fund_managers (kuvera_code, manager_id, start_date)
+      SELECT a.kuvera_code, m.id, ${TODAY}
+      FROM jsonb_to_recordset($1::jsonb) AS a(kuvera_code TEXT, key TEXT)
+      JOIN managers m ON m.normalized_name = a.key
+      ON CONFLICT (kuvera_code, manager_id) WHERE end_date IS NULL DO NOTHING
+    `, [JSON.stringify(assignments)]);
+
+    await client.query('COMMIT');
+
+    return { funds: funds.length, managersAdded, tenuresOpened, tenuresClosed };
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Per-manager aggregate over the active published funds they currently manage
+ * @param {Pool} pool - pg pool
+ * @param {Object} options - { category: only managers covering it, limit }
+ * @returns {Promise<Array>} - { id, name, funds, average_score, categories, tracked_since }, most funds first
+ */
+async function getManagerSummary(pool, options = {}) {
+  const { rows } = await pool.query(`
+    SELECT m.id, m.name,
+           COUNT(*)::int AS funds,
+           ROUND(AVG(f.total_score), 2)::float AS average_score,
+           array_agg(DISTINCT f.fund_category ORDER BY f.fund_category) AS categories,
+           MIN(fm.start_date)::text AS tracked_since
+    FROM managers m
+    JOIN fund_managers fm ON fm.manager_id = m.id AND fm.end_date IS NULL
+    JOIN funds f ON f.kuvera_code = fm.kuvera_code AND f.is_active
+    GROUP BY m.id, m.name
+    HAVING $1::text IS NULL OR bool_or(f.fund_category = $1)
+    ORDER BY funds DESC, average_score DESC NULLS LAST, m.name
+    LIMIT $2
+  `, [options.category || null, options.limit || null]);
+  return rows;
+}
+
+/**
+ * A manager's tenures, current and past, with each fund's present state
+ * @param {Pool} pool - pg pool
+ * @param {string} name - Manager name in any spelling that normalizes to a stored one
+ * @returns {Promise<Object|null>} - { manager, tenures }, or null for an unknown manager
+ */
+async function getManagerTrackRecord(pool, name) {
+  const normalized = normalizeManagerName(name);
+  if (!normalized) {
+    return null;
+  }
+
+  const { rows: [manager] } = await pool.query('SELECT id, name FROM managers WHERE normalized_name = $1', [normalized.key]);
+  if (!manager) {
+    return null;
+  }
+
+  const { rows: tenures } = await pool.query(`
+    SELECT fm.kuvera_code, f.scheme_name, f.fund_category, f.total_score::float AS total_score,
+           COALESCE(f.is_active, FALSE) AS is_active,
+           fm.start_date::text AS start_date, fm.end_date::text AS end_date
+    FROM fund_managers fm
+    LEFT JOIN funds f ON f.kuvera_code = fm.kuvera_code
+    WHERE fm.manager_id = $1
+    ORDER BY fm.end_date IS NULL DESC, fm.end_date DESC, f.total_score DESC NULLS LAST, fm.kuvera_code
+  `, [manager.id]);
+
+  return { manager, tenures };
+}
+
+module.exports = { normalizeManagerName, recordFundManagers, getManagerSummary, getManagerTrackRecord };
@@ -0,0 +1,128 @@
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const { loadMigrations, getSchemaStatus, migrateUp, migrateDown } = require('./schema-migrations');
+
+// Database connection
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+function formatMigration(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+/**
+ * Apply pending migrations
+ * @param {Object} options - { to: highest version to apply (default: latest) }
+ * @returns {Promise<Object>} - { applied: [version], current }
+ */
+async function migrateDatabase(options = {}) {
+  try {
+    const applied = await migrateUp(pool, options);
+    const status = await getSchemaStatus(pool);
+    console.log(applied.length > 0
+      ? `Migrated to version ${status.current} (${applied.length} applied).`
+      : `Schema is up to date at version ${status.current}.`);
+    return { applied: applied.map(migration => migration.version), current: status.current };
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+/**
+ * Roll back applied migrations
+ * @param {Object} options - { to: version to roll back to (default: one step back) }
+ * @returns {Promise<Object>} - { rolledBack: [version], current }
+ */
+async function revertMigrations(options = {}) {
+  try {
+    const rolledBack = await migrateDown(pool, options);
+    const status = await getSchemaStatus(pool);
+    console.log(rolledBack.length > 0
+      ? `Rolled back to version ${status.current} (${rolledBack.length} reverted).`
+      : `Nothing to roll back; schema is at version ${status.current}.`);
+    return { rolledBack: rolledBack.map(migration => migration.version), current: status.current };
+  } catch (error) {
+    console.error('Migration rollback failed:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+/**
+ * Print every known migration with when it was applied, plus applied versions this code does not know
+ * @returns {Promise<Object>} - { current, latest, migrations, unknown }
+ */
+async function showSchemaStatus() {
+  try {
+    const status = await getSchemaStatus(pool);
+    const appliedAt = new Map(status.applied.map(row => [row.version, row.applied_at]));
+
+    const migrations = loadMigrations().map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      description: migration.description,
+      applied_at: appliedAt.get(migration.version) || null
+    }));
+
+    const width = Math.max(...[...migrations, ...status.unknown].map(migration => formatMigration(migration).length));
+    console.log(`Schema version ${status.current} (latest known: ${status.latest})\n`);
+    migrations.forEach(migration => {
+      const state = migration.applied_at ? `✅ ${migration.applied_at.toISOString()}` : '⏳ pending'.padEnd(26);
+      console.log(`  ${formatMigration(migration).padEnd(width)}  ${state}  ${migration.description}`);
+    });
+    status.unknown.forEach(row => {
+      console.log(`  ${formatMigration(row).padEnd(width)}  ❓ ${row.applied_at.toISOString()}  unknown to this code`);
+    });
+
+    if (status.unknown.length > 0) {
+      console.log('\n⚠️ The database is ahead of this code; sync will refuse to run');
+    } else if (status.pending.length > 0) {
+      console.log(`\n⚠️ ${status.pending.length} pending migrations; sync will refuse to run until "node cli.js migrate"`);
+    }
+
+    return { current: status.current, latest: status.latest, migrations, unknown: status.unknown };
+
+  } finally {
+    await pool.end();
+  }
+}
+
+// Main execution
+async function main() {
+  const direction = process.argv[2] || 'up';
+
+  console.log('🧬 MF Compass Schema Migrations');
+  console.log('===============================');
+
+  if (direction === 'up') {
+    await migrateDatabase();
+  } else if (direction === 'down') {
+    await revertMigrations();
+  } else if (direction === 'status') {
+    await showSchemaStatus();
+  } else {
+    throw new Error(`Unknown direction "${direction}" (expected up, down or status)`);
+  }
+}
+
+// Run the migrations
+if (require.main === module) {
+  main()
+    .then(() => {
+      console.log('\n✅ Schema migration utility completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 Schema migration utility failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateDatabase, revertMigrations, showSchemaStatus };
@@ -0,0 +1,106 @@
+/**
+ * 001: Published fund tables
+ * Baseline schema of funds and category_averages. IF NOT EXISTS lets the
+ * migration adopt databases created before migrations existed.
+ */
+
+module.exports = {
+  description: 'Create funds and category_averages with their indexes',
+  published: true,
+
+  async up(client) {
+    // Create comprehensive funds table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS funds (
+        -- Primary Keys & Identifiers
+        id SERIAL PRIMARY KEY,
+        kuvera_code TEXT UNIQUE NOT NULL,
+        scheme_name TEXT NOT NULL,
+        isin TEXT,
+
+        -- Fund House Information
+        fund_house TEXT,
+        fund_house_name TEXT,
+        fund_category TEXT,
+        fund_type TEXT,
+
+        -- Investment Options
+        lump_available VARCHAR(1),
+        lump_min DECIMAL(15,2),
+        sip_available VARCHAR(1),
+        sip_min DECIMAL(15,2),
+        lock_in_period INTEGER,
+        detail_info TEXT,
+
+        -- NAV Data
+        current_nav DECIMAL(10,5),
+        current_nav_date DATE,
+        t1_nav DECIMAL(10,5),
+        t1_nav_date DATE,
+
+        -- Performance Returns (in percentage)
+        returns_1d DECIMAL(8,4),
+        returns_1w DECIMAL(8,4),
+        returns_1y DECIMAL(8,4),
+        returns_3y DECIMAL(8,4),
+        returns_5y DECIMAL(8,4),
+        returns_inception DECIMAL(8,4),
+        returns_date DATE,
+
+        -- Fund Metadata
+        start_date DATE,              -- Fund inception date
+        expense_ratio DECIMAL(5,2),   -- Annual expense ratio
+        expense_ratio_date DATE,      -- Date of expense ratio
+        fund_managers JSONB,          -- Fund manager names as JSON array
+        investment_objective TEXT,    -- Investment objective
+        volatility DECIMAL(8,4),
+        portfolio_turnover DECIMAL(8,4),
+        aum DECIMAL(15,2),
+        fund_rating INTEGER,
+        fund_rating_date DATE,
+        crisil_rating TEXT,
+
+        -- Scoring System
+        total_score DECIMAL(5,2),
+        score_updated TIMESTAMP,
+
+        -- Audit Fields
+        last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create category averages table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS category_averages (
+        id SERIAL PRIMARY KEY,
+        category_name TEXT UNIQUE NOT NULL,
+        report_date DATE NOT NULL,
+        returns_1w DECIMAL(8,4),
+        returns_1y DECIMAL(8,4),
+        returns_3y DECIMAL(8,4),
+        returns_5y DECIMAL(8,4),
+        returns_inception DECIMAL(8,4),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create performance indexes for funds table
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_funds_kuvera_code ON funds(kuvera_code)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_funds_isin ON funds(isin)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_funds_fund_category ON funds(fund_category)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_funds_fund_house ON funds(fund_house)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_funds_fund_type ON funds(fund_type)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_funds_total_score ON funds(total_score DESC)`);
+
+    // Create indexes for category_averages table
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_category_averages_category_name ON category_averages(category_name)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_category_averages_report_date ON category_averages(report_date)`);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS funds CASCADE');
+    await client.query('DROP TABLE IF EXISTS category_averages CASCADE');
+  }
+};
@@ -0,0 +1,21 @@
+/**
+ * 002: Fund universe membership
+ * Funds that leave the universe are deactivated, not deleted.
+ */
+
+module.exports = {
+  description: 'Add is_active and removed_at to funds',
+  published: true,
+
+  async up(client) {
+    await client.query(`ALTER TABLE funds ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT TRUE`);
+    await client.query(`ALTER TABLE funds ADD COLUMN IF NOT EXISTS removed_at TIMESTAMP`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_funds_is_active ON funds(is_active)`);
+  },
+
+  async down(client) {
+    await client.query('DROP INDEX IF EXISTS idx_funds_is_active');
+    await client.query('ALTER TABLE funds DROP COLUMN IF EXISTS removed_at');
+    await client.query('ALTER TABLE funds DROP COLUMN IF EXISTS is_active');
+  }
+};
@@ -0,0 +1,55 @@
+/**
+ * 003: Sync run audit
+ * Tables written by run-audit.js. Timestamps are TIMESTAMPTZ: pooled sessions
+ * may have switched time zone (see SET TIME ZONE in sync.js).
+ */
+
+module.exports = {
+  description: 'Create sync_runs and sync_run_stages',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sync_runs (
+        id SERIAL PRIMARY KEY,
+        started_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        finished_at TIMESTAMPTZ,
+        duration_ms INTEGER,
+        status TEXT NOT NULL DEFAULT 'running',
+        mode TEXT,
+        data_source TEXT,
+        funds_discovered INTEGER,
+        funds_fetched INTEGER,
+        funds_passed INTEGER,
+        funds_published INTEGER,
+        filter_stats JSONB,
+        failed_funds JSONB,
+        error TEXT
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sync_run_stages (
+        id SERIAL PRIMARY KEY,
+        run_id INTEGER NOT NULL REFERENCES sync_runs(id) ON DELETE CASCADE,
+        stage_number INTEGER NOT NULL,
+        stage_name TEXT NOT NULL,
+        started_at TIMESTAMPTZ NOT NULL,
+        finished_at TIMESTAMPTZ,
+        duration_ms INTEGER,
+        status TEXT NOT NULL DEFAULT 'running',
+        input_count INTEGER,
+        output_count INTEGER,
+        details JSONB,
+        error TEXT,
+        UNIQUE (run_id, stage_number)
+      )
+    `);
+
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_sync_runs_started_at ON sync_runs(started_at DESC)`);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS sync_run_stages');
+    await client.query('DROP TABLE IF EXISTS sync_runs');
+  }
+};
@@ -0,0 +1,27 @@
+/**
+ * 004: Fund rejections
+ * Latest reason each fund was left out of the published dataset (see
+ * storeRejections in sync.js).
+ */
+
+module.exports = {
+  description: 'Create fund_rejections',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS fund_rejections (
+        kuvera_code TEXT PRIMARY KEY,
+        scheme_name TEXT,
+        fund_category TEXT,
+        stage TEXT NOT NULL,
+        failed_rules JSONB NOT NULL,
+        run_id INTEGER,
+        rejected_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS fund_rejections');
+  }
+};
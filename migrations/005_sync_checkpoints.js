@@ -0,0 +1,25 @@
+/**
+ * 005: Sync checkpoints
+ * Saved stage output that lets an interrupted sync resume (see checkpoints.js).
+ */
+
+module.exports = {
+  description: 'Create sync_checkpoints',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sync_checkpoints (
+        checkpoint_key TEXT NOT NULL,
+        stage TEXT NOT NULL,
+        payload JSONB NOT NULL,
+        run_id INTEGER,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (checkpoint_key, stage)
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS sync_checkpoints');
+  }
+};
@@ -0,0 +1,30 @@
+/**
+ * 006: Sync failure ledger
+ * Funds that failed to fetch or store, kept for retry (see sync-failures.js).
+ */
+
+module.exports = {
+  description: 'Create sync_failures',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sync_failures (
+        id SERIAL PRIMARY KEY,
+        kuvera_code TEXT NOT NULL,
+        stage TEXT NOT NULL,
+        error TEXT,
+        payload JSONB,
+        run_id INTEGER,
+        attempts INTEGER NOT NULL DEFAULT 1,
+        first_failed_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        last_failed_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        resolved_at TIMESTAMPTZ,
+        UNIQUE (kuvera_code, stage)
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS sync_failures');
+  }
+};
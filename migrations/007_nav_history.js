@@ -0,0 +1,28 @@
+/**
+ * 007: NAV history
+ * One NAV per fund per day, appended by every sync and by `backfill` (see
+ * nav-history.js). Lives in public, outside the staged dataset.
+ */
+
+module.exports = {
+  description: 'Create nav_history',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS nav_history (
+        kuvera_code TEXT NOT NULL,
+        nav_date DATE NOT NULL,
+        nav DECIMAL(10,5) NOT NULL,
+        source TEXT NOT NULL,
+        recorded_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (kuvera_code, nav_date)
+      )
+    `);
+
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_nav_history_nav_date ON nav_history(nav_date)`);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS nav_history');
+  }
+};
@@ -0,0 +1,52 @@
+/**
+ * 008: Category average history
+ * One row per category per report date, appended by every sync (see
+ * category-history.js), and a view of each category's latest row that scoring
+ * reads. Lives in public, outside the staged dataset; the published
+ * category_averages table keeps only the latest row per category.
+ */
+
+module.exports = {
+  description: 'Create category_average_history and the category_averages_latest view',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS category_average_history (
+        category_name TEXT NOT NULL,
+        report_date DATE NOT NULL,
+        returns_1w DECIMAL(8,4),
+        returns_1y DECIMAL(8,4),
+        returns_3y DECIMAL(8,4),
+        returns_5y DECIMAL(8,4),
+        returns_inception DECIMAL(8,4),
+        recorded_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (category_name, report_date)
+      )
+    `);
+
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_category_average_history_report_date ON category_average_history(report_date)`);
+
+    // Start the history from the averages already published
+    await client.query(`
+      INSERT INTO category_average_history (
+        category_name, report_date, returns_1w, returns_1y, returns_3y, returns_5y, returns_inception
+      )
+      SELECT category_name, report_date, returns_1w, returns_1y, returns_3y, returns_5y, returns_inception
+      FROM category_averages
+      ON CONFLICT (category_name, report_date) DO NOTHING
+    `);
+
+    await client.query(`
+      CREATE OR REPLACE VIEW category_averages_latest AS
+      SELECT DISTINCT ON (category_name)
+        category_name, report_date, returns_1w, returns_1y, returns_3y, returns_5y, returns_inception
+      FROM category_average_history
+      ORDER BY category_name, report_date DESC
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP VIEW IF EXISTS category_averages_latest');
+    await client.query('DROP TABLE IF EXISTS category_average_history');
+  }
+};
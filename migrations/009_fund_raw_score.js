@@ -0,0 +1,19 @@
+/**
+ * 009: Raw fund score
+ * The weighted outperformance score before normalization, kept next to
+ * total_score so score history can tell a fund's own movement from a shift in
+ * its category's range.
+ */
+
+module.exports = {
+  description: 'Add raw_score to funds',
+  published: true,
+
+  async up(client) {
+    await client.query(`ALTER TABLE funds ADD COLUMN IF NOT EXISTS raw_score DECIMAL(10,2)`);
+  },
+
+  async down(client) {
+    await client.query('ALTER TABLE funds DROP COLUMN IF EXISTS raw_score');
+  }
+};
@@ -0,0 +1,34 @@
+/**
+ * 010: Score history
+ * A snapshot of every published fund's normalized score, raw score and
+ * category rank per run, plus the funds cut at Stage 9 (see score-history.js).
+ * Lives in public, outside the staged dataset.
+ */
+
+module.exports = {
+  description: 'Create score_history',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS score_history (
+        scored_at TIMESTAMPTZ NOT NULL,
+        kuvera_code TEXT NOT NULL,
+        run_id INTEGER,
+        scheme_name TEXT,
+        fund_category TEXT,
+        status TEXT NOT NULL,
+        total_score DECIMAL(5,2),
+        raw_score DECIMAL(10,2),
+        category_rank INTEGER,
+        category_size INTEGER,
+        PRIMARY KEY (scored_at, kuvera_code)
+      )
+    `);
+
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_score_history_kuvera_code ON score_history(kuvera_code, scored_at DESC)`);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS score_history');
+  }
+};
@@ -0,0 +1,32 @@
+/**
+ * 011: Fund events
+ * Typed changes to a fund's name, category, managers, ratings, expense ratio
+ * or ISIN, detected when a sync publishes (see fund-events.js). Lives in
+ * public, outside the staged dataset.
+ */
+
+module.exports = {
+  description: 'Create fund_events',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS fund_events (
+        id SERIAL PRIMARY KEY,
+        kuvera_code TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        field TEXT NOT NULL,
+        old_value JSONB,
+        new_value JSONB,
+        run_id INTEGER,
+        detected_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_fund_events_kuvera_code ON fund_events(kuvera_code, detected_at)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_fund_events_event_type ON fund_events(event_type, detected_at)`);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS fund_events');
+  }
+};
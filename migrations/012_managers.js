@@ -0,0 +1,40 @@
+/**
+ * 012: Fund managers
+ * One row per distinct manager, deduplicated on a normalized name, and their
+ * tenures on funds (see managers.js). An open tenure has no end_date. Both
+ * live in public, outside the staged dataset.
+ */
+
+module.exports = {
+  description: 'Create managers and fund_managers',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS managers (
+        id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL,
+        normalized_name TEXT NOT NULL UNIQUE,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS fund_managers (
+        id SERIAL PRIMARY KEY,
+        kuvera_code TEXT NOT NULL,
+        manager_id INTEGER NOT NULL REFERENCES managers(id) ON DELETE CASCADE,
+        start_date DATE NOT NULL,
+        end_date DATE
+      )
+    `);
+
+    // At most one open tenure per manager and fund
+    await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_fund_managers_open ON fund_managers(kuvera_code, manager_id) WHERE end_date IS NULL`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_fund_managers_manager_id ON fund_managers(manager_id)`);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS fund_managers');
+    await client.query('DROP TABLE IF EXISTS managers');
+  }
+};
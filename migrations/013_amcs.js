@@ -0,0 +1,37 @@
+/**
+ * 013: AMCs
+ * One row per fund house (AMC), keyed by the data source's fund-house key,
+ * with house-level aggregates refreshed after every publish (see amcs.js).
+ * fund_rejections gains the fund's house so Stage 9 cuts can be counted per
+ * house. Both live in public, outside the staged dataset.
+ */
+
+module.exports = {
+  description: 'Create amcs and record the fund house of rejections',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS amcs (
+        fund_house TEXT PRIMARY KEY,
+        name TEXT,
+        first_seen_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        active_funds INTEGER NOT NULL DEFAULT 0,
+        funds_by_category JSONB NOT NULL DEFAULT '{}',
+        total_aum DECIMAL(15,2),
+        avg_expense_ratio DECIMAL(5,2),
+        avg_score DECIMAL(5,2),
+        cut_funds INTEGER NOT NULL DEFAULT 0,
+        survival_rate DECIMAL(5,4),
+        aggregates_updated_at TIMESTAMPTZ
+      )
+    `);
+
+    await client.query('ALTER TABLE fund_rejections ADD COLUMN IF NOT EXISTS fund_house TEXT');
+  },
+
+  async down(client) {
+    await client.query('ALTER TABLE fund_rejections DROP COLUMN IF EXISTS fund_house');
+    await client.query('DROP TABLE IF EXISTS amcs');
+  }
+};
@@ -0,0 +1,29 @@
+/**
+ * 014: Regular plan siblings
+ * The regular plan of each direct-growth fund, paired during discovery (see
+ * plan-pairs.js), with the expense ratio, NAV and returns needed to show what
+ * the direct plan saves.
+ */
+
+const COLUMNS = [
+  'regular_code TEXT',
+  'regular_expense_ratio DECIMAL(5,2)',
+  'regular_nav DECIMAL(10,5)',
+  'regular_nav_date DATE',
+  'regular_returns_1y DECIMAL(8,4)',
+  'regular_returns_3y DECIMAL(8,4)',
+  'regular_returns_5y DECIMAL(8,4)'
+];
+
+module.exports = {
+  description: 'Add regular plan columns to funds',
+  published: true,
+
+  async up(client) {
+    await client.query(`ALTER TABLE funds ${COLUMNS.map(column => `ADD COLUMN IF NOT EXISTS ${column}`).join(', ')}`);
+  },
+
+  async down(client) {
+    await client.query(`ALTER TABLE funds ${COLUMNS.map(column => `DROP COLUMN IF EXISTS ${column.split(' ')[0]}`).join(', ')}`);
+  }
+};
@@ -0,0 +1,32 @@
+/**
+ * 015: Fund quarantine
+ * Funds whose fetched data failed the anomaly checks (see anomalies.js), one
+ * row per fund with the reasons of its latest check, plus the funds each run
+ * quarantined on sync_runs. Lives in public, outside the staged dataset.
+ */
+
+module.exports = {
+  description: 'Create fund_quarantine and record quarantined funds per run',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS fund_quarantine (
+        kuvera_code TEXT PRIMARY KEY,
+        scheme_name TEXT,
+        fund_category TEXT,
+        fund_house TEXT,
+        reasons JSONB NOT NULL,
+        run_id INTEGER,
+        quarantined_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        last_flagged_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query('ALTER TABLE sync_runs ADD COLUMN IF NOT EXISTS quarantined_funds JSONB');
+  },
+
+  async down(client) {
+    await client.query('ALTER TABLE sync_runs DROP COLUMN IF EXISTS quarantined_funds');
+    await client.query('DROP TABLE IF EXISTS fund_quarantine');
+  }
+};
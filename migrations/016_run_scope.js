@@ -0,0 +1,18 @@
+/**
+ * 016: Run scope
+ * The scope of each sync run (all, category:<name>, fund:<code> or retry),
+ * so fund counts are only compared between runs that covered the same funds.
+ * Runs recorded before this migration have no scope.
+ */
+
+module.exports = {
+  description: 'Add scope to sync_runs',
+
+  async up(client) {
+    await client.query('ALTER TABLE sync_runs ADD COLUMN IF NOT EXISTS scope TEXT');
+  },
+
+  async down(client) {
+    await client.query('ALTER TABLE sync_runs DROP COLUMN IF EXISTS scope');
+  }
+};
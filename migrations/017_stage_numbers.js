@@ -0,0 +1,34 @@
+/**
+ * 017: Stage numbers
+ * Anomaly detection (14) and category average history (15) were numbered
+ * after the stages that existed before them, not where they run. Stages are
+ * now numbered in pipeline order; this renumbers the stages of recorded runs
+ * to match, so old and new runs list the same stage under the same number.
+ */
+
+// Old stage number -> new stage number, for the stages that moved
+const RENUMBERED = {
+  14: 4, 4: 5, 5: 6, 6: 7, 7: 8, 8: 9, 9: 10, 10: 11, 15: 12, 11: 13, 12: 14, 13: 15
+};
+
+// Shift the moved stages out of the way first, so no intermediate number collides with UNIQUE (run_id, stage_number)
+async function renumber(client, mapping) {
+  const from = Object.keys(mapping).map(Number);
+  const cases = from.map(number => `WHEN ${number + 100} THEN ${mapping[number]}`).join(' ');
+
+  await client.query('UPDATE sync_run_stages SET stage_number = stage_number + 100 WHERE stage_number = ANY($1::int[])', [from]);
+  await client.query(`UPDATE sync_run_stages SET stage_number = CASE stage_number ${cases} END WHERE stage_number >= 100`);
+}
+
+module.exports = {
+  description: 'Renumber recorded sync stages in pipeline order',
+
+  async up(client) {
+    await renumber(client, RENUMBERED);
+  },
+
+  async down(client) {
+    const inverse = Object.fromEntries(Object.entries(RENUMBERED).map(([from, to]) => [to, Number(from)]));
+    await renumber(client, inverse);
+  }
+};
@@ -0,0 +1,21 @@
+/**
+ * 018: Funds cut at the score cutoff
+ * Funds below their category's score cutoff were deleted, so a rescore
+ * normalized only the survivors and cut again. They are now kept as inactive
+ * rows flagged below_cutoff: scored and normalized with their category, but
+ * not published, and reinstated when their score clears the cutoff.
+ */
+
+module.exports = {
+  description: 'Add below_cutoff to funds',
+  published: true,
+
+  async up(client) {
+    await client.query('ALTER TABLE funds ADD COLUMN IF NOT EXISTS below_cutoff BOOLEAN NOT NULL DEFAULT FALSE');
+  },
+
+  async down(client) {
+    await client.query('DELETE FROM funds WHERE below_cutoff');
+    await client.query('ALTER TABLE funds DROP COLUMN IF EXISTS below_cutoff');
+  }
+};
@@ -0,0 +1,17 @@
+/**
+ * 019: Rejection NAV
+ * The NAV a filter-rejected fund had when it was rejected, so the freshness
+ * check can skip refetching it until its list NAV moves.
+ */
+
+module.exports = {
+  description: 'Record the NAV of filter rejections',
+
+  async up(client) {
+    await client.query('ALTER TABLE fund_rejections ADD COLUMN IF NOT EXISTS current_nav DECIMAL(10,5)');
+  },
+
+  async down(client) {
+    await client.query('ALTER TABLE fund_rejections DROP COLUMN IF EXISTS current_nav');
+  }
+};
@@ -0,0 +1,115 @@
+const { Pool } = require('pg');
+const fs = require('fs').promises;
+require('dotenv').config();
+
+const { parseNavAll } = require('./amfi-parser');
+const { upsertNavs } = require('./nav-history');
+const { readNumberEnv } = require('./retry-utils');
+const { assertSchemaCurrent } = require('./schema-migrations');
+
+// Database connection
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+/**
+ * Map AMFI rows to stored funds: by scheme code when the funds came from the
+ * AMFI data source, otherwise by growth or reinvestment ISIN
+ * @returns {Promise<Function>} - row → kuvera_code or null
+ */
+async function loadFundMatcher() {
+  const { rows } = await pool.query('SELECT kuvera_code, isin FROM funds');
+  const codes = new Set(rows.map(row => row.kuvera_code));
+  const codesByIsin = new Map(rows.filter(row => row.isin).map(row => [row.isin, row.kuvera_code]));
+
+  return row => {
+    if (codes.has(row.schemeCode)) {
+      return row.schemeCode;
+    }
+    return codesByIsin.get(row.isinGrowth) || codesByIsin.get(row.isinReinvestment) || null;
+  };
+}
+
+/**
+ * Import historical NAVs from an AMFI NAV history report or NAVAll.txt file
+ * into nav_history. Only funds stored in `funds` (active or not) are imported.
+ * @param {string} file - Path to the AMFI file
+ * @param {Object} options - { fund, since, until: Date }
+ * @returns {Promise<Object>} - { parsed, matched, inserted, updated, unmatchedSchemes }
+ */
+async function backfillNavHistory(file, options = {}) {
+  // NAV_BACKFILL_BATCH_SIZE: rows per upsert statement (default 5000)
+  const batchSize = readNumberEnv('NAV_BACKFILL_BATCH_SIZE', 5000);
+  const since = options.since ? options.since.toISOString().slice(0, 10) : null;
+  const until = options.until ? options.until.toISOString().slice(0, 10) : null;
+
+  try {
+    await assertSchemaCurrent(pool);
+    console.log(`📥 Reading ${file}...`);
+    const rows = parseNavAll(await fs.readFile(file, 'utf8'));
+    const matchFund = await loadFundMatcher();
+
+    const navs = [];
+    const unmatchedSchemes = new Set();
+    rows.forEach(row => {
+      if (!row.navDate || (since && row.navDate < since) || (until && row.navDate > until)) {
+        return;
+      }
+      const code = matchFund(row);
+      if (!code) {
+        unmatchedSchemes.add(row.schemeCode);
+        return;
+      }
+      if (options.fund && code !== options.fund) {
+        return;
+      }
+      navs.push({ kuvera_code: code, nav_date: row.navDate, nav: row.nav });
+    });
+    console.log(`🔗 ${rows.length} NAV rows parsed, ${navs.length} matched to stored funds (${unmatchedSchemes.size} schemes not stored)`);
+
+    const result = { parsed: rows.length, matched: navs.length, inserted: 0, updated: 0, unmatchedSchemes: unmatchedSchemes.size };
+    for (let i = 0; i < navs.length; i += batchSize) {
+      const { inserted, updated } = await upsertNavs(pool, navs.slice(i, i + batchSize), 'amfi');
+      result.inserted += inserted;
+      result.updated += updated;
+    }
+    console.log(`✅ NAV history backfilled: ${result.inserted} new, ${result.updated} corrected, ${navs.length - result.inserted - result.updated} already stored`);
+
+    return result;
+
+  } catch (error) {
+    console.error('NAV backfill failed:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Main execution
+async function main() {
+  const file = process.argv[2];
+  if (!file) {
+    throw new Error('Usage: node nav-backfill.js <AMFI NAV file>');
+  }
+
+  console.log('📈 MF Compass NAV History Backfill');
+  console.log('==================================');
+
+  await backfillNavHistory(file);
+}
+
+// Run the backfill
+if (require.main === module) {
+  main()
+    .then(() => {
+      console.log('\n✅ NAV backfill utility completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 NAV backfill utility failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { backfillNavHistory };
@@ -0,0 +1,95 @@
+/**
+ * MF Compass NAV History
+ * Daily NAVs per fund in nav_history, keyed by (kuvera_code, nav_date). Every
+ * sync appends the current and previous-day NAV of each fund whose details it
+ * fetched, published or not (quarantined funds excepted), and `node cli.js
+ * backfill` imports older NAVs from AMFI files. Writes are upserts,
+ * so repeating a sync or a backfill changes nothing; a NAV that differs from
+ * the stored one replaces it.
+ */
+
+// Only rows whose NAV changed are rewritten, so repeated writes leave recorded_at alone
+const UPSERT_CONFLICT = `
+  ON CONFLICT (kuvera_code, nav_date) DO UPDATE SET
+    nav = EXCLUDED.nav,
+    source = EXCLUDED.source,
+    recorded_at = CURRENT_TIMESTAMP
+  WHERE nav_history.nav IS DISTINCT FROM EXCLUDED.nav
+  RETURNING (xmax = 0) AS inserted
+`;
+
+function countWrites(rows) {
+  const inserted = rows.filter(row => row.inserted).length;
+  return { inserted, updated: rows.length - inserted };
+}
+
+// Pooled sessions may have switched time zone, so dates are passed as YYYY-MM-DD
+function toDateParam(value) {
+  if (!value) {
+    return null;
+  }
+  return value instanceof Date ? value.toISOString().slice(0, 10) : value;
+}
+
+/**
+ * Append the current and previous-day NAVs from fetched fund details: filtered-out
+ * and cut funds too, so their prices are kept if they are published later
+ * @param {Pool} pool - pg pool; nav_history lives in public, outside staging
+ * @param {Array} fundDetails - Fund details with nav and last_nav: { nav, date }
+ * @returns {Promise<Object>} - { inserted, updated }
+ */
+async function recordFetchedNavs(pool, fundDetails) {
+  const navs = [];
+  fundDetails.forEach(fund => {
+    // The current NAV goes last so it wins over a previous-day NAV for the same date
+    [fund.last_nav, fund.nav].forEach(entry => {
+      const nav = entry ? parseFloat(entry.nav) : NaN;
+      const date = entry && entry.date ? new Date(entry.date) : null;
+      if (!isNaN(nav) && date && !isNaN(date)) {
+        navs.push({ kuvera_code: fund.code, nav_date: toDateParam(date), nav });
+      }
+    });
+  });
+  return upsertNavs(pool, navs, 'sync');
+}
+
+/**
+ * Upsert NAVs, e.g. parsed from an AMFI file
+ * @param {Pool} pool - pg pool
+ * @param {Array} navs - { kuvera_code, nav_date: YYYY-MM-DD, nav }; a later duplicate wins
+ * @param {string} source - Recorded with each row, e.g. 'amfi'
+ * @returns {Promise<Object>} - { inserted, updated }
+ */
+async function upsertNavs(pool, navs, source) {
+  // ON CONFLICT cannot touch the same row twice in one statement
+  const unique = new Map(navs.map(nav => [`${nav.kuvera_code}|${nav.nav_date}`, nav]));
+
+  const { rows } = await pool.query(`
+    INSERT INTO nav_history (kuvera_code, nav_date, nav, source)
+    SELECT kuvera_code, nav_date, nav, $2
+    FROM jsonb_to_recordset($1::jsonb) AS n(kuvera_code TEXT, nav_date DATE, nav DECIMAL(10,5))
+    ${UPSERT_CONFLICT}
+  `, [JSON.stringify([...unique.values()]), source]);
+  return countWrites(rows);
+}
+
+/**
+ * A fund's NAV series, oldest first
+ * @param {Pool} pool - pg pool
+ * @param {string} code - Kuvera code
+ * @param {Object} options - { since, until: Date or YYYY-MM-DD, both inclusive }
+ * @returns {Promise<Array>} - { nav_date: YYYY-MM-DD, nav, source }
+ */
+async function getNavSeries(pool, code, options = {}) {
+  const { rows } = await pool.query(`
+    SELECT to_char(nav_date, 'YYYY-MM-DD') AS nav_date, nav, source
+    FROM nav_history
+    WHERE kuvera_code = $1
+      AND ($2::date IS NULL OR nav_date >= $2::date)
+      AND ($3::date IS NULL OR nav_date <= $3::date)
+    ORDER BY nav_date
+  `, [code, toDateParam(options.since), toDateParam(options.until)]);
+  return rows;
+}
+
+module.exports = { recordFetchedNavs, upsertNavs, getNavSeries };
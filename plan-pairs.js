@@ -0,0 +1,86 @@
+/**
+ * MF Compass Direct/Regular Plan Pairs
+ * Discovery lists both plans of a scheme, but only direct plans pass the
+ * filters. Each direct-growth fund is paired with its regular-plan sibling:
+ * same fund house, same scheme name once the plan words are removed. The
+ * regular plan's details are fetched with the rest of the run and stored on
+ * the direct plan's row (regular_* columns), so the expense drag can be shown.
+ */
+
+// Words that name the plan or option rather than the scheme
+const PLAN_WORDS = /\b(direct|regular|plan|growth|option)\b/gi;
+
+// SQL for the gaps between the plans; positive values favour the direct plan
+const PLAN_GAPS = {
+  expense_ratio_gap: 'regular_expense_ratio - expense_ratio',
+  returns_gap_1y: 'returns_1y - regular_returns_1y',
+  returns_gap_3y: 'returns_3y - regular_returns_3y',
+  returns_gap_5y: 'returns_5y - regular_returns_5y'
+};
+
+function planType(name) {
+  if (/\bregular\b/i.test(name)) {
+    return 'regular';
+  }
+  return /\bdirect\b/i.test(name) ? 'direct' : null;
+}
+
+function schemeKey(fund) {
+  const scheme = fund.name.replace(PLAN_WORDS, ' ').replace(/[-()/,.]/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+  return `${fund.fundHouse}\u0000${scheme}`;
+}
+
+/**
+ * Find the regular plan of each direct plan among the discovered funds.
+ * A direct plan with no regular sibling, or with several candidates, stays unpaired.
+ * @param {Array} funds - Discovered funds: [{ code, name, fundHouse }]
+ * @returns {Map} - Direct plan code → regular plan code
+ */
+function pairRegularPlans(funds) {
+  const regularPlans = new Map();
+  funds.filter(fund => planType(fund.name) === 'regular').forEach(fund => {
+    const key = schemeKey(fund);
+    regularPlans.set(key, [...(regularPlans.get(key) || []), fund]);
+  });
+
+  const pairs = new Map();
+  funds.filter(fund => planType(fund.name) === 'direct').forEach(fund => {
+    const candidates = regularPlans.get(schemeKey(fund)) || [];
+    if (candidates.length === 1) {
+      pairs.set(fund.code, candidates[0].code);
+    }
+  });
+
+  return pairs;
+}
+
+/**
+ * The regular_* columns of a direct plan's row
+ * @param {Object|null} detail - Regular plan details from the data source, or null when unpaired
+ * @returns {Object} - Keyed by funds column
+ */
+function regularPlanColumns(detail) {
+  if (!detail) {
+    return {
+      regular_code: null,
+      regular_expense_ratio: null,
+      regular_nav: null,
+      regular_nav_date: null,
+      regular_returns_1y: null,
+      regular_returns_3y: null,
+      regular_returns_5y: null
+    };
+  }
+
+  return {
+    regular_code: detail.code,
+    regular_expense_ratio: detail.expense_ratio ? parseFloat(detail.expense_ratio) : null,
+    regular_nav: detail.nav ? parseFloat(detail.nav.nav) : null,
+    regular_nav_date: detail.nav ? new Date(detail.nav.date) : null,
+    regular_returns_1y: detail.returns ? detail.returns.year_1 ?? null : null,
+    regular_returns_3y: detail.returns ? detail.returns.year_3 ?? null : null,
+    regular_returns_5y: detail.returns ? detail.returns.year_5 ?? null : null
+  };
+}
+
+module.exports = { PLAN_GAPS, pairRegularPlans, regularPlanColumns };
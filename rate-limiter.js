@@ -0,0 +1,196 @@
+/**
+ * MF Compass Adaptive Rate Limiter
+ * Concurrency pool that keeps N requests in flight and adjusts N with
+ * additive-increase / multiplicative-decrease based on upstream feedback
+ */
+
+class AdaptiveRateLimiter {
+  /**
+   * @param {Object} options - Limiter settings
+   * @param {number} options.concurrency - Initial number of requests in flight
+   * @param {number} options.minConcurrency - Lower bound when backing off
+   * @param {number} options.maxConcurrency - Upper bound when speeding up
+   * @param {number} options.latencyFactor - Slow down when latency exceeds baseline by this factor
+   * @param {number} options.adjustIntervalMs - Minimum time between two slow-downs
+   */
+  constructor(options = {}) {
+    this.minConcurrency = Math.max(1, options.minConcurrency ?? 1);
+    this.maxConcurrency = Math.max(this.minConcurrency, options.maxConcurrency ?? 20);
+    this.concurrency = Math.min(this.maxConcurrency, Math.max(this.minConcurrency, options.concurrency ?? 8));
+    this.latencyFactor = options.latencyFactor ?? 2;
+    this.adjustIntervalMs = options.adjustIntervalMs ?? 1000;
+
+    this.queue = [];
+    this.inFlight = 0;
+
+    // Latency tracking (exponentially weighted moving average)
+    this.latencyEwma = null;
+    this.baselineLatencyMs = null;
+    this.latencySamples = 0;
+    this.healthyStreak = 0;
+    this.lastDecreaseAt = 0;
+
+    this.stats = {
+      startedAt: null,
+      finishedAt: null,
+      tasksCompleted: 0,
+      tasksFailed: 0,
+      attempts: 0,
+      throttled: 0,
+      taskLatencies: [],
+      increases: 0,
+      decreases: 0,
+      minConcurrencySeen: this.concurrency,
+      maxConcurrencySeen: this.concurrency
+    };
+  }
+
+  /**
+   * Queue an async task; it starts as soon as a slot is free
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} - Resolves or rejects with the task result
+   */
+  schedule(task) {
+    if (this.stats.startedAt === null) {
+      this.stats.startedAt = Date.now();
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.drain();
+    });
+  }
+
+  drain() {
+    while (this.inFlight < this.concurrency && this.queue.length > 0) {
+      const { task, resolve, reject } = this.queue.shift();
+      const startedAt = Date.now();
+      this.inFlight++;
+
+      Promise.resolve()
+        .then(task)
+        .then(
+          value => {
+            this.stats.tasksCompleted++;
+            resolve(value);
+          },
+          error => {
+            this.stats.tasksFailed++;
+            reject(error);
+          }
+        )
+        .finally(() => {
+          this.stats.taskLatencies.push(Date.now() - startedAt);
+          this.stats.finishedAt = Date.now();
+          this.inFlight--;
+          this.drain();
+        });
+    }
+  }
+
+  /**
+   * Feed back the outcome of a single HTTP attempt
+   * @param {Object} attempt - { success, status, durationMs }
+   */
+  observe(attempt) {
+    this.stats.attempts++;
+
+    if (attempt.status === 429) {
+      this.stats.throttled++;
+      this.decrease(0.5, 'throttled');
+      return;
+    }
+
+    if (!attempt.success) {
+      this.healthyStreak = 0;
+      return;
+    }
+
+    this.recordLatency(attempt.durationMs);
+
+    if (this.baselineLatencyMs !== null && this.latencyEwma > this.baselineLatencyMs * this.latencyFactor) {
+      this.decrease(0.75, 'latency');
+      return;
+    }
+
+    // Additive increase once a full window of requests came back healthy
+    this.healthyStreak++;
+    if (this.healthyStreak >= this.concurrency && this.concurrency < this.maxConcurrency) {
+      this.setConcurrency(this.concurrency + 1);
+      this.stats.increases++;
+      this.healthyStreak = 0;
+    }
+  }
+
+  recordLatency(durationMs) {
+    this.latencySamples++;
+    this.latencyEwma = this.latencyEwma === null
+      ? durationMs
+      : this.latencyEwma * 0.8 + durationMs * 0.2;
+
+    // Baseline is the best sustained latency once a few samples are in
+    if (this.latencySamples >= 5 && (this.baselineLatencyMs === null || this.latencyEwma < this.baselineLatencyMs)) {
+      this.baselineLatencyMs = this.latencyEwma;
+    }
+  }
+
+  decrease(factor, reason) {
+    this.healthyStreak = 0;
+
+    const now = Date.now();
+    if (now - this.lastDecreaseAt < this.adjustIntervalMs) {
+      return;
+    }
+    this.lastDecreaseAt = now;
+
+    const next = Math.max(this.minConcurrency, Math.floor(this.concurrency * factor));
+    if (next < this.concurrency) {
+      console.warn(`🐢 Slowing down (${reason}): concurrency ${this.concurrency} → ${next}`);
+      this.setConcurrency(next);
+      this.stats.decreases++;
+    }
+  }
+
+  setConcurrency(value) {
+    this.concurrency = value;
+    this.stats.minConcurrencySeen = Math.min(this.stats.minConcurrencySeen, value);
+    this.stats.maxConcurrencySeen = Math.max(this.stats.maxConcurrencySeen, value);
+    this.drain();
+  }
+
+  /**
+   * Throughput statistics for reporting
+   * @returns {Object} - Summary of the limiter's run
+   */
+  getStats() {
+    const { startedAt, finishedAt, taskLatencies } = this.stats;
+    const elapsedMs = startedAt !== null && finishedAt !== null ? finishedAt - startedAt : 0;
+    const tasks = this.stats.tasksCompleted + this.stats.tasksFailed;
+    const sorted = [...taskLatencies].sort((a, b) => a - b);
+    const avgLatencyMs = sorted.length > 0
+      ? Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length)
+      : 0;
+    const p95LatencyMs = sorted.length > 0
+      ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))]
+      : 0;
+
+    return {
+      tasks,
+      succeeded: this.stats.tasksCompleted,
+      failed: this.stats.tasksFailed,
+      attempts: this.stats.attempts,
+      throttled: this.stats.throttled,
+      elapsedMs,
+      requestsPerSecond: elapsedMs > 0 ? Math.round((tasks / (elapsedMs / 1000)) * 100) / 100 : 0,
+      avgLatencyMs,
+      p95LatencyMs,
+      finalConcurrency: this.concurrency,
+      minConcurrency: this.stats.minConcurrencySeen,
+      maxConcurrency: this.stats.maxConcurrencySeen,
+      increases: this.stats.increases,
+      decreases: this.stats.decreases
+    };
+  }
+}
+
+module.exports = { AdaptiveRateLimiter };
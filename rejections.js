@@ -0,0 +1,100 @@
+const { Pool } = require('pg');
+require('dotenv').config();
+
+// Database connection
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+function formatValue(value) {
+  return value === null || value === undefined ? 'missing' : JSON.stringify(value);
+}
+
+// Rejected fund counts per stage and rule from the latest rejections
+async function showRejectionSummary() {
+  const { rows } = await pool.query(`
+    SELECT stage, failure->>'rule' AS rule, failure->>'description' AS description, COUNT(*) AS count
+    FROM fund_rejections, jsonb_array_elements(failed_rules) AS failure
+    GROUP BY stage, failure->>'rule', failure->>'description'
+    ORDER BY stage, count DESC
+  `);
+  
+  if (rows.length === 0) {
+    console.log('No rejected funds recorded.');
+    return;
+  }
+  
+  console.log('Rejected funds per rule:');
+  rows.forEach(row => {
+    console.log(`  - [${row.stage}] ${row.rule} (${row.description}): ${row.count}`);
+  });
+}
+
+/**
+ * Explain why funds matching a code or name fragment are not listed
+ * @param {string} search - Kuvera code or case-insensitive name fragment
+ */
+async function explainFund(search) {
+  const { rows: listed } = await pool.query(`
+    SELECT kuvera_code, scheme_name, total_score FROM funds
+    WHERE is_active AND (kuvera_code = $1 OR scheme_name ILIKE '%' || $1 || '%')
+  `, [search]);
+  
+  const { rows: rejected } = await pool.query(`
+    SELECT r.*, s.started_at AS run_started_at
+    FROM fund_rejections r
+    LEFT JOIN sync_runs s ON s.id = r.run_id
+    WHERE r.kuvera_code = $1 OR r.scheme_name ILIKE '%' || $1 || '%'
+    ORDER BY r.scheme_name
+  `, [search]);
+  
+  listed.forEach(fund => {
+    console.log(`✅ ${fund.kuvera_code}: ${fund.scheme_name} is listed (score ${fund.total_score})`);
+  });
+  
+  rejected.forEach(rejection => {
+    const run = rejection.run_id ? `run #${rejection.run_id}` : 'unknown run';
+    console.log(`\n❌ ${rejection.kuvera_code}: ${rejection.scheme_name} (${rejection.fund_category})`);
+    console.log(`  Rejected at ${rejection.stage} stage in ${run}, ${rejection.rejected_at.toISOString()}`);
+    rejection.failed_rules.forEach(failure => {
+      console.log(`  - ${failure.rule}: ${failure.description} (expected ${formatValue(failure.param)}, got ${formatValue(failure.actual)})`);
+    });
+  });
+  
+  if (listed.length === 0 && rejected.length === 0) {
+    console.log(`No fund matching "${search}" was listed or rejected. It may be outside the fund universe, or its details could not be fetched.`);
+  }
+}
+
+// Main execution
+async function main() {
+  const search = process.argv[2];
+  
+  console.log('🗒️ MF Compass Fund Rejections');
+  console.log('=============================');
+  
+  try {
+    if (search) {
+      await explainFund(search);
+    } else {
+      await showRejectionSummary();
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run the report
+if (require.main === module) {
+  main()
+    .then(() => {
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 Fund rejections report failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { explainFund, showRejectionSummary };
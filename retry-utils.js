@@ -0,0 +1,261 @@
+/**
+ * MF Compass Request Resilience
+ * Retry with exponential backoff and jitter, plus a circuit breaker that stops
+ * calling an upstream API once its recent error rate crosses a threshold
+ */
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function readNumberEnv(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : value;
+}
+
+class CircuitBreaker {
+  /**
+   * @param {Object} options - Breaker settings
+   * @param {number} options.errorThreshold - Error rate (0-1) that opens the circuit
+   * @param {number} options.minRequests - Minimum outcomes in the window before the rate is trusted
+   * @param {number} options.windowSize - Number of recent outcomes considered
+   * @param {number} options.cooldownMs - Time the circuit stays open before a trial request
+   */
+  constructor(options = {}) {
+    this.errorThreshold = options.errorThreshold ?? 0.5;
+    this.minRequests = options.minRequests ?? 20;
+    this.windowSize = options.windowSize ?? 50;
+    this.cooldownMs = options.cooldownMs ?? 30000;
+
+    this.state = 'closed';
+    this.outcomes = [];
+    this.openedAt = null;
+    this.timesOpened = 0;
+
+    // Half-open lets one trial request through; the others wait for its outcome
+    this.trialInFlight = false;
+    this.trialWaiters = [];
+  }
+
+  /**
+   * Wait until a request may be made: at once while closed, after the cooldown
+   * while open, and while half-open only as the single trial request or once
+   * that trial has settled
+   * @returns {Promise<boolean>} - True when the caller is the trial request and must call settleTrial()
+   */
+  async acquire() {
+    for (;;) {
+      if (this.state === 'closed') {
+        return false;
+      }
+
+      if (this.state === 'open') {
+        const waitMs = this.openedAt + this.cooldownMs - Date.now();
+        if (waitMs > 0) {
+          await sleep(waitMs);
+          continue;
+        }
+        this.state = 'half-open';
+      }
+
+      if (!this.trialInFlight) {
+        this.trialInFlight = true;
+        return true;
+      }
+      await new Promise(resolve => this.trialWaiters.push(resolve));
+    }
+  }
+
+  /**
+   * End the trial request after its outcome was recorded, waking the requests waiting on it
+   */
+  settleTrial() {
+    this.trialInFlight = false;
+    const waiters = this.trialWaiters;
+    this.trialWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  /**
+   * @param {boolean} trial - Whether the outcome is the trial request's; while half-open, only
+   *   the trial decides whether the circuit closes or reopens, not requests started before it opened
+   */
+  recordSuccess(trial = false) {
+    if (this.state === 'half-open' && trial) {
+      this.state = 'closed';
+      this.outcomes = [];
+    }
+    this.pushOutcome(true);
+  }
+
+  recordFailure(trial = false) {
+    this.pushOutcome(false);
+
+    if (this.state === 'half-open') {
+      if (trial) {
+        this.open();
+      }
+      return;
+    }
+
+    if (this.state === 'closed' && this.outcomes.length >= this.minRequests &&
+        this.getErrorRate() >= this.errorThreshold) {
+      this.open();
+    }
+  }
+
+  open() {
+    this.state = 'open';
+    this.openedAt = Date.now();
+    this.timesOpened++;
+    console.warn(`⚡ Circuit breaker opened (error rate ${Math.round(this.getErrorRate() * 100)}%), pausing for ${this.cooldownMs}ms`);
+  }
+
+  pushOutcome(success) {
+    this.outcomes.push(success);
+    if (this.outcomes.length > this.windowSize) {
+      this.outcomes.shift();
+    }
+  }
+
+  getErrorRate() {
+    if (this.outcomes.length === 0) {
+      return 0;
+    }
+    const failures = this.outcomes.filter(success => !success).length;
+    return failures / this.outcomes.length;
+  }
+}
+
+/**
+ * Decide whether an axios error is worth retrying
+ * @param {Error} error - Error thrown by axios
+ * @returns {boolean} - True for network errors, timeouts, 429 and 5xx
+ */
+function isRetryableError(error) {
+  if (!error.response) {
+    // Timeouts, resets and DNS failures never reach a response
+    return Boolean(error.code || error.request);
+  }
+  const status = error.response.status;
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Parse a Retry-After header given either as seconds or as an HTTP date
+ * @param {string} headerValue - Raw header value
+ * @returns {number|null} - Delay in milliseconds, or null if absent/unparseable
+ */
+function parseRetryAfter(headerValue) {
+  if (headerValue === undefined || headerValue === null || headerValue === '') {
+    return null;
+  }
+
+  const seconds = Number(headerValue);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(headerValue);
+  if (!isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Exponential backoff with full jitter
+ * @param {number} attempt - Attempt number that just failed (1-based)
+ * @param {Object} policy - Retry policy with baseDelayMs and maxDelayMs
+ * @returns {number} - Delay in milliseconds
+ */
+function computeBackoffDelay(attempt, policy) {
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Run an async operation with retries and an optional circuit breaker.
+ * While the circuit is open, attempts wait for the cooldown instead of failing.
+ * @param {Function} operation - Async function receiving the attempt number
+ * @param {Object} policy - { maxRetries, baseDelayMs, maxDelayMs, maxRetryAfterMs }
+ * @param {Object} hooks - { breaker, onAttempt(attemptRecord) }
+ * @returns {Promise<*>} - Result of the first successful attempt
+ */
+async function withRetry(operation, policy, hooks = {}) {
+  const { breaker, onAttempt } = hooks;
+  const maxAttempts = policy.maxRetries + 1;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const trial = breaker ? await breaker.acquire() : false;
+    const startedAt = Date.now();
+
+    try {
+      const result = await operation(attempt);
+
+      if (breaker) {
+        breaker.recordSuccess(trial);
+      }
+      if (trial) {
+        breaker.settleTrial();
+      }
+      if (onAttempt) {
+        onAttempt({ attempt, success: true, durationMs: Date.now() - startedAt, status: 200 });
+      }
+      return result;
+
+    } catch (error) {
+      const retryable = isRetryableError(error);
+      const status = error.response ? error.response.status : null;
+
+      // Only upstream failures count against the breaker; a trial that got any other answer just ends
+      if (breaker && retryable) {
+        breaker.recordFailure(trial);
+      }
+      if (trial) {
+        breaker.settleTrial();
+      }
+
+      const isLastAttempt = attempt === maxAttempts;
+      let delayMs = null;
+
+      if (retryable && !isLastAttempt) {
+        delayMs = computeBackoffDelay(attempt, policy);
+        if (status === 429) {
+          const retryAfterMs = parseRetryAfter(error.response.headers && error.response.headers['retry-after']);
+          if (retryAfterMs !== null) {
+            delayMs = Math.min(Math.max(delayMs, retryAfterMs), policy.maxRetryAfterMs);
+          }
+        }
+      }
+
+      if (onAttempt) {
+        onAttempt({
+          attempt,
+          success: false,
+          durationMs: Date.now() - startedAt,
+          status,
+          error: error.message,
+          retryable,
+          nextDelayMs: delayMs
+        });
+      }
+
+      if (delayMs === null) {
+        throw error;
+      }
+
+      await sleep(delayMs);
+    }
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  withRetry,
+  isRetryableError,
+  parseRetryAfter,
+  computeBackoffDelay,
+  readNumberEnv
+};
@@ -0,0 +1,55 @@
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const { PREVIOUS_SCHEMA, rollbackToPrevious } = require('./staging');
+
+// Database connection
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+async function rollbackDatabase() {
+  const client = await pool.connect();
+  
+  try {
+    console.log(`Restoring the previous dataset from ${PREVIOUS_SCHEMA}...`);
+    await rollbackToPrevious(client);
+    console.log(`Rollback completed. The replaced dataset is now in ${PREVIOUS_SCHEMA}.`);
+  } catch (error) {
+    console.error('Rollback failed:', error.message);
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+// Main execution
+async function main() {
+  try {
+    console.log('⏪ MF Compass Dataset Rollback');
+    console.log('==============================');
+    
+    await rollbackDatabase();
+    
+  } catch (error) {
+    console.error('💥 Dataset rollback failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run the rollback utility
+if (require.main === module) {
+  main()
+    .then(() => {
+      console.log('\n✅ Dataset rollback utility completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 Dataset rollback utility failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { rollbackDatabase };
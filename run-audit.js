@@ -0,0 +1,236 @@
+/**
+ * MF Compass Sync Run Audit
+ * Records every sync run in sync_runs and each of its stages in
+ * sync_run_stages: timings, input/output counts, filter breakdown, failed
+ * fund codes, errors and the final status. Audit writes never fail a sync.
+ *
+ * Run statuses: running, completed, no_new_data, failed
+ * Stage statuses: running, completed, skipped, failed
+ *
+ * The tables are created by migrations/003_run_audit.js.
+ */
+
+class RunAudit {
+  /**
+   * @param {Pool} pool - pg pool; audit tables live in public, outside staging
+   */
+  constructor(pool) {
+    this.pool = pool;
+    this.runId = null;
+    this.startedAt = null;
+    this.stage = null;
+    this.summary = {};
+  }
+
+  // Run an audit write, logging instead of throwing so a sync never fails on bookkeeping
+  async write(description, sql, params) {
+    try {
+      const { rows } = await this.pool.query(sql, params);
+      return rows;
+    } catch (error) {
+      console.warn(`⚠️ Run audit: could not ${description}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async start(details = {}) {
+    this.startedAt = Date.now();
+
+    const rows = await this.write('start run', `
+      INSERT INTO sync_runs (data_source) VALUES ($1) RETURNING id
+    `, [details.dataSource || null]);
+    if (rows) {
+      this.runId = rows[0].id;
+      console.log(`🧾 Sync run #${this.runId}`);
+    }
+  }
+
+  /**
+   * Mark a stage as started and print its heading
+   * @param {number} number - Stage number in seedDatabase
+   * @param {string} name - Stage name
+   * @param {number|null} inputCount - Records going into the stage
+   */
+  async beginStage(number, name, inputCount = null) {
+    console.log(`Stage ${number}: ${name}`);
+    this.stage = { number, name, startedAt: Date.now() };
+
+    if (this.runId === null) {
+      return;
+    }
+    await this.write('record stage start', `
+      INSERT INTO sync_run_stages (run_id, stage_number, stage_name, started_at, input_count)
+      VALUES ($1, $2, $3, to_timestamp($4 / 1000.0), $5)
+      ON CONFLICT (run_id, stage_number) DO NOTHING
+    `, [this.runId, number, name, this.stage.startedAt, inputCount]);
+  }
+
+  /**
+   * Mark the current stage as finished
+   * @param {Object} result - { outputCount, details, status }
+   */
+  async endStage(result = {}) {
+    const stage = this.stage;
+    this.stage = null;
+    if (!stage || this.runId === null) {
+      return;
+    }
+
+    const finishedAt = Date.now();
+    await this.write('record stage end', `
+      UPDATE sync_run_stages
+      SET finished_at = to_timestamp($3 / 1000.0), duration_ms = $4, status = $5,
+          output_count = $6, details = $7
+      WHERE run_id = $1 AND stage_number = $2
+    `, [
+      this.runId,
+      stage.number,
+      finishedAt,
+      finishedAt - stage.startedAt,
+      result.status || 'completed',
+      result.outputCount ?? null,
+      result.details ? JSON.stringify(result.details) : null
+    ]);
+  }
+
+  // Record a stage that did not need to run
+  async skipStage(number, name, reason) {
+    console.log(`Stage ${number}: ${name} skipped (${reason})`);
+    this.stage = { number, name, startedAt: Date.now() };
+    if (this.runId !== null) {
+      await this.write('record skipped stage', `
+        INSERT INTO sync_run_stages (run_id, stage_number, stage_name, started_at)
+        VALUES ($1, $2, $3, to_timestamp($4 / 1000.0))
+        ON CONFLICT (run_id, stage_number) DO NOTHING
+      `, [this.runId, number, name, this.stage.startedAt]);
+    }
+    await this.endStage({ status: 'skipped', details: { reason } });
+  }
+
+  /**
+   * Merge run-level figures (mode, funds_discovered, filter_stats, failed_funds, ...)
+   * @param {Object} values - Column values keyed by sync_runs column name
+   */
+  record(values) {
+    Object.assign(this.summary, values);
+  }
+
+  async finish(status) {
+    await this.close(status, null);
+  }
+
+  async fail(error) {
+    if (this.stage && this.runId !== null) {
+      const stage = this.stage;
+      const finishedAt = Date.now();
+      await this.write('record stage failure', `
+        UPDATE sync_run_stages
+        SET finished_at = to_timestamp($3 / 1000.0), duration_ms = $4, status = 'failed', error = $5
+        WHERE run_id = $1 AND stage_number = $2
+      `, [this.runId, stage.number, finishedAt, finishedAt - stage.startedAt, error.message]);
+    }
+    this.stage = null;
+    await this.close('failed', error.message);
+  }
+
+  async close(status, errorMessage) {
+    if (this.runId === null) {
+      return;
+    }
+
+    const summary = this.summary;
+    await this.write('finish run', `
+      UPDATE sync_runs
+      SET finished_at = CURRENT_TIMESTAMP, duration_ms = $2, status = $3, error = $4,
+          mode = $5, funds_discovered = $6, funds_fetched = $7, funds_passed = $8,
+          funds_published = $9, filter_stats = $10, failed_funds = $11, quarantined_funds = $12, scope = $13
+      WHERE id = $1
+    `, [
+      this.runId,
+      Date.now() - this.startedAt,
+      status,
+      errorMessage,
+      summary.mode ?? null,
+      summary.funds_discovered ?? null,
+      summary.funds_fetched ?? null,
+      summary.funds_passed ?? null,
+      summary.funds_published ?? null,
+      summary.filter_stats ? JSON.stringify(summary.filter_stats) : null,
+      summary.failed_funds ? JSON.stringify(summary.failed_funds) : null,
+      summary.quarantined_funds ? JSON.stringify(summary.quarantined_funds) : null,
+      summary.scope ?? null
+    ]);
+  }
+}
+
+/**
+ * Load the most recent runs with their stages, newest first
+ * @param {Pool} pool - pg pool
+ * @param {number} limit - Number of runs
+ * @param {Date|null} since - Only runs started at or after this time
+ * @returns {Promise<Array>} - sync_runs rows with a `stages` array
+ */
+async function getRecentRuns(pool, limit, since = null) {
+  const { rows: runs } = await pool.query(`
+    SELECT * FROM sync_runs
+    WHERE $2::timestamptz IS NULL OR started_at >= $2::timestamptz
+    ORDER BY started_at DESC, id DESC LIMIT $1
+  `, [limit, since]);
+  if (runs.length === 0) {
+    return runs;
+  }
+
+  const { rows: stages } = await pool.query(`
+    SELECT * FROM sync_run_stages WHERE run_id = ANY($1::int[]) ORDER BY run_id, started_at, stage_number
+  `, [runs.map(run => run.id)]);
+
+  return runs.map(run => ({
+    ...run,
+    stages: stages.filter(stage => stage.run_id === run.id)
+  }));
+}
+
+/**
+ * Flag completed runs whose fund counts fell compared with the previous completed
+ * run of the same mode and scope; a category or retry run covers fewer funds than a
+ * full one, and a rescore discovers and fetches nothing. An incremental run passes
+ * only the funds it refetched, so its funds_passed is not compared.
+ * @param {Array} runs - Runs newest first, as returned by getRecentRuns
+ * @param {number} maxDropRatio - Allowed drop (0-1) before a count is flagged
+ * @returns {Map<number, Array<string>>} - Regression messages by run id
+ */
+function findRegressions(runs, maxDropRatio) {
+  const regressions = new Map();
+  const completed = runs.filter(run => run.status === 'completed');
+  const fields = ['funds_discovered', 'funds_passed', 'funds_published'];
+
+  completed.forEach((run, index) => {
+    const previous = completed.slice(index + 1).find(other => other.mode === run.mode && other.scope === run.scope);
+    if (!previous) {
+      return;
+    }
+
+    const messages = [];
+    fields.forEach(field => {
+      if (field === 'funds_passed' && run.mode === 'incremental') {
+        return;
+      }
+      const current = run[field];
+      const before = previous[field];
+      if (current === null || before === null || before === 0) {
+        return;
+      }
+      if (current < before * (1 - maxDropRatio)) {
+        messages.push(`${field} fell from ${before} to ${current} (run #${previous.id})`);
+      }
+    });
+
+    if (messages.length > 0) {
+      regressions.set(run.id, messages);
+    }
+  });
+
+  return regressions;
+}
+
+module.exports = { RunAudit, getRecentRuns, findRegressions };
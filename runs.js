@@ -0,0 +1,137 @@
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const { getRecentRuns, findRegressions } = require('./run-audit');
+const { listCheckpoints } = require('./checkpoints');
+const { readNumberEnv } = require('./retry-utils');
+
+// Database connection
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+const STATUS_ICONS = {
+  completed: '✅',
+  no_new_data: '⏸️',
+  failed: '❌',
+  running: '⏳',
+  skipped: '⏭️'
+};
+
+function formatDuration(ms) {
+  return ms === null ? '-' : `${(ms / 1000).toFixed(1)}s`;
+}
+
+function formatCount(value) {
+  return value === null ? '-' : value;
+}
+
+/**
+ * Print the last N sync runs with per-stage metrics, flagging fund-count regressions
+ * @param {number} limit - Number of runs to show
+ * @param {Object} options - { since: Date }
+ * @returns {Promise<Object>} - { runs, regressions: { runId: [message] } }
+ */
+async function showRecentRuns(limit, options = {}) {
+  // A fund count that falls by more than this share versus the previous completed run is flagged
+  const maxDropRatio = readNumberEnv('SYNC_RUNS_REGRESSION_RATIO', 0.1);
+  
+  try {
+    const runs = await getRecentRuns(pool, limit, options.since || null);
+    if (runs.length === 0) {
+      console.log('No sync runs recorded yet.');
+      return { runs, regressions: {} };
+    }
+    
+    const regressions = findRegressions(runs, maxDropRatio);
+    
+    for (const run of runs) {
+      const icon = STATUS_ICONS[run.status] || '•';
+      console.log(`\n${icon} Run #${run.id} - ${run.status} - ${run.started_at.toISOString()} (${formatDuration(run.duration_ms)})`);
+      console.log(`  Source: ${run.data_source || '-'}, mode: ${run.mode || '-'}, scope: ${run.scope || '-'}`);
+      console.log(`  Funds: ${formatCount(run.funds_discovered)} discovered, ${formatCount(run.funds_fetched)} fetched, ${formatCount(run.funds_passed)} passed, ${formatCount(run.funds_published)} published`);
+      
+      if (run.failed_funds && run.failed_funds.length > 0) {
+        console.log(`  Failed funds: ${run.failed_funds.map(failedFund => failedFund.fundCode).join(', ')}`);
+      }
+      if (run.quarantined_funds && run.quarantined_funds.length > 0) {
+        console.log(`  Quarantined funds: ${run.quarantined_funds.map(fund => `${fund.code} (${fund.reasons.map(reason => reason.check).join(', ')})`).join(', ')}`);
+      }
+      if (run.error) {
+        console.log(`  Error: ${run.error}`);
+      }
+      
+      run.stages.forEach(stage => {
+        const stageIcon = STATUS_ICONS[stage.status] || '•';
+        console.log(`    ${stageIcon} ${stage.stage_number}. ${stage.stage_name}: ${formatCount(stage.input_count)} → ${formatCount(stage.output_count)} (${formatDuration(stage.duration_ms)})`);
+      });
+      
+      (regressions.get(run.id) || []).forEach(message => {
+        console.log(`  ⚠️ Regression: ${message}`);
+      });
+    }
+    
+    if (regressions.size > 0) {
+      console.log(`\n⚠️ ${regressions.size} runs show a drop in fund counts`);
+    }
+    
+    return { runs, regressions: Object.fromEntries(regressions) };
+    
+  } finally {
+    await pool.end();
+  }
+}
+
+/**
+ * Print the checkpoints interrupted syncs left behind, optionally deleting them
+ * @param {Object} options - { clear }
+ * @returns {Promise<Array>} - One row per checkpoint key
+ */
+async function showCheckpoints(options = {}) {
+  try {
+    const checkpoints = await listCheckpoints(pool, options);
+    if (checkpoints.length === 0) {
+      console.log('No sync checkpoints stored.');
+      return checkpoints;
+    }
+    
+    checkpoints.forEach(checkpoint => {
+      console.log(`♻️ ${checkpoint.checkpoint_key} - run #${checkpoint.run_id ?? '-'} - saved ${checkpoint.updated_at.toISOString()}`);
+      console.log(`  Completed: ${checkpoint.stages.join(', ')}`);
+    });
+    
+    if (options.clear) {
+      console.log(`\n🧹 Cleared ${checkpoints.length} checkpoints; the next sync starts fresh`);
+    }
+    
+    return checkpoints;
+    
+  } finally {
+    await pool.end();
+  }
+}
+
+// Main execution
+async function main() {
+  const limit = parseInt(process.argv[2]) || 10;
+  
+  console.log('🧾 MF Compass Sync Runs');
+  console.log('=======================');
+  
+  await showRecentRuns(limit);
+}
+
+// Run the report
+if (require.main === module) {
+  main()
+    .then(() => {
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 Sync runs report failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { showRecentRuns, showCheckpoints };
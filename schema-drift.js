@@ -0,0 +1,243 @@
+/**
+ * MF Compass Schema Drift Tracker
+ * Validates API records against declarative schemas and accumulates a drift
+ * report (missing, new and type-changed fields) across a whole run
+ *
+ * Schema format:
+ *   { name, fields: { 'dotted.path': { type, required, critical } } }
+ *
+ * Types: string, number, numeric (number or numeric string), date, boolean, object, array
+ */
+
+class SchemaDriftError extends Error {
+  constructor(message, violations) {
+    super(message);
+    this.name = 'SchemaDriftError';
+    this.violations = violations;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+function matchesType(value, expected) {
+  const actual = typeOf(value);
+  switch (expected) {
+    case 'numeric':
+      return actual === 'number' || (actual === 'string' && value.trim() !== '' && !isNaN(Number(value)));
+    case 'date':
+      return actual === 'string' && !isNaN(Date.parse(value));
+    default:
+      return actual === expected;
+  }
+}
+
+/**
+ * Flatten a record to dotted paths. Arrays are leaves; nested objects recurse.
+ * @param {Object} record - Record to flatten
+ * @param {string} prefix - Path prefix
+ * @param {Object} paths - Accumulator
+ * @returns {Object} - { path: value }
+ */
+function flattenPaths(record, prefix = '', paths = {}) {
+  for (const [key, value] of Object.entries(record)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (typeOf(value) === 'object') {
+      paths[path] = value;
+      flattenPaths(value, path, paths);
+    } else {
+      paths[path] = value;
+    }
+  }
+  return paths;
+}
+
+class SchemaDriftTracker {
+  /**
+   * @param {Object} schemas - Schemas keyed by schema id
+   */
+  constructor(schemas) {
+    this.schemas = schemas;
+    this.reset();
+  }
+
+  reset() {
+    this.stats = {};
+    for (const schemaId of Object.keys(this.schemas)) {
+      this.stats[schemaId] = {
+        records: 0,
+        missing: {},
+        nulls: {},
+        typeChanged: {},
+        newFields: {}
+      };
+    }
+  }
+
+  /**
+   * Validate one record and fold the outcome into the run statistics
+   * @param {string} schemaId - Schema id (e.g. "fundDetails")
+   * @param {Object} record - Record to validate
+   * @returns {Array<Object>} - Issues found in this record
+   */
+  validate(schemaId, record) {
+    const schema = this.schemas[schemaId];
+    if (!schema) {
+      throw new Error(`Unknown schema: ${schemaId}`);
+    }
+
+    const stats = this.stats[schemaId];
+    const issues = [];
+    stats.records++;
+
+    if (typeOf(record) !== 'object') {
+      issues.push({ path: '', issue: 'not_an_object', actual: typeOf(record) });
+      return issues;
+    }
+
+    const paths = flattenPaths(record);
+
+    for (const [path, spec] of Object.entries(schema.fields)) {
+      if (!(path in paths)) {
+        stats.missing[path] = (stats.missing[path] || 0) + 1;
+        if (spec.required) {
+          issues.push({ path, issue: 'missing' });
+        }
+        continue;
+      }
+
+      const value = paths[path];
+      if (value === null || value === undefined) {
+        stats.nulls[path] = (stats.nulls[path] || 0) + 1;
+        continue;
+      }
+
+      if (!matchesType(value, spec.type)) {
+        const actual = typeOf(value);
+        const entry = stats.typeChanged[path] || { expected: spec.type, actual: {} };
+        entry.actual[actual] = (entry.actual[actual] || 0) + 1;
+        stats.typeChanged[path] = entry;
+        issues.push({ path, issue: 'type_changed', expected: spec.type, actual });
+      }
+    }
+
+    for (const path of Object.keys(paths)) {
+      if (!schema.fields[path] && !this.isDeclaredParent(schema, path)) {
+        stats.newFields[path] = (stats.newFields[path] || 0) + 1;
+      }
+    }
+
+    return issues;
+  }
+
+  // "returns" is implied by "returns.year_1" and is not a new field
+  isDeclaredParent(schema, path) {
+    const prefix = `${path}.`;
+    return Object.keys(schema.fields).some(field => field.startsWith(prefix));
+  }
+
+  /**
+   * Build the drift report for every schema that saw records
+   * @returns {Object} - Report keyed by schema id
+   */
+  getReport() {
+    const report = {};
+
+    for (const [schemaId, stats] of Object.entries(this.stats)) {
+      if (stats.records === 0) {
+        continue;
+      }
+
+      const schema = this.schemas[schemaId];
+      const ratio = count => Math.round((count / stats.records) * 1000) / 1000;
+
+      report[schemaId] = {
+        name: schema.name,
+        records: stats.records,
+        missing: Object.entries(stats.missing)
+          .map(([path, count]) => ({ path, count, ratio: ratio(count), critical: Boolean(schema.fields[path].critical) }))
+          .sort((a, b) => b.count - a.count),
+        nulls: Object.entries(stats.nulls)
+          .map(([path, count]) => ({ path, count, ratio: ratio(count) }))
+          .sort((a, b) => b.count - a.count),
+        typeChanged: Object.entries(stats.typeChanged)
+          .map(([path, entry]) => ({
+            path,
+            expected: entry.expected,
+            actual: entry.actual,
+            count: Object.values(entry.actual).reduce((sum, value) => sum + value, 0)
+          }))
+          .sort((a, b) => b.count - a.count),
+        newFields: Object.entries(stats.newFields)
+          .map(([path, count]) => ({ path, count, ratio: ratio(count) }))
+          .sort((a, b) => b.count - a.count)
+      };
+    }
+
+    return report;
+  }
+
+  /**
+   * Critical fields that are absent (or of the wrong type) in more than the allowed share of records
+   * @param {Array<string>} schemaIds - Schemas to check
+   * @param {number} maxRatio - Allowed share of records without the field (0-1)
+   * @returns {Array<Object>} - { schemaId, path, ratio, reason }
+   */
+  getCriticalViolations(schemaIds, maxRatio) {
+    const violations = [];
+
+    for (const schemaId of schemaIds) {
+      const stats = this.stats[schemaId];
+      if (!stats || stats.records === 0) {
+        continue;
+      }
+
+      for (const [path, spec] of Object.entries(this.schemas[schemaId].fields)) {
+        if (!spec.critical) {
+          continue;
+        }
+
+        const missing = stats.missing[path] || 0;
+        const typeChanged = stats.typeChanged[path]
+          ? Object.values(stats.typeChanged[path].actual).reduce((sum, value) => sum + value, 0)
+          : 0;
+        const ratio = (missing + typeChanged) / stats.records;
+
+        if (ratio > maxRatio) {
+          violations.push({
+            schemaId,
+            path,
+            ratio: Math.round(ratio * 1000) / 1000,
+            reason: missing >= typeChanged ? 'missing' : 'type_changed'
+          });
+        }
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Throw when a critical field has disappeared for most records
+   * @param {Array<string>} schemaIds - Schemas to check
+   * @param {number} maxRatio - Allowed share of records without the field (0-1)
+   */
+  assertCriticalFields(schemaIds, maxRatio) {
+    const violations = this.getCriticalViolations(schemaIds, maxRatio);
+    if (violations.length > 0) {
+      const summary = violations
+        .map(v => `${v.schemaId}.${v.path} ${v.reason} in ${Math.round(v.ratio * 100)}% of records`)
+        .join('; ');
+      throw new SchemaDriftError(`Critical schema drift detected: ${summary}`, violations);
+    }
+  }
+}
+
+module.exports = { SchemaDriftTracker, SchemaDriftError, flattenPaths };
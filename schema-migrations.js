@@ -0,0 +1,260 @@
+/**
+ * MF Compass Schema Migrations
+ * The database schema is defined by numbered migrations in migrations/
+ * (NNN_name.js, each exporting up and down). Applied versions are recorded in
+ * schema_migrations, and sync refuses to run unless the database is at exactly
+ * the latest version this code knows.
+ *
+ * Migrations marked `published: true` change the published tables (funds,
+ * category_averages). They also run against the dataset kept for rollback in
+ * mf_previous, and every sync replays them to build its staging tables.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { STAGING_SCHEMA, PREVIOUS_SCHEMA, PUBLISHED_TABLES } = require('./staging');
+const { STAGING_STAGES } = require('./checkpoints');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{3})_([a-z0-9_]+)\.js$/;
+
+class SchemaVersionError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'SchemaVersionError';
+    this.status = status;
+  }
+}
+
+/**
+ * Load the migrations shipped with this code, lowest version first
+ * @returns {Array<Object>} - { version, name, description, published, up, down }
+ */
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.js'))
+    .map(file => {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) {
+        throw new Error(`Migration file ${file} must be named NNN_name.js`);
+      }
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up and down functions`);
+      }
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        description: migration.description || match[2],
+        published: Boolean(migration.published),
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+}
+
+// The one table managed outside migrations: it records which migrations ran
+async function createMigrationTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS public.schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Compare the applied versions with the migrations shipped with this code
+ * @param {Pool} pool - pg pool
+ * @returns {Promise<Object>} - { current, latest, applied, pending, unknown }
+ */
+async function getSchemaStatus(pool) {
+  const migrations = loadMigrations();
+  const client = await pool.connect();
+
+  try {
+    await createMigrationTable(client);
+    const { rows: applied } = await client.query('SELECT version, name, applied_at FROM public.schema_migrations ORDER BY version');
+    const appliedVersions = new Set(applied.map(row => row.version));
+    const knownVersions = new Set(migrations.map(migration => migration.version));
+
+    return {
+      current: applied.length > 0 ? applied[applied.length - 1].version : 0,
+      latest: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+      applied,
+      pending: migrations.filter(migration => !appliedVersions.has(migration.version)),
+      unknown: applied.filter(row => !knownVersions.has(row.version))
+    };
+
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Throw unless every known migration is applied and no unknown one is
+ * @param {Pool} pool - pg pool
+ * @returns {Promise<Object>} - Schema status
+ */
+async function assertSchemaCurrent(pool) {
+  const status = await getSchemaStatus(pool);
+
+  if (status.unknown.length > 0) {
+    throw new SchemaVersionError(
+      `Database schema has migrations this code does not know (${status.unknown.map(row => `${row.version}_${row.name}`).join(', ')}); deploy newer code or roll them back`,
+      status
+    );
+  }
+  if (status.pending.length > 0) {
+    throw new SchemaVersionError(
+      `Database schema is at version ${status.current}, this code needs ${status.latest}; run "node cli.js migrate" first`,
+      status
+    );
+  }
+
+  return status;
+}
+
+async function schemaHasPublishedTables(client, schema) {
+  const { rows } = await client.query(`
+    SELECT COUNT(*)::int AS count FROM information_schema.tables
+    WHERE table_schema = $1 AND table_name = ANY($2::text[])
+  `, [schema, PUBLISHED_TABLES]);
+  return rows[0].count === PUBLISHED_TABLES.length;
+}
+
+// Run one direction of a migration in public, and in mf_previous for published migrations
+async function runMigration(client, migration, direction) {
+  await migration[direction](client);
+
+  if (migration.published && await schemaHasPublishedTables(client, PREVIOUS_SCHEMA)) {
+    await client.query(`SET LOCAL search_path TO ${PREVIOUS_SCHEMA}`);
+    await migration[direction](client);
+    await client.query('SET LOCAL search_path TO DEFAULT');
+  }
+}
+
+// Staging left by an interrupted sync has the old shape, so it is dropped after published changes
+async function discardStaging(client) {
+  await client.query(`DROP SCHEMA IF EXISTS ${STAGING_SCHEMA} CASCADE`);
+  if ((await client.query("SELECT to_regclass('public.sync_checkpoints') IS NOT NULL AS exists")).rows[0].exists) {
+    await client.query('DELETE FROM public.sync_checkpoints WHERE stage = ANY($1::text[])', [STAGING_STAGES]);
+  }
+}
+
+/**
+ * Apply pending migrations in order, each in its own transaction
+ * @param {Pool} pool - pg pool
+ * @param {Object} options - { to: highest version to apply (default: latest) }
+ * @returns {Promise<Array>} - Migrations applied
+ */
+async function migrateUp(pool, options = {}) {
+  const status = await getSchemaStatus(pool);
+  if (status.unknown.length > 0) {
+    throw new SchemaVersionError(`Database has unknown migrations (${status.unknown.map(row => row.version).join(', ')}); refusing to migrate`, status);
+  }
+
+  const target = options.to ?? status.latest;
+  const migrations = status.pending.filter(migration => migration.version <= target);
+  const client = await pool.connect();
+
+  try {
+    for (const migration of migrations) {
+      console.log(`⬆️ ${String(migration.version).padStart(3, '0')}_${migration.name}: ${migration.description}`);
+      await client.query('BEGIN');
+      try {
+        await runMigration(client, migration, 'up');
+        if (migration.published) {
+          await discardStaging(client);
+        }
+        await client.query('INSERT INTO public.schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migration.version}_${migration.name} failed: ${error.message}`);
+      }
+    }
+
+    return migrations;
+
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Roll back applied migrations, newest first
+ * @param {Pool} pool - pg pool
+ * @param {Object} options - { to: version to roll back to (default: one step back) }
+ * @returns {Promise<Array>} - Migrations rolled back
+ */
+async function migrateDown(pool, options = {}) {
+  const status = await getSchemaStatus(pool);
+  if (status.unknown.length > 0) {
+    throw new SchemaVersionError(`Database has unknown migrations (${status.unknown.map(row => row.version).join(', ')}); they cannot be rolled back by this code`, status);
+  }
+
+  const migrations = loadMigrations();
+  const appliedVersions = status.applied.map(row => row.version).reverse();
+  const target = options.to ?? (appliedVersions[1] || 0);
+  const toRollBack = appliedVersions
+    .filter(version => version > target)
+    .map(version => migrations.find(migration => migration.version === version));
+  const client = await pool.connect();
+
+  try {
+    for (const migration of toRollBack) {
+      console.log(`⬇️ ${String(migration.version).padStart(3, '0')}_${migration.name}: ${migration.description}`);
+      await client.query('BEGIN');
+      try {
+        await runMigration(client, migration, 'down');
+        if (migration.published) {
+          await discardStaging(client);
+        }
+        await client.query('DELETE FROM public.schema_migrations WHERE version = $1', [migration.version]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Rollback of migration ${migration.version}_${migration.name} failed: ${error.message}`);
+      }
+    }
+
+    return toRollBack;
+
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Create the published tables in the schema the client's search_path points at
+ * (staging) by replaying every published migration
+ * @param {PoolClient} client - Client inside a transaction
+ */
+async function applyPublishedMigrations(client) {
+  for (const migration of loadMigrations().filter(migration => migration.published)) {
+    await migration.up(client);
+  }
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  SchemaVersionError,
+  loadMigrations,
+  getSchemaStatus,
+  assertSchemaCurrent,
+  migrateUp,
+  migrateDown,
+  applyPublishedMigrations
+};
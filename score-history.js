@@ -0,0 +1,191 @@
+/**
+ * MF Compass Score History
+ * After every publish, the normalized score, raw score and category rank of
+ * each published fund are snapshotted into score_history, together with the
+ * funds Stage 9 cut below their category's score cutoff. All rows of one
+ * snapshot share scored_at. The movers report compares the latest snapshot
+ * with an earlier one.
+ *
+ * Config:
+ * - MOVERS_WINDOW_DAYS: comma-separated windows compared by the movers report (default 7)
+ * - MOVERS_LIMIT: funds listed per section (default 10)
+ */
+
+const { readNumberEnv } = require('./retry-utils');
+
+/**
+ * Snapshot the published funds and the funds cut at Stage 9
+ * @param {Pool} pool - pg pool; called after publish, so funds is the live table
+ * @param {number|null} runId - sync_runs id
+ * @param {Array} cutFunds - Stage 9 rejections: [{ fund: { code, name, fund_category, raw_score }, failures }]
+ * @returns {Promise<Object>} - { published, cut }
+ */
+async function recordScoreSnapshot(pool, runId, cutFunds) {
+  const cut = cutFunds.map(({ fund, failures }) => ({
+    kuvera_code: fund.code,
+    scheme_name: fund.name,
+    fund_category: fund.fund_category,
+    total_score: failures[0].actual,
+    raw_score: fund.raw_score
+  }));
+
+  const { rows } = await pool.query(`
+    INSERT INTO score_history (
+      scored_at, kuvera_code, run_id, scheme_name, fund_category, status,
+      total_score, raw_score, category_rank, category_size
+    )
+    SELECT CURRENT_TIMESTAMP, kuvera_code, $1::integer, scheme_name, fund_category, 'published',
+           total_score, raw_score,
+           RANK() OVER (PARTITION BY fund_category ORDER BY total_score DESC NULLS LAST),
+           COUNT(*) OVER (PARTITION BY fund_category)
+    FROM funds
+    WHERE is_active
+    UNION ALL
+    SELECT CURRENT_TIMESTAMP, kuvera_code, $1::integer, scheme_name, fund_category, 'cut',
+           total_score, raw_score, NULL, NULL
+    FROM jsonb_to_recordset($2::jsonb) AS c(
+      kuvera_code TEXT, scheme_name TEXT, fund_category TEXT, total_score DECIMAL(5,2), raw_score DECIMAL(10,2)
+    )
+    RETURNING status
+  `, [runId, JSON.stringify(cut)]);
+
+  return {
+    published: rows.filter(row => row.status === 'published').length,
+    cut: rows.filter(row => row.status === 'cut').length
+  };
+}
+
+async function loadSnapshot(pool, scoredAt, category) {
+  const { rows } = await pool.query(`
+    SELECT kuvera_code, scheme_name, fund_category, status, total_score, raw_score, category_rank, category_size
+    FROM score_history
+    WHERE scored_at = $1 AND ($2::text IS NULL OR fund_category = $2)
+  `, [scoredAt, category]);
+  return rows.map(row => ({
+    ...row,
+    total_score: row.total_score === null ? null : parseFloat(row.total_score),
+    raw_score: row.raw_score === null ? null : parseFloat(row.raw_score)
+  }));
+}
+
+function roundDelta(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Compare the latest snapshot with the last one taken at least `days` before it
+ * (or the oldest one, when the history is shorter than the window)
+ * @param {Pool} pool - pg pool
+ * @param {number} days - Window length in days
+ * @param {Object} options - { category, limit }
+ * @returns {Promise<Object|null>} - Report, or null without two snapshots to compare
+ */
+async function buildMoversReport(pool, days, options = {}) {
+  const limit = options.limit ?? readNumberEnv('MOVERS_LIMIT', 10);
+  const category = options.category || null;
+
+  const { rows: [window] } = await pool.query(`
+    WITH latest AS (SELECT MAX(scored_at) AS scored_at FROM score_history)
+    SELECT latest.scored_at AS latest,
+           (SELECT MAX(scored_at) FROM score_history
+            WHERE scored_at <= latest.scored_at - make_interval(days => $1)) AS baseline,
+           (SELECT MIN(scored_at) FROM score_history) AS oldest
+    FROM latest
+  `, [days]);
+  const baselineAt = window.baseline || window.oldest;
+  if (!window.latest || baselineAt.getTime() === window.latest.getTime()) {
+    return null;
+  }
+
+  const [latest, baseline] = await Promise.all([
+    loadSnapshot(pool, window.latest, category),
+    loadSnapshot(pool, baselineAt, category)
+  ]);
+  const published = snapshot => new Map(
+    snapshot.filter(row => row.status === 'published').map(row => [row.kuvera_code, row])
+  );
+  const latestByCode = published(latest);
+  const baselineByCode = published(baseline);
+
+  const changes = [];
+  latestByCode.forEach((after, code) => {
+    const before = baselineByCode.get(code);
+    if (before && before.total_score !== null && after.total_score !== null) {
+      changes.push({
+        code,
+        name: after.scheme_name,
+        category: after.fund_category,
+        before: before.total_score,
+        after: after.total_score,
+        delta: roundDelta(after.total_score - before.total_score),
+        rawDelta: before.raw_score === null || after.raw_score === null ? null : roundDelta(after.raw_score - before.raw_score),
+        rankBefore: before.fund_category === after.fund_category ? before.category_rank : null,
+        rankAfter: after.category_rank
+      });
+    }
+  });
+
+  // Published at the start of the window, not now, and cut at Stage 9 by a run inside it
+  const { rows: cutRows } = await pool.query(`
+    SELECT DISTINCT ON (kuvera_code) kuvera_code, scheme_name, fund_category, total_score, scored_at
+    FROM score_history
+    WHERE status = 'cut' AND scored_at > $1 AND scored_at <= $2
+      AND ($3::text IS NULL OR fund_category = $3)
+    ORDER BY kuvera_code, scored_at DESC
+  `, [baselineAt, window.latest, category]);
+
+  return {
+    days,
+    from: baselineAt.toISOString(),
+    to: window.latest.toISOString(),
+    partial: !window.baseline,
+    gains: changes.filter(change => change.delta > 0).sort((a, b) => b.delta - a.delta).slice(0, limit),
+    losses: changes.filter(change => change.delta < 0).sort((a, b) => a.delta - b.delta).slice(0, limit),
+    rankChanges: changes
+      .filter(change => change.rankBefore !== null && change.rankBefore !== change.rankAfter)
+      .sort((a, b) => Math.abs(b.rankBefore - b.rankAfter) - Math.abs(a.rankBefore - a.rankAfter))
+      .slice(0, limit),
+    newEntrants: [...latestByCode.values()]
+      .filter(row => !baselineByCode.has(row.kuvera_code))
+      .sort((a, b) => (b.total_score ?? -Infinity) - (a.total_score ?? -Infinity))
+      .slice(0, limit)
+      .map(row => ({ code: row.kuvera_code, name: row.scheme_name, category: row.fund_category, score: row.total_score, rank: row.category_rank })),
+    cut: cutRows
+      .filter(row => baselineByCode.has(row.kuvera_code) && !latestByCode.has(row.kuvera_code))
+      .map(row => ({
+        code: row.kuvera_code,
+        name: row.scheme_name,
+        category: row.fund_category,
+        before: baselineByCode.get(row.kuvera_code).total_score,
+        score: parseFloat(row.total_score),
+        cutAt: row.scored_at.toISOString()
+      }))
+  };
+}
+
+function printMoversReport(report) {
+  const window = report.partial ? `${report.days}d window, history only reaches back to ${report.from}` : `${report.days}d window`;
+  console.log(`\n📊 Movers from ${report.from} to ${report.to} (${window}):`);
+
+  const section = (title, items, format) => {
+    console.log(`\n  ${title}:`);
+    if (items.length === 0) {
+      console.log('    (none)');
+    }
+    items.forEach(item => console.log(`    ${format(item)}`));
+  };
+  const signed = value => `${value > 0 ? '+' : ''}${value}`;
+
+  section('Biggest gains', report.gains, change =>
+    `▲ ${change.code} (${change.category}): ${change.before} → ${change.after} (${signed(change.delta)})`);
+  section('Biggest losses', report.losses, change =>
+    `▼ ${change.code} (${change.category}): ${change.before} → ${change.after} (${signed(change.delta)})`);
+  section('Rank changes', report.rankChanges, change =>
+    `↕ ${change.code} (${change.category}): #${change.rankBefore} → #${change.rankAfter}`);
+  section('New entrants', report.newEntrants, fund =>
+    `+ ${fund.code} (${fund.category}): score ${fund.score}, rank #${fund.rank}`);
+  section('Fell below the score cutoff', report.cut, fund =>
+    `- ${fund.code} (${fund.category}): ${fund.before} → ${fund.score}`);
+}
+
+module.exports = { recordScoreSnapshot, buildMoversReport, printMoversReport };
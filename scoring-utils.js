@@ -4,15 +4,22 @@
  * Implements category-wise normalization for fair comparison
  */
 
+const fundUniverse = require('./fund-universe');
+
 class ScoringUtils {
   constructor() {
-    // Base weights for different return periods
-    this.baseWeights = {
-      returns_1y: 0.3499,   // ~35% - Most important (full market cycle)
-      returns_3y: 0.3999,   // ~40% - Medium-term consistency
-      returns_5y: 0.2499,   // ~25% - Long-term performance
-      returns_1w: 0.0003    // Neglible but included - Recent momentum (minimal weight)
-    };
+    // Base weights for different return periods, from the fund universe defaults:
+    // ~35% 1y (full market cycle), ~40% 3y (consistency), ~25% 5y (long term), negligible 1w (momentum)
+    this.baseWeights = { ...fundUniverse.defaults.scoring.weights };
+  }
+
+  /**
+   * Return-period weights for a category (fund universe override or base weights)
+   * @param {string} fundCategory - Fund category name
+   * @returns {Object} - Weights keyed by return field
+   */
+  getWeights(fundCategory) {
+    return fundUniverse.getScoring(fundCategory).weights || this.baseWeights;
   }
 
   /**
@@ -48,6 +55,7 @@ class ScoringUtils {
    */
   calculateRawScore(fundData, categoryAverages = null) {
     const { returns_1y, returns_3y, returns_5y, returns_1w, fund_category, fund_type } = fundData;
+    const weights = this.getWeights(fundData.fund_category);
     
     // If no category averages provided, fall back to absolute returns (backward compatibility)
     if (!categoryAverages) {
@@ -90,25 +98,25 @@ class ScoringUtils {
     if (returns_1y !== null && returns_1y !== undefined && !isNaN(returns_1y) && 
         categoryAvg.returns_1y !== null && categoryAvg.returns_1y !== undefined && !isNaN(categoryAvg.returns_1y)) {
       outperformanceReturns.returns_1y = robustOutperformance(parseFloat(returns_1y), parseFloat(categoryAvg.returns_1y));
-      totalAvailableWeight += this.baseWeights.returns_1y;
+      totalAvailableWeight += weights.returns_1y;
     }
     
     if (returns_3y !== null && returns_3y !== undefined && !isNaN(returns_3y) && 
         categoryAvg.returns_3y !== null && categoryAvg.returns_3y !== undefined && !isNaN(categoryAvg.returns_3y)) {
       outperformanceReturns.returns_3y = robustOutperformance(parseFloat(returns_3y), parseFloat(categoryAvg.returns_3y));
-      totalAvailableWeight += this.baseWeights.returns_3y;
+      totalAvailableWeight += weights.returns_3y;
     }
     
     if (returns_5y !== null && returns_5y !== undefined && !isNaN(returns_5y) && 
         categoryAvg.returns_5y !== null && categoryAvg.returns_5y !== undefined && !isNaN(categoryAvg.returns_5y)) {
       outperformanceReturns.returns_5y = robustOutperformance(parseFloat(returns_5y), parseFloat(categoryAvg.returns_5y));
-      totalAvailableWeight += this.baseWeights.returns_5y;
+      totalAvailableWeight += weights.returns_5y;
     }
     
     if (returns_1w !== null && returns_1w !== undefined && !isNaN(returns_1w) && 
         categoryAvg.returns_1w !== null && categoryAvg.returns_1w !== undefined && !isNaN(categoryAvg.returns_1w)) {
       outperformanceReturns.returns_1w = robustOutperformance(parseFloat(returns_1w), parseFloat(categoryAvg.returns_1w));
-      totalAvailableWeight += this.baseWeights.returns_1w;
+      totalAvailableWeight += weights.returns_1w;
     }
     
     // If no outperformance data available, return 0
@@ -119,7 +127,7 @@ class ScoringUtils {
     // Calculate weighted outperformance score with normalized weights
     let totalScore = 0;
     Object.keys(outperformanceReturns).forEach(key => {
-      const adjustedWeight = this.baseWeights[key] / totalAvailableWeight;
+      const adjustedWeight = weights[key] / totalAvailableWeight;
       totalScore += outperformanceReturns[key] * adjustedWeight;
     });
     
@@ -133,6 +141,7 @@ class ScoringUtils {
    */
   calculateAbsoluteReturnsScore(fundData) {
     const { returns_1y, returns_3y, returns_5y, returns_1w } = fundData;
+    const weights = this.getWeights(fundData.fund_category);
     
     // Calculate adjusted weights based on available data
     let totalAvailableWeight = 0;
@@ -141,22 +150,22 @@ class ScoringUtils {
     // Check each return period for data availability
     if (returns_1y !== null && returns_1y !== undefined && !isNaN(returns_1y)) {
       availableReturns.returns_1y = parseFloat(returns_1y);
-      totalAvailableWeight += this.baseWeights.returns_1y;
+      totalAvailableWeight += weights.returns_1y;
     }
     
     if (returns_3y !== null && returns_3y !== undefined && !isNaN(returns_3y)) {
       availableReturns.returns_3y = parseFloat(returns_3y);
-      totalAvailableWeight += this.baseWeights.returns_3y;
+      totalAvailableWeight += weights.returns_3y;
     }
     
     if (returns_5y !== null && returns_5y !== undefined && !isNaN(returns_5y)) {
       availableReturns.returns_5y = parseFloat(returns_5y);
-      totalAvailableWeight += this.baseWeights.returns_5y;
+      totalAvailableWeight += weights.returns_5y;
     }
     
     if (returns_1w !== null && returns_1w !== undefined && !isNaN(returns_1w)) {
       availableReturns.returns_1w = parseFloat(returns_1w);
-      totalAvailableWeight += this.baseWeights.returns_1w;
+      totalAvailableWeight += weights.returns_1w;
     }
     
     // If no returns data available, return 0
@@ -167,7 +176,7 @@ class ScoringUtils {
     // Calculate weighted score with normalized weights
     let totalScore = 0;
     Object.keys(availableReturns).forEach(key => {
-      const adjustedWeight = this.baseWeights[key] / totalAvailableWeight;
+      const adjustedWeight = weights[key] / totalAvailableWeight;
       totalScore += availableReturns[key] * adjustedWeight;
     });
     
@@ -182,6 +191,7 @@ class ScoringUtils {
    */
   getScoreComponents(fundData, categoryAverages = null) {
     const { returns_1y, returns_3y, returns_5y, returns_1w, fund_category, fund_type } = fundData;
+    const weights = this.getWeights(fundData.fund_category);
     
     const components = {};
     let totalWeight = 0;
@@ -215,7 +225,7 @@ class ScoringUtils {
     returnPairs.forEach(pair => {
       if (pair.fund !== null && pair.fund !== undefined && !isNaN(pair.fund) &&
           pair.category !== null && pair.category !== undefined && !isNaN(pair.category)) {
-        totalWeight += this.baseWeights[pair.key];
+        totalWeight += weights[pair.key];
       }
     });
     
@@ -232,8 +242,8 @@ class ScoringUtils {
           fund_value: fundReturn,
           category_value: categoryReturn,
           outperformance: outperformance,
-          weight: this.baseWeights[pair.key] / totalWeight,
-          contribution: outperformance * (this.baseWeights[pair.key] / totalWeight)
+          weight: weights[pair.key] / totalWeight,
+          contribution: outperformance * (weights[pair.key] / totalWeight)
         };
       }
     });
@@ -248,54 +258,55 @@ class ScoringUtils {
    */
   getAbsoluteReturnsComponents(fundData) {
     const { returns_1y, returns_3y, returns_5y, returns_1w } = fundData;
+    const weights = this.getWeights(fundData.fund_category);
     
     const components = {};
     let totalWeight = 0;
     
     // Calculate available weights
     if (returns_1y !== null && returns_1y !== undefined && !isNaN(returns_1y)) {
-      totalWeight += this.baseWeights.returns_1y;
+      totalWeight += weights.returns_1y;
     }
     if (returns_3y !== null && returns_3y !== undefined && !isNaN(returns_3y)) {
-      totalWeight += this.baseWeights.returns_3y;
+      totalWeight += weights.returns_3y;
     }
     if (returns_5y !== null && returns_5y !== undefined && !isNaN(returns_5y)) {
-      totalWeight += this.baseWeights.returns_5y;
+      totalWeight += weights.returns_5y;
     }
     if (returns_1w !== null && returns_1w !== undefined && !isNaN(returns_1w)) {
-      totalWeight += this.baseWeights.returns_1w;
+      totalWeight += weights.returns_1w;
     }
     
     // Calculate component contributions
     if (returns_1y !== null && returns_1y !== undefined && !isNaN(returns_1y)) {
       components.returns_1y = {
         value: parseFloat(returns_1y),
-        weight: this.baseWeights.returns_1y / totalWeight,
-        contribution: parseFloat(returns_1y) * (this.baseWeights.returns_1y / totalWeight)
+        weight: weights.returns_1y / totalWeight,
+        contribution: parseFloat(returns_1y) * (weights.returns_1y / totalWeight)
       };
     }
     
     if (returns_3y !== null && returns_3y !== undefined && !isNaN(returns_3y)) {
       components.returns_3y = {
         value: parseFloat(returns_3y),
-        weight: this.baseWeights.returns_3y / totalWeight,
-        contribution: parseFloat(returns_3y) * (this.baseWeights.returns_3y / totalWeight)
+        weight: weights.returns_3y / totalWeight,
+        contribution: parseFloat(returns_3y) * (weights.returns_3y / totalWeight)
       };
     }
     
     if (returns_5y !== null && returns_5y !== undefined && !isNaN(returns_5y)) {
       components.returns_5y = {
         value: parseFloat(returns_5y),
-        weight: this.baseWeights.returns_5y / totalWeight,
-        contribution: parseFloat(returns_5y) * (this.baseWeights.returns_5y / totalWeight)
+        weight: weights.returns_5y / totalWeight,
+        contribution: parseFloat(returns_5y) * (weights.returns_5y / totalWeight)
       };
     }
     
     if (returns_1w !== null && returns_1w !== undefined && !isNaN(returns_1w)) {
       components.returns_1w = {
         value: parseFloat(returns_1w),
-        weight: this.baseWeights.returns_1w / totalWeight,
-        contribution: parseFloat(returns_1w) * (this.baseWeights.returns_1w / totalWeight)
+        weight: weights.returns_1w / totalWeight,
+        contribution: parseFloat(returns_1w) * (weights.returns_1w / totalWeight)
       };
     }
     
@@ -303,7 +314,7 @@ class ScoringUtils {
   }
 
   /**
-   * Normalize fund scores within categories to 50-100 range
+   * Normalize fund scores within categories to the configured range (50-100 by default)
    * @param {Array} fundsWithScores - Array of fund objects with raw scores
    * @returns {Array} - Funds with normalized scores
    */
@@ -330,34 +341,35 @@ class ScoringUtils {
         categories[categoryKey].push(fund);
       });
       
-      // Normalize scores within each category
+      // Normalize scores within each category (range from the fund universe, 50-100 by default)
       Object.keys(categories).forEach(categoryKey => {
         const categoryFunds = categories[categoryKey];
+        const [rangeMin, rangeMax] = fundUniverse.getScoring(categoryKey).normalizeRange;
         
         // Find the highest and lowest scores in this category
         const maxScore = Math.max(...categoryFunds.map(fund => fund.total_score));
         const minScore = Math.min(...categoryFunds.map(fund => fund.total_score));
         
-        // Edge Case 1: If maxScore is 0 or negative, set all scores to 50
+        // Edge Case 1: If maxScore is 0 or negative, set all scores to the range minimum
         if (maxScore <= 0) {
           categoryFunds.forEach(fund => {
-            fund.total_score = 50;
+            fund.total_score = rangeMin;
           });
           return;
         }
         
-        // Edge Case 2: If all funds have the same score, give them all 100
+        // Edge Case 2: If all funds have the same score, give them all the range maximum
         if (maxScore === minScore) {
           categoryFunds.forEach(fund => {
-            fund.total_score = 100;
+            fund.total_score = rangeMax;
           });
           return;
         }
         
-        // Standard Case: Normalize to 50-100 range
+        // Standard Case: Normalize to the category range
         categoryFunds.forEach(fund => {
-          // Linear scaling: (score - min) / (max - min) * 50 + 50
-          const normalizedScore = ((fund.total_score - minScore) / (maxScore - minScore)) * 50 + 50;
+          // Linear scaling: (score - min) / (max - min) * (rangeMax - rangeMin) + rangeMin
+          const normalizedScore = ((fund.total_score - minScore) / (maxScore - minScore)) * (rangeMax - rangeMin) + rangeMin;
           fund.total_score = Math.round(normalizedScore * 100) / 100; // Round to 2 decimal places
         });
       });
@@ -455,7 +467,7 @@ class ScoringUtils {
     return {
       description: 'Weighted outperformance scoring based on category relative performance',
       weights: this.baseWeights,
-      normalization: '50-100 range within fund categories',
+      normalization: '50-100 range within fund categories (configurable per category)',
       rationale: {
         'returns_1y': 'Most important - captures full market cycle outperformance',
         'returns_3y': 'Medium-term consistency over category average',
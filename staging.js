@@ -0,0 +1,234 @@
+/**
+ * MF Compass Staging and Publish
+ * Sync builds the dataset in the mf_staging schema, validates it and swaps it
+ * into public in one transaction. The replaced tables move to mf_previous so
+ * the last published dataset can be restored instantly.
+ */
+
+const { readNumberEnv } = require('./retry-utils');
+
+const LIVE_SCHEMA = 'public';
+const STAGING_SCHEMA = 'mf_staging';
+const PREVIOUS_SCHEMA = 'mf_previous';
+
+// Tables that are built in staging and published together
+const PUBLISHED_TABLES = ['funds', 'category_averages'];
+
+class StagingValidationError extends Error {
+  constructor(message, stats) {
+    super(message);
+    this.name = 'StagingValidationError';
+    this.stats = stats;
+  }
+}
+
+/**
+ * Check out a client whose unqualified table names resolve to staging first
+ * @param {Pool} pool - pg pool
+ * @returns {Promise<PoolClient>} - Release with releaseStaging()
+ */
+async function connectStaging(pool) {
+  const client = await pool.connect();
+  await client.query(`SET search_path TO ${STAGING_SCHEMA}, ${LIVE_SCHEMA}`);
+  return client;
+}
+
+// Restore the default search_path before the client goes back to the pool
+async function releaseStaging(client) {
+  try {
+    await client.query('RESET search_path');
+    client.release();
+  } catch (error) {
+    client.release(error);
+  }
+}
+
+async function tableExists(client, schema, table) {
+  const { rows } = await client.query(`
+    SELECT EXISTS (
+      SELECT FROM information_schema.tables
+      WHERE table_schema = $1 AND table_name = $2
+    )
+  `, [schema, table]);
+  return rows[0].exists;
+}
+
+// Whether a previous run left a complete set of staging tables behind (used to resume a sync)
+async function stagingTablesExist(client) {
+  for (const table of PUBLISHED_TABLES) {
+    if (!(await tableExists(client, STAGING_SCHEMA, table))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Drop whatever a previous (possibly failed) run left in staging
+async function resetStagingSchema(client) {
+  await client.query(`DROP SCHEMA IF EXISTS ${STAGING_SCHEMA} CASCADE`);
+  await client.query(`CREATE SCHEMA ${STAGING_SCHEMA}`);
+}
+
+/**
+ * Copy the live rows into the freshly created staging tables so incremental
+ * syncs start from the published dataset. Columns are matched by name because
+ * older live tables may have columns in a different order.
+ * @returns {Promise<Object>} - Rows copied per table
+ */
+async function copyLiveTables(client) {
+  const copied = {};
+
+  for (const table of PUBLISHED_TABLES) {
+    if (!(await tableExists(client, LIVE_SCHEMA, table))) {
+      copied[table] = 0;
+      continue;
+    }
+
+    const { rows: columns } = await client.query(`
+      SELECT s.column_name
+      FROM information_schema.columns s
+      JOIN information_schema.columns l
+        ON l.table_schema = $2 AND l.table_name = s.table_name AND l.column_name = s.column_name
+      WHERE s.table_schema = $1 AND s.table_name = $3
+      ORDER BY s.ordinal_position
+    `, [STAGING_SCHEMA, LIVE_SCHEMA, table]);
+    const columnList = columns.map(column => `"${column.column_name}"`).join(', ');
+
+    const { rowCount } = await client.query(`
+      INSERT INTO ${STAGING_SCHEMA}.${table} (${columnList})
+      SELECT ${columnList} FROM ${LIVE_SCHEMA}.${table}
+    `);
+    copied[table] = rowCount;
+
+    // Copied ids bypass the staging sequence; move it past them
+    await client.query(`
+      SELECT setval(pg_get_serial_sequence('${STAGING_SCHEMA}.${table}', 'id'), COALESCE(MAX(id), 0) + 1, false)
+      FROM ${STAGING_SCHEMA}.${table}
+    `);
+  }
+
+  return copied;
+}
+
+async function countActiveFunds(client, schema) {
+  if (!(await tableExists(client, schema, 'funds'))) {
+    return 0;
+  }
+  const { rows } = await client.query(`SELECT COUNT(*) AS count FROM ${schema}.funds WHERE is_active`);
+  return parseInt(rows[0].count);
+}
+
+/**
+ * Sanity-check the staged dataset against the live one before publishing
+ *
+ * Thresholds (env):
+ * - SYNC_MIN_ACTIVE_FUNDS: minimum active funds in staging (default 1)
+ * - SYNC_MAX_SHRINK_RATIO: largest allowed drop in active funds vs live, 0-1 (default 0.5)
+ *
+ * @param {PoolClient} client - Database client
+ * @param {Object} options - { requireCategoryAverages }
+ * @returns {Promise<Object>} - Row counts that were checked
+ */
+async function validateStaging(client, options = {}) {
+  const minActiveFunds = readNumberEnv('SYNC_MIN_ACTIVE_FUNDS', 1);
+  const maxShrinkRatio = readNumberEnv('SYNC_MAX_SHRINK_RATIO', 0.5);
+
+  const stagedFunds = await countActiveFunds(client, STAGING_SCHEMA);
+  const liveFunds = await countActiveFunds(client, LIVE_SCHEMA);
+  const { rows } = await client.query(`SELECT COUNT(*) AS count FROM ${STAGING_SCHEMA}.category_averages`);
+  const stagedCategories = parseInt(rows[0].count);
+
+  const stats = { stagedFunds, liveFunds, stagedCategories, minActiveFunds, maxShrinkRatio };
+  const problems = [];
+
+  if (stagedFunds < minActiveFunds) {
+    problems.push(`${stagedFunds} active funds staged, at least ${minActiveFunds} required`);
+  }
+  if (liveFunds > 0 && stagedFunds < liveFunds * (1 - maxShrinkRatio)) {
+    problems.push(`active funds would drop from ${liveFunds} to ${stagedFunds} (more than ${Math.round(maxShrinkRatio * 100)}%)`);
+  }
+  if (options.requireCategoryAverages && stagedCategories === 0) {
+    problems.push('no category averages staged');
+  }
+
+  if (problems.length > 0) {
+    throw new StagingValidationError(`Staged dataset failed validation: ${problems.join('; ')}`, stats);
+  }
+
+  return stats;
+}
+
+/**
+ * Swap staging into public in one transaction. Readers see the old tables
+ * until COMMIT and the new ones after; the old ones move to mf_previous.
+ * @param {PoolClient} client - Database client
+ * @param {Object} options - { beforeSwap: async (client) => result, run in the transaction while staging and live are both in place }
+ * @returns {Promise<*>} - Result of beforeSwap
+ */
+async function publishStaging(client, options = {}) {
+  try {
+    await client.query('BEGIN');
+    const result = options.beforeSwap ? await options.beforeSwap(client) : undefined;
+    await client.query(`DROP SCHEMA IF EXISTS ${PREVIOUS_SCHEMA} CASCADE`);
+    await client.query(`CREATE SCHEMA ${PREVIOUS_SCHEMA}`);
+
+    for (const table of PUBLISHED_TABLES) {
+      await client.query(`ALTER TABLE IF EXISTS ${LIVE_SCHEMA}.${table} SET SCHEMA ${PREVIOUS_SCHEMA}`);
+      await client.query(`ALTER TABLE ${STAGING_SCHEMA}.${table} SET SCHEMA ${LIVE_SCHEMA}`);
+    }
+
+    await client.query(`DROP SCHEMA ${STAGING_SCHEMA}`);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Swap the previous dataset back into public. The dataset being replaced
+ * becomes the new "previous", so a rollback can itself be undone.
+ */
+async function rollbackToPrevious(client) {
+  for (const table of PUBLISHED_TABLES) {
+    if (!(await tableExists(client, PREVIOUS_SCHEMA, table))) {
+      throw new Error(`No previous dataset to restore (${PREVIOUS_SCHEMA}.${table} is missing)`);
+    }
+  }
+
+  const swapSchema = `${PREVIOUS_SCHEMA}_swap`;
+
+  try {
+    await client.query('BEGIN');
+    await client.query(`CREATE SCHEMA ${swapSchema}`);
+
+    for (const table of PUBLISHED_TABLES) {
+      await client.query(`ALTER TABLE IF EXISTS ${LIVE_SCHEMA}.${table} SET SCHEMA ${swapSchema}`);
+      await client.query(`ALTER TABLE ${PREVIOUS_SCHEMA}.${table} SET SCHEMA ${LIVE_SCHEMA}`);
+      await client.query(`ALTER TABLE IF EXISTS ${swapSchema}.${table} SET SCHEMA ${PREVIOUS_SCHEMA}`);
+    }
+
+    await client.query(`DROP SCHEMA ${swapSchema}`);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+module.exports = {
+  LIVE_SCHEMA,
+  STAGING_SCHEMA,
+  PREVIOUS_SCHEMA,
+  PUBLISHED_TABLES,
+  StagingValidationError,
+  connectStaging,
+  releaseStaging,
+  stagingTablesExist,
+  resetStagingSchema,
+  copyLiveTables,
+  validateStaging,
+  publishStaging,
+  rollbackToPrevious
+};
@@ -0,0 +1,90 @@
+/**
+ * MF Compass Sync Failure Ledger
+ * Funds whose details could not be fetched (Stage 2) or that could not be
+ * stored (Stage 7) are recorded in sync_failures with the error and the input
+ * that failed. Open failures are refetched by the next sync even when their
+ * NAV looks unchanged, and `node cli.js retry` reprocesses just those funds.
+ * A failure is resolved once the fund is fetched or stored successfully.
+ * The table is created by migrations/006_sync_failures.js.
+ */
+
+/**
+ * Record failed funds; a fund that fails again has its attempt count raised and is reopened
+ * @param {Pool} pool - pg pool; the ledger lives in public, outside staging
+ * @param {string} stage - 'details' or 'storage'
+ * @param {Array} failures - { code, error, payload }
+ * @param {number|null} runId - sync_runs id
+ */
+async function recordFailures(pool, stage, failures, runId) {
+  if (failures.length === 0) {
+    return;
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query(`
+      INSERT INTO sync_failures (kuvera_code, stage, error, payload, run_id)
+      SELECT code, $1, error, payload, $2
+      FROM jsonb_to_recordset($3::jsonb) AS f(code TEXT, error TEXT, payload JSONB)
+      ON CONFLICT (kuvera_code, stage) DO UPDATE SET
+        error = EXCLUDED.error,
+        payload = EXCLUDED.payload,
+        run_id = EXCLUDED.run_id,
+        attempts = CASE WHEN sync_failures.resolved_at IS NULL THEN sync_failures.attempts + 1 ELSE 1 END,
+        last_failed_at = CURRENT_TIMESTAMP,
+        resolved_at = NULL
+    `, [stage, runId, JSON.stringify(failures)]);
+    console.log(`🩹 Recorded ${failures.length} ${stage} failures (retry with: node cli.js retry)`);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Mark open failures of a stage as resolved
+ * @param {Pool} pool - pg pool
+ * @param {string|null} stage - 'details', 'storage', or null for any stage
+ * @param {Array<string>} codes - Funds that went through the stage successfully
+ * @returns {Promise<number>} - Failures resolved
+ */
+async function resolveFailures(pool, stage, codes) {
+  if (codes.length === 0) {
+    return 0;
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const { rowCount } = await client.query(`
+      UPDATE sync_failures SET resolved_at = CURRENT_TIMESTAMP
+      WHERE ($1::text IS NULL OR stage = $1) AND resolved_at IS NULL AND kuvera_code = ANY($2::text[])
+    `, [stage, codes]);
+    if (rowCount > 0) {
+      console.log(`🩹 Resolved ${rowCount} earlier ${stage || 'sync'} failures`);
+    }
+    return rowCount;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Open failures, oldest first
+ * @param {Pool} pool - pg pool
+ * @returns {Promise<Array>} - sync_failures rows
+ */
+async function getOpenFailures(pool) {
+  const client = await pool.connect();
+
+  try {
+    const { rows } = await client.query(`
+      SELECT * FROM sync_failures WHERE resolved_at IS NULL ORDER BY first_failed_at, kuvera_code
+    `);
+    return rows;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { recordFailures, resolveFailures, getOpenFailures };
@@ -1,10 +1,40 @@
 const { Pool } = require('pg');
+const path = require('path');
 require('dotenv').config();
-const axios = require('axios');
 
 // Import service modules
-const kuveraListService = require('./kuvera-list-service');
+const { getDataSource } = require('./data-sources');
+const { RunAudit } = require('./run-audit');
+const { SyncCheckpoint, STAGING_STAGES, discardStagingCheckpoints } = require('./checkpoints');
+const { recordFailures, resolveFailures, getOpenFailures } = require('./sync-failures');
+const { recordFetchedNavs } = require('./nav-history');
+const { AVERAGE_COLUMNS, recordCategoryAverages, getCategoryAveragesAsOf } = require('./category-history');
+const { recordScoreSnapshot } = require('./score-history');
+const { recordFundEvents } = require('./fund-events');
+const { recordFundManagers } = require('./managers');
+const { recordAmcs } = require('./amcs');
+const { pairRegularPlans, regularPlanColumns } = require('./plan-pairs');
+const { detectAnomalies, recordQuarantine, getQuarantinedCodes } = require('./anomalies');
 const scoringUtils = require('./scoring-utils');
+const { readNumberEnv } = require('./retry-utils');
+const { assertSchemaCurrent, applyPublishedMigrations } = require('./schema-migrations');
+const fundUniverse = require('./fund-universe');
+const { evaluateRules } = require('./filter-rules');
+const { buildDiffReport, printDiffReport, saveDiffReport } = require('./diff-report');
+const {
+  LIVE_SCHEMA,
+  STAGING_SCHEMA,
+  connectStaging,
+  releaseStaging,
+  stagingTablesExist,
+  resetStagingSchema,
+  copyLiveTables,
+  validateStaging,
+  publishStaging
+} = require('./staging');
+
+// Fund data provider, chosen by DATA_SOURCE (defaults to Kuvera)
+const dataSource = getDataSource();
 
 // Database connection
 const pool = new Pool({
@@ -12,60 +42,749 @@ const pool = new Pool({
   ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
 });
 
-async function seedDatabase() {
+/**
+ * Limit a sync to one category, one fund or a list of funds; an empty scope covers the whole universe
+ * @param {Object} options - { category, fund, funds: list of codes (the open sync failures `retry` reprocesses) }
+ * @returns {Object} - { category, fund, codes, label, key: recorded as sync_runs.scope }
+ */
+function resolveScope(options = {}) {
+  const scope = { category: options.category || null, fund: options.fund || null, codes: null, label: null, key: 'all' };
+  
+  if (scope.category && !fundUniverse.isEnabled(scope.category)) {
+    throw new Error(`Category "${scope.category}" is not enabled in the fund universe`);
+  }
+  if (scope.fund) {
+    scope.codes = [scope.fund];
+    scope.label = `fund ${scope.fund}`;
+    scope.key = `fund:${scope.fund}`;
+  } else if (options.funds) {
+    scope.codes = options.funds;
+    scope.label = `${options.funds.length} funds`;
+    scope.key = 'retry';
+  } else if (scope.category) {
+    scope.label = `category ${scope.category}`;
+    scope.key = `category:${scope.category}`;
+  }
+  
+  return scope;
+}
+
+function inScope(scope, code, category) {
+  if (scope.codes) {
+    return scope.codes.includes(code);
+  }
+  if (scope.category) {
+    return category === scope.category;
+  }
+  return true;
+}
+
+/**
+ * Discover the funds in scope, plus the category averages their categories need.
+ * Direct plans carry the code of their regular plan (regularCode), and regular
+ * plans are fetched with their direct plans even outside the scope.
+ * @returns {Promise<Object>} - { fundCodes, categoryAverages }
+ */
+async function discoverScope(scope) {
+  const discovered = await discoverFunds();
+  const pairs = pairRegularPlans(discovered);
+  console.log(`🔗 Paired ${pairs.size} direct plans with their regular plan`);
+  
+  const scopedCodes = new Set(discovered.filter(fund => inScope(scope, fund.code, fund.category)).map(fund => fund.code));
+  const regularCodes = new Set([...pairs].filter(([directCode]) => scopedCodes.has(directCode)).map(([, regularCode]) => regularCode));
+  const fundCodes = discovered
+    .filter(fund => scopedCodes.has(fund.code) || regularCodes.has(fund.code))
+    .map(fund => pairs.has(fund.code) ? { ...fund, regularCode: pairs.get(fund.code) } : fund);
+  if (scopedCodes.size === 0) {
+    throw new Error(scope.label ? `No eligible funds found for ${scope.label}` : 'No eligible funds found during discovery');
+  }
+  if (scope.label) {
+    console.log(`🎯 Limited to ${scope.label}: ${fundCodes.length} of ${discovered.length} funds`);
+  }
+  
+  const scopeCategories = new Set(fundCodes.map(fund => fund.category));
+  const categoryAverages = (await fetchCategoryAverages())
+    .filter(category => !scope.label || scopeCategories.has(category.category_name));
+  
+  return { fundCodes, categoryAverages };
+}
+
+/**
+ * Load the checkpoints an interrupted run with the same data source and scope left behind
+ * @returns {Promise<SyncCheckpoint>}
+ */
+async function openCheckpoint(scope, fresh, runId) {
+  const checkpoint = new SyncCheckpoint(pool, `${dataSource.name}:${scope.label || 'all'}`);
+  checkpoint.runId = runId;
+  await checkpoint.load({ fresh });
+  
+  if (checkpoint.resuming) {
+    console.log(`♻️ Resuming the run interrupted at ${checkpoint.savedAt.toISOString()} (saved: ${[...checkpoint.stages.keys()].join(', ')}); use --fresh to start over`);
+  }
+  
+  return checkpoint;
+}
+
+async function stagingReady() {
+  const client = await pool.connect();
+  try {
+    return await stagingTablesExist(client);
+  } finally {
+    client.release();
+  }
+}
+
+// Refuse to touch a database whose schema is behind or ahead of this code
+async function requireCurrentSchema() {
+  try {
+    await assertSchemaCurrent(pool);
+  } catch (error) {
+    await pool.end();
+    throw error;
+  }
+}
+
+/**
+ * Run the sync pipeline
+ * @param {Object} options - Run options
+ * @param {boolean} options.dryRun - Project and diff without writing (also SYNC_DRY_RUN=true)
+ * @param {boolean} options.force - Ignore freshness checks (also SYNC_FORCE=true)
+ * @param {string} options.category - Only sync this category
+ * @param {string} options.fund - Only sync this fund (Kuvera code)
+ * @param {boolean} options.fresh - Discard checkpoints of an interrupted run instead of resuming it (also SYNC_FRESH=true)
+ * @returns {Promise<Object>} - { status, mode, reportPath? }
+ */
+async function seedDatabase(options = {}) {
+  const scope = resolveScope(options);
+  await requireCurrentSchema();
+  const dryRun = options.dryRun ?? process.env.SYNC_DRY_RUN === 'true';
+  if (dryRun) {
+    return dryRunDatabase(scope);
+  }
+  // A targeted resync always refetches what it targets
+  const force = options.force ?? (process.env.SYNC_FORCE === 'true' || scope.label !== null);
+  const fresh = options.fresh ?? process.env.SYNC_FRESH === 'true';
+  
   console.log('🚀 Starting MF Compass Database Seeding Process...\n');
   
+  console.log(`🔌 Data source: ${dataSource.name}`);
+  const fixtures = dataSource.fixtures;
+  if (fixtures && fixtures.mode !== 'off') {
+    console.log(`📼 Fixture mode: ${fixtures.mode} (${fixtures.dir})`);
+  }
+  if (scope.label) {
+    console.log(`🎯 Scope: ${scope.label}`);
+  }
+  console.log('');
+  
+  const audit = new RunAudit(pool);
+  await audit.start({ dataSource: dataSource.name });
+  audit.record({ scope: scope.key });
+  
   try {
+    const checkpoint = await openCheckpoint(scope, fresh, audit.runId);
     // Stage 0: Pre-flight Check
-    console.log('Stage 0: Pre-flight Check');
-    const skipSeeding = await checkExistingData();
-    if (skipSeeding) {
-      console.log('Database already contains fund data. Skipping seeding.');
-      return;
-    }
+    await audit.beginStage(0, 'Pre-flight Check');
+    const { mode, fundCount } = await checkExistingData();
+    audit.record({ mode });
+    await audit.endStage({ outputCount: fundCount, details: { mode, scope: scope.label, force } });
     // Stage 1: Initial Fund Discovery
-    console.log('Stage 1: Initial Fund Discovery');
-    const fundCodes = await discoverFunds();
-    if (fundCodes.length === 0) throw new Error('No eligible funds found during discovery');
+    let discovery = checkpoint.get('discovery');
+    if (discovery) {
+      await audit.skipStage(1, 'Initial Fund Discovery', 'resumed from checkpoint');
+    } else {
+      await audit.beginStage(1, 'Initial Fund Discovery');
+      const { fundCodes, categoryAverages } = await discoverScope(scope);
+      const retryCodes = [...await openFailureCodes(scope, fundCodes), ...await getQuarantinedCodes(pool)];
+      const freshness = await checkDataFreshness(mode, fundCodes, categoryAverages, { scope, force, retryCodes });
+      await audit.endStage({
+        outputCount: freshness.fundsToFetch.length,
+        details: {
+          discovered: fundCodes.length,
+          unchanged: freshness.unchangedCodes.length,
+          categories: categoryAverages.length,
+          movedCategories: freshness.movedCategories
+        }
+      });
+      if (!freshness.hasNewData) {
+        audit.record({ funds_discovered: fundCodes.length });
+        console.log('⏸️ No new data: NAVs and category report dates are unchanged since the last sync (market holiday?)');
+        await audit.finish('no_new_data');
+        return { status: 'no_new_data', mode };
+      }
+      discovery = { fundCodes, categoryAverages, freshness: { ...freshness, storedFunds: [...freshness.storedFunds.values()] } };
+      await checkpoint.save('discovery', discovery);
+    }
+    const { fundCodes, categoryAverages } = discovery;
+    const freshness = {
+      ...discovery.freshness,
+      unchangedCodes: [...discovery.freshness.unchangedCodes],
+      storedFunds: new Map(discovery.freshness.storedFunds.map(row => [row.kuvera_code, row]))
+    };
+    audit.record({ funds_discovered: fundCodes.length });
     // Stage 2: Detailed Information Retrieval
-    console.log('Stage 2: Detailed Information Retrieval');
-    const fundDetails = await retrieveFundDetails(fundCodes);
-    if (fundDetails.length === 0) throw new Error('No valid fund details retrieved');
+    // Details are checkpointed after every chunk, so a rerun only fetches what is missing
+    let retrieval = checkpoint.get('details');
+    const detailsResumed = Boolean(retrieval && retrieval.complete);
+    if (detailsResumed) {
+      await audit.skipStage(2, 'Detailed Information Retrieval', 'resumed from checkpoint');
+    } else {
+      await audit.beginStage(2, 'Detailed Information Retrieval', freshness.fundsToFetch.length);
+      const { fundDetails: fetchedDetails, failedFunds } = await retrieveFundDetails(freshness.fundsToFetch, {
+        alreadyFetched: retrieval ? retrieval.fetchedDetails : [],
+        onChunk: fetched => checkpoint.save('details', { complete: false, fetchedDetails: fetched })
+      });
+      if (freshness.fundsToFetch.length > 0 && fetchedDetails.length === 0) throw new Error('No valid fund details retrieved');
+      checkSchemaDrift();
+      await recordFailures(pool, 'details', failedFunds.map(failedFund => ({
+        code: failedFund.fundCode,
+        error: failedFund.error,
+        payload: freshness.fundsToFetch.find(fund => fund.code === failedFund.fundCode) || null
+      })), audit.runId);
+      await resolveFailures(pool, 'details', fetchedDetails.map(fund => fund.code));
+      retrieval = { complete: true, fetchedDetails, failedFunds };
+    }
+    const { fetchedDetails, failedFunds } = retrieval;
+    const failedCodes = failedFunds.map(failedFund => failedFund.fundCode);
+    audit.record({ funds_fetched: fetchedDetails.length, failed_funds: failedFunds });
+    const fundDetails = skipUnchangedDetails(fetchedDetails, freshness);
+    if (!detailsResumed) {
+      await audit.endStage({
+        outputCount: fundDetails.length,
+        details: { fetched: fetchedDetails.length, failedCodes, unchangedSkipped: fetchedDetails.length - fundDetails.length }
+      });
+      await checkpoint.save('details', retrieval);
+    }
     // Stage 3: Advanced Filtering
-    console.log('Stage 3: Advanced Filtering');
-    const filteredFunds = await applyAdvancedFilters(fundDetails);
-    if (filteredFunds.length === 0) throw new Error('No funds passed advanced filtering');
-    // Stage 4: Database Table Creation
-    console.log('Stage 4: Database Table Creation');
-    await createDatabaseTables();
-    // Stage 5: Category Averages Processing
-    console.log('Stage 5: Category Averages Processing');
-    await processCategoryAverages();
-    // Stage 6: Data Processing & Storage
-    console.log('Stage 6: Data Processing & Storage');
-    await processAndStoreFunds(filteredFunds);
-    // Stage 7: Score Calculation & Normalization
-    console.log('Stage 7: Score Calculation & Normalization');
-    await calculateAndNormalizeScores();
-    // Stage 8: Remove funds with total_score < 70
-    console.log('Stage 8: Removing funds with total_score < 70');
-    const client = await pool.connect();
-    try {
-      const { rowCount } = await client.query('DELETE FROM funds WHERE total_score < 70');
-      console.log(`Removed ${rowCount} funds with total_score < 70`);
-    } finally {
-      client.release();
+    let filtering = checkpoint.get('filtering');
+    if (filtering) {
+      await audit.skipStage(3, 'Advanced Filtering', 'resumed from checkpoint');
+    } else {
+      await audit.beginStage(3, 'Advanced Filtering', fundDetails.length);
+      const { filteredFunds, rejectedFunds, filterStats } = await applyAdvancedFilters(fundDetails);
+      if (mode === 'initial' && filteredFunds.length === 0) throw new Error('No funds passed advanced filtering');
+      await storeRejections('filter', rejectedFunds, filteredFunds.map(fund => fund.code), audit.runId);
+      await audit.endStage({ outputCount: filteredFunds.length, details: filterStats });
+      filtering = { filteredCodes: filteredFunds.map(fund => fund.code), filterStats };
+      await checkpoint.save('filtering', filtering);
+    }
+    const filteredCodes = new Set(filtering.filteredCodes);
+    const filteredFunds = fundDetails.filter(fund => filteredCodes.has(fund.code));
+    audit.record({ funds_passed: filteredFunds.length, filter_stats: filtering.filterStats });
+    // Stage 4: Anomaly Detection
+    let anomalies = checkpoint.get('anomalies');
+    if (anomalies) {
+      await audit.skipStage(4, 'Anomaly Detection', 'resumed from checkpoint');
+    } else {
+      await audit.beginStage(4, 'Anomaly Detection', filteredFunds.length);
+      anomalies = await quarantineAnomalies(filteredFunds, audit.runId);
+      await audit.endStage({ outputCount: filteredFunds.length - anomalies.length, details: { quarantined: anomalies } });
+      await checkpoint.save('anomalies', anomalies);
+    }
+    const quarantinedCodes = new Set(anomalies.map(entry => entry.code));
+    // Quarantined funds stay in the universe with their published row; they are just not rewritten
+    const fundsToStore = filteredFunds.filter(fund => !quarantinedCodes.has(fund.code));
+    audit.record({ quarantined_funds: anomalies });
+    // Stage 5: Staging Table Creation (stages 6-9 write to staging, not live tables)
+    // Later stages can only resume while staging still holds this run's tables
+    if (checkpoint.has('staging') && await stagingReady()) {
+      await audit.skipStage(5, 'Staging Table Creation', 'resumed from checkpoint');
+    } else {
+      await checkpoint.discard(STAGING_STAGES);
+      await checkpoint.claimStaging();
+      await audit.beginStage(5, 'Staging Table Creation');
+      const copied = await createDatabaseTables();
+      await audit.endStage({ outputCount: copied.funds, details: copied });
+      await checkpoint.save('staging', { copied });
+    }
+    // Stage 6: Category Averages Processing
+    if (checkpoint.has('category_averages')) {
+      await audit.skipStage(6, 'Category Averages Processing', 'resumed from checkpoint');
+    } else {
+      await audit.beginStage(6, 'Category Averages Processing', categoryAverages.length);
+      await processCategoryAverages(categoryAverages);
+      await audit.endStage({ outputCount: categoryAverages.length });
+      await checkpoint.save('category_averages', { stored: categoryAverages.length });
     }
-    console.log('Seeding completed.');
-    console.log(`Total funds processed: ${filteredFunds.length}`);
+    // Stage 7: Data Processing & Storage
+    let storage = checkpoint.get('storage') || { complete: false, storedCodes: [], inserted: 0 };
+    if (storage.complete) {
+      await audit.skipStage(7, 'Data Processing & Storage', 'resumed from checkpoint');
+    } else {
+      await audit.beginStage(7, 'Data Processing & Storage', fundsToStore.length);
+      const storedCodes = new Set(storage.storedCodes);
+      const remainingFunds = fundsToStore.filter(fund => !storedCodes.has(fund.code));
+      if (storedCodes.size > 0) {
+        console.log(`♻️ ${storedCodes.size} funds already stored before the previous run stopped`);
+      }
+      let inserted = storage.inserted;
+      const detailsByCode = new Map(fetchedDetails.map(fund => [fund.code, fund]));
+      const regularPlans = new Map(fundCodes
+        .filter(fund => fund.regularCode && detailsByCode.has(fund.regularCode))
+        .map(fund => [fund.code, detailsByCode.get(fund.regularCode)]));
+      const { failures, timings } = await processAndStoreFunds(remainingFunds, {
+        regularPlans,
+        onBatch: batch => {
+          batch.storedCodes.forEach(code => storedCodes.add(code));
+          inserted += batch.inserted;
+          return checkpoint.save('storage', { complete: false, storedCodes: [...storedCodes], inserted });
+        }
+      });
+      const currentCodes = [
+        ...universeCodes(freshness.fundsToFetch, fetchedDetails, filteredFunds),
+        ...freshness.unchangedCodes
+      ];
+      const deactivatedFunds = await deactivateDepartedFunds(currentCodes, scope);
+      await recordFailures(pool, 'storage', failures, audit.runId);
+      // Funds that were filtered out no longer need storing either
+      await resolveFailures(pool, 'storage', [
+        ...storedCodes,
+        ...fundDetails.filter(fund => !filteredCodes.has(fund.code)).map(fund => fund.code)
+      ]);
+      storage = { complete: true, storedCodes: [...storedCodes], inserted, deactivatedFunds };
+      await audit.endStage({
+        outputCount: storedCodes.size,
+        details: {
+          inserted,
+          updated: storedCodes.size - inserted,
+          deactivated: deactivatedFunds.map(fund => fund.kuvera_code),
+          failedCodes: failures.map(failure => failure.code),
+          timings
+        }
+      });
+      await checkpoint.save('storage', storage);
+    }
+    const { deactivatedFunds } = storage;
+    // Stage 8: Score Calculation & Normalization
+    // Only categories whose averages moved or whose membership/data changed need rescoring
+    const staleCategories = new Set([
+      ...freshness.movedCategories,
+      ...filteredFunds.map(fund => fund.fund_category),
+      ...deactivatedFunds.map(fund => fund.fund_category)
+    ]);
+    if (staleCategories.size === 0) {
+      await audit.skipStage(8, 'Score Calculation & Normalization', 'category report dates unchanged and no fund changes');
+    } else {
+      await audit.beginStage(8, 'Score Calculation & Normalization', staleCategories.size);
+      const scoring = await calculateAndNormalizeScores(mode === 'initial' && !scope.label ? null : [...staleCategories]);
+      await audit.endStage({ outputCount: scoring.scored, details: { categories: [...staleCategories], timings: scoring.timings } });
+    }
+    // Stage 9: Unpublish funds below their category's score cutoff (70 by default)
+    await audit.beginStage(9, 'Removing funds below category score cutoff');
+    const cutoff = await applyScoreCutoff(scope.label ? [...staleCategories] : null);
+    await storeRejections('score_cutoff', cutoff.cutFunds, cutoff.reinstatedCodes, audit.runId);
+    await audit.endStage({ outputCount: cutoff.cutFunds.length, details: { reinstated: cutoff.reinstatedCodes } });
+    // Stage 10: Validate staging and swap it into place
+    await audit.beginStage(10, 'Validation & Publish');
+    const published = await publishDataset(audit.runId);
+    audit.record({ funds_published: published.stagedFunds });
+    await audit.endStage({ outputCount: published.stagedFunds, details: published });
+    await checkpoint.clear();
+    // Stage 11: Append the NAVs of every fetched fund that was not quarantined to nav_history
+    const navDetails = fetchedDetails.filter(fund => !quarantinedCodes.has(fund.code));
+    await audit.beginStage(11, 'NAV History', navDetails.length);
+    const navHistory = await recordFetchedNavs(pool, navDetails);
+    console.log(`📈 NAV history: ${navHistory.inserted} new, ${navHistory.updated} corrected`);
+    await audit.endStage({ outputCount: navHistory.inserted + navHistory.updated, details: navHistory });
+    // Stage 12: Append the published category averages to category_average_history (only after a successful publish)
+    await audit.beginStage(12, 'Category Average History', categoryAverages.length);
+    const averageHistory = await recordCategoryAverages(pool, categoryAverages);
+    console.log(`📚 Category average history: ${averageHistory.inserted} new reports, ${averageHistory.updated} restated`);
+    await audit.endStage({ outputCount: averageHistory.inserted + averageHistory.updated, details: averageHistory });
+    // Stage 13: Snapshot published scores and ranks
+    await recordScoreHistory(audit, cutoff.cutFunds);
+    // Stage 14: Open and close manager tenures from the published manager lists
+    await audit.beginStage(14, 'Fund Managers', published.stagedFunds);
+    const managers = await recordFundManagers(pool);
+    console.log(`👤 Fund managers: ${managers.tenuresOpened} tenures opened, ${managers.tenuresClosed} closed (${managers.managersAdded} new managers)`);
+    await audit.endStage({ outputCount: managers.tenuresOpened + managers.tenuresClosed, details: managers });
+    // Stage 15: Record the fund houses seen and refresh their aggregates
+    await recordAmcAggregates(audit, [
+      ...fundCodes.map(fund => ({ fund_house: fund.fundHouse, name: null })),
+      ...fetchedDetails.map(fund => ({ fund_house: fund.fund_house, name: fund.fund_name }))
+    ]);
+    console.log(`Seeding completed (${mode} sync).`);
+    console.log(`Total funds processed: ${filteredFunds.length} (${freshness.unchangedCodes.length} unchanged funds skipped)`);
+    reportThroughput(dataSource.getThroughputStats());
+    reportSchemaDrift(dataSource.getDriftReport());
+    await audit.finish('completed');
+    return { status: 'completed', mode };
   } catch (error) {
     console.error('Seeding failed:', error.message);
+    await audit.fail(error);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+/**
+ * Run discovery, details, filtering and scoring in memory and report how the
+ * result differs from the published funds. Nothing is written to the database;
+ * the report is printed and saved as JSON (SYNC_DRY_RUN_REPORT, default
+ * reports/dry-run-<timestamp>.json).
+ */
+async function dryRunDatabase(scope) {
+  console.log('🧪 Starting MF Compass Dry Run (nothing will be written)...\n');
+  console.log(`🔌 Data source: ${dataSource.name}`);
+  const fixtures = dataSource.fixtures;
+  if (fixtures && fixtures.mode !== 'off') {
+    console.log(`📼 Fixture mode: ${fixtures.mode} (${fixtures.dir})`);
+  }
+  if (scope.label) {
+    console.log(`🎯 Scope: ${scope.label}`);
+  }
+  console.log('');
+  
+  try {
+    const { mode } = await checkExistingData();
+    const currentFunds = (mode === 'incremental' ? await loadPublishedFunds() : [])
+      .filter(fund => inScope(scope, fund.code, fund.fund_category));
+    
+    // Every fund is fetched so the projection covers the whole scope, not just changed NAVs
+    const { fundCodes, categoryAverages } = await discoverScope(scope);
+    const { fundDetails, failedFunds } = await retrieveFundDetails(fundCodes);
+    checkSchemaDrift();
+    const { filteredFunds, rejectedFunds } = await applyAdvancedFilters(fundDetails);
+    const { quarantined } = await detectAnomalies(pool, filteredFunds, { capabilities: dataSource.capabilities });
+    const quarantinedCodes = new Set(quarantined.map(entry => entry.fund.code));
+    const { keptFunds, cutFunds } = projectScores(filteredFunds.filter(fund => !quarantinedCodes.has(fund.code)), categoryAverages);
+    
+    const removalReasons = new Map();
+    const discoveredCodes = new Set(fundCodes.map(fund => fund.code));
+    currentFunds.forEach(fund => {
+      if (!discoveredCodes.has(fund.code)) {
+        removalReasons.set(fund.code, 'left the universe');
+      }
+    });
+    rejectedFunds.forEach(({ fund, failures }) => {
+      removalReasons.set(fund.code, `filtered: ${failures.map(failure => failure.rule).join(', ')}`);
+    });
+    cutFunds.forEach(fund => {
+      removalReasons.set(fund.code, `below score cutoff ${fundUniverse.getScoring(fund.fund_category).minScore}`);
+    });
+    
+    // Published funds whose details could not be fetched, or that would be quarantined, keep their current status, as in a real sync
+    const keptCodes = new Set([...failedFunds.map(failedFund => failedFund.fundCode), ...quarantinedCodes]);
+    
+    const report = buildDiffReport(currentFunds, keptFunds, { removalReasons, keptCodes });
+    report.mode = mode;
+    report.scope = scope.label;
+    report.dataSource = dataSource.name;
+    report.quarantined = quarantined.map(({ fund, reasons }) => ({ code: fund.code, name: fund.name, reasons }));
+    printDiffReport(report);
+    if (quarantined.length > 0) {
+      console.log(`\n🚧 Would quarantine ${quarantined.length} funds: ${quarantined.map(({ fund, reasons }) => `${fund.code} (${reasons.map(reason => reason.check).join(', ')})`).join(', ')}`);
+    }
+    
+    const reportPath = process.env.SYNC_DRY_RUN_REPORT ||
+      path.join('reports', `dry-run-${report.generatedAt.replace(/[:.]/g, '-')}.json`);
+    saveDiffReport(report, reportPath);
+    console.log(`\n💾 Dry-run report saved to ${reportPath}`);
+    
+    reportSchemaDrift(dataSource.getDriftReport());
+    return { status: 'dry_run', mode, reportPath };
+    
+  } catch (error) {
+    console.error('Dry run failed:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+/**
+ * Recalculate scores from stored data without fetching anything, against each
+ * category's newest reported averages, then apply the score cutoff and publish
+ * through staging like a sync. Scores are normalized within a category, so
+ * rescoring one fund rescores its whole category. Funds cut earlier are rescored
+ * with their category, so running it twice publishes the same funds.
+ * @param {Object} options - { category, fund, asOf: Date to report scores against that day's averages instead (see reportScoresAsOf) }
+ * @returns {Promise<Object>} - { status, categories } or the as-of report result
+ */
+async function rescoreDatabase(options = {}) {
+  const scope = resolveScope(options);
+  await requireCurrentSchema();
+  if (options.asOf) {
+    return reportScoresAsOf(scope, options.asOf.toISOString().slice(0, 10));
+  }
+  
+  console.log('🧮 Starting MF Compass Rescore...\n');
+  if (scope.label) {
+    console.log(`🎯 Scope: ${scope.label}\n`);
+  }
+  
+  const audit = new RunAudit(pool);
+  await audit.start({ dataSource: dataSource.name });
+  audit.record({ mode: 'rescore', scope: scope.key });
+  
+  try {
+    // Stage 0: Pre-flight Check
+    await audit.beginStage(0, 'Pre-flight Check');
+    const { mode, fundCount } = await checkExistingData();
+    if (mode === 'initial') throw new Error('Nothing to rescore: no published funds');
+    const categories = await resolveScopeCategories(scope);
+    await audit.endStage({ outputCount: fundCount, details: { scope: scope.label, categories } });
+    // Stage 5: Staging Table Creation (an interrupted sync can no longer resume from staging)
+    await audit.beginStage(5, 'Staging Table Creation');
+    await discardStagingCheckpoints(pool);
+    const copied = await createDatabaseTables();
+    await audit.endStage({ outputCount: copied.funds, details: copied });
+    // Stage 8: Score Calculation & Normalization
+    await audit.beginStage(8, 'Score Calculation & Normalization', categories ? categories.length : null);
+    const scoring = await calculateAndNormalizeScores(categories, { latestReports: true });
+    await audit.endStage({ outputCount: scoring.scored, details: { categories, timings: scoring.timings } });
+    // Stage 9: Unpublish funds below their category's score cutoff
+    await audit.beginStage(9, 'Removing funds below category score cutoff');
+    const cutoff = await applyScoreCutoff(categories);
+    await storeRejections('score_cutoff', cutoff.cutFunds, cutoff.reinstatedCodes, audit.runId);
+    await audit.endStage({ outputCount: cutoff.cutFunds.length, details: { reinstated: cutoff.reinstatedCodes } });
+    // Stage 10: Validate staging and swap it into place
+    await audit.beginStage(10, 'Validation & Publish');
+    const published = await publishDataset(audit.runId);
+    audit.record({ funds_published: published.stagedFunds });
+    await audit.endStage({ outputCount: published.stagedFunds, details: published });
+    // Stage 13: Snapshot published scores and ranks
+    await recordScoreHistory(audit, cutoff.cutFunds);
+    // Stage 15: Refresh the fund house aggregates with the new scores
+    await recordAmcAggregates(audit);
+    await audit.finish('completed');
+    return { status: 'completed', categories };
+    
+  } catch (error) {
+    console.error('Rescore failed:', error.message);
+    await audit.fail(error);
     throw error;
   } finally {
     await pool.end();
   }
 }
 
+/**
+ * Score the stored funds against the category averages that applied on a past
+ * date and diff the result against the published funds. This is a report only:
+ * scores, the cutoff, score history and the run audit are left untouched.
+ * Funds are scored on their stored returns, not the returns of that date.
+ * @param {Object} scope - From resolveScope
+ * @param {string} asOf - YYYY-MM-DD
+ * @returns {Promise<Object>} - { status: 'as_of_report', asOf, reportPath }
+ */
+async function reportScoresAsOf(scope, asOf) {
+  console.log(`📅 Scoring stored funds against the category averages that applied on ${asOf} (nothing will be written)...\n`);
+  if (scope.label) {
+    console.log(`🎯 Scope: ${scope.label}\n`);
+  }
+  
+  try {
+    const categories = await resolveScopeCategories(scope);
+    const categoryAverages = (await getCategoryAveragesAsOf(pool, asOf))
+      .filter(category => !categories || categories.includes(category.category_name));
+    if (categoryAverages.length === 0) {
+      throw new Error(`No category averages recorded on or before ${asOf}`);
+    }
+    
+    const { rows: storedFunds } = await pool.query(`
+      SELECT kuvera_code AS code, scheme_name AS name, fund_category, fund_type,
+             returns_1y, returns_3y, returns_5y, returns_1w, returns_inception,
+             fund_rating, volatility, aum, start_date,
+             EXISTS (SELECT 1 FROM fund_quarantine q WHERE q.kuvera_code = funds.kuvera_code) AS quarantined
+      FROM funds
+      WHERE (is_active OR below_cutoff) AND ($1::text[] IS NULL OR fund_category = ANY($1::text[]))
+    `, [categories]);
+    const currentFunds = (await loadPublishedFunds())
+      .filter(fund => !categories || categories.includes(fund.fund_category));
+    
+    // Quarantined funds keep their published score and stay out of normalization, as in a rescore
+    const { keptFunds, cutFunds } = projectScores(storedFunds.filter(fund => !fund.quarantined), categoryAverages, storedScoringInput);
+    const removalReasons = new Map(cutFunds.map(fund =>
+      [fund.code, `below score cutoff ${fundUniverse.getScoring(fund.fund_category).minScore}`]));
+    const keptCodes = new Set(storedFunds.filter(fund => fund.quarantined).map(fund => fund.code));
+    
+    const report = buildDiffReport(currentFunds, keptFunds, { removalReasons, keptCodes });
+    report.asOf = asOf;
+    report.scope = scope.label;
+    report.categoryReports = Object.fromEntries(categoryAverages.map(category =>
+      [category.category_name, toDateKey(category.report_date)]));
+    printDiffReport(report, { title: `Scores as of ${asOf} against published funds`, projected: `as of ${asOf}` });
+    console.log(`\n📚 Category reports used: ${Object.entries(report.categoryReports).map(([category, date]) => `${category} ${date}`).join(', ')}`);
+    
+    const reportPath = process.env.RESCORE_AS_OF_REPORT ||
+      path.join('reports', `as-of-${asOf}-${report.generatedAt.replace(/[:.]/g, '-')}.json`);
+    saveDiffReport(report, reportPath);
+    console.log(`\n💾 As-of report saved to ${reportPath}`);
+    
+    return { status: 'as_of_report', asOf, reportPath };
+    
+  } catch (error) {
+    console.error('As-of report failed:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+/**
+ * Reprocess only the funds with an open sync failure: a sync scoped to those funds
+ * @param {Object} options - { fresh }
+ * @returns {Promise<Object>} - { status, mode?, failures }
+ */
+async function retryFailedFunds(options = {}) {
+  await requireCurrentSchema();
+  
+  let failures;
+  try {
+    failures = await getOpenFailures(pool);
+  } catch (error) {
+    await pool.end();
+    throw error;
+  }
+  
+  if (failures.length === 0) {
+    console.log('✅ No open sync failures to retry');
+    await pool.end();
+    return { status: 'nothing_to_retry', failures };
+  }
+  
+  console.log(`🩹 Retrying ${failures.length} open sync failures:`);
+  failures.forEach(failure => {
+    console.log(`  - ${failure.kuvera_code} (${failure.stage}, ${failure.attempts} attempts): ${failure.error}`);
+  });
+  console.log('');
+  
+  const codes = [...new Set(failures.map(failure => failure.kuvera_code))];
+  const result = await seedDatabase({ funds: codes, fresh: options.fresh });
+  return { ...result, failures };
+}
+
+/**
+ * Codes with an open sync failure, to be refetched this run. A full sync also
+ * resolves failures of funds that are no longer discovered.
+ */
+async function openFailureCodes(scope, fundCodes) {
+  const failedCodes = [...new Set((await getOpenFailures(pool)).map(failure => failure.kuvera_code))];
+  
+  if (!scope.label) {
+    const discoveredCodes = new Set(fundCodes.map(fund => fund.code));
+    await resolveFailures(pool, null, failedCodes.filter(code => !discoveredCodes.has(code)));
+  }
+  
+  return failedCodes;
+}
+
+// Categories a rescore touches: the scoped category, the scoped fund's category, or all (null)
+async function resolveScopeCategories(scope) {
+  if (scope.category) {
+    return [scope.category];
+  }
+  if (!scope.fund) {
+    return null;
+  }
+  
+  const { rows } = await pool.query('SELECT fund_category FROM funds WHERE kuvera_code = $1 AND (is_active OR below_cutoff)', [scope.fund]);
+  if (rows.length === 0) {
+    throw new Error(`Fund ${scope.fund} is neither published nor cut at the score cutoff`);
+  }
+  console.log(`ℹ️ Scores are normalized per category; rescoring all of ${rows[0].fund_category}`);
+  return [rows[0].fund_category];
+}
+
+async function loadPublishedFunds() {
+  const { rows } = await pool.query(`
+    SELECT kuvera_code AS code, scheme_name AS name, fund_category, total_score
+    FROM funds
+    WHERE is_active
+  `);
+  return rows;
+}
+
+// Round as the DECIMAL(8,4) return columns do, so projected scores match what Stage 8 computes from stored rows
+function toStoredDecimal(value) {
+  return value === null || value === undefined ? null : Math.round(parseFloat(value) * 10000) / 10000;
+}
+
+// Scoring input from fund details, as Stage 7 stores them
+function detailsScoringInput(fund) {
+  const returns = fund.returns || {};
+  return {
+    returns_1y: toStoredDecimal(returns.year_1),
+    returns_3y: toStoredDecimal(returns.year_3),
+    returns_5y: toStoredDecimal(returns.year_5),
+    returns_1w: toStoredDecimal(returns.week_1),
+    returns_inception: toStoredDecimal(returns.inception),
+    fund_rating: fund.fund_rating ? parseInt(fund.fund_rating) : null,
+    volatility: fund.volatility ? parseFloat(fund.volatility) : null,
+    aum: fund.aum ? fund.aum / 10 : null,
+    start_date: fund.start_date ? new Date(fund.start_date) : null,
+    fund_category: fund.fund_category,
+    fund_type: fund.fund_type || 'Other'
+  };
+}
+
+// Scoring input from a stored funds row
+function storedScoringInput(fund) {
+  return {
+    returns_1y: fund.returns_1y,
+    returns_3y: fund.returns_3y,
+    returns_5y: fund.returns_5y,
+    returns_1w: fund.returns_1w,
+    returns_inception: fund.returns_inception,
+    fund_rating: fund.fund_rating,
+    volatility: fund.volatility,
+    aum: fund.aum,
+    start_date: fund.start_date,
+    fund_category: fund.fund_category,
+    fund_type: fund.fund_type
+  };
+}
+
+/**
+ * Score and normalize funds in memory the way stages 8-9 do in the database
+ * @param {Array} funds - Fund details, or stored rows with code and name
+ * @param {Array} categoryAverages - { category_name, returns_1w, ... }
+ * @param {Function} toScoringInput - detailsScoringInput or storedScoringInput
+ * @returns {Object} - { keptFunds, cutFunds } as { code, name, fund_category, total_score }
+ */
+function projectScores(funds, categoryAverages, toScoringInput = detailsScoringInput) {
+  const averages = {};
+  categoryAverages.forEach(category => {
+    averages[category.category_name] = {
+      returns_1w: toStoredDecimal(category.returns_1w),
+      returns_1y: toStoredDecimal(category.returns_1y),
+      returns_3y: toStoredDecimal(category.returns_3y),
+      returns_5y: toStoredDecimal(category.returns_5y),
+      returns_inception: toStoredDecimal(category.returns_inception)
+    };
+  });
+  
+  const scored = funds.map(fund => {
+    const scoringInput = toScoringInput(fund);
+    
+    return {
+      code: fund.code,
+      name: fund.name,
+      fund_category: fund.fund_category,
+      fund_type: scoringInput.fund_type,
+      total_score: scoringUtils.calculateFundScore(scoringInput, averages).total_score
+    };
+  });
+  
+  scoringUtils.normalizeFundScores(scored);
+  
+  // Stage 9 keeps funds at or above the category cutoff (and funds without a score)
+  const keptFunds = [];
+  const cutFunds = [];
+  scored.forEach(fund => {
+    const minScore = fundUniverse.getScoring(fund.fund_category).minScore;
+    if (fund.total_score !== null && fund.total_score < minScore) {
+      cutFunds.push(fund);
+    } else {
+      keptFunds.push(fund);
+    }
+  });
+  
+  return { keptFunds, cutFunds };
+}
+
 async function checkExistingData() {
   const client = await pool.connect();
   await client.query("SET TIME ZONE 'Asia/Kolkata'");
@@ -81,24 +800,24 @@ async function checkExistingData() {
     `);
     
     if (!tableCheck.rows[0].exists) {
-      console.log('📋 No existing funds table found - proceeding with seeding');
-      return false;
+      console.log('📋 No existing funds table found - running initial sync');
+      return { mode: 'initial', fundCount: 0 };
     }
     
     const dataCheck = await client.query('SELECT COUNT(*) as count FROM funds');
     const fundCount = parseInt(dataCheck.rows[0].count);
     
     if (fundCount > 0) {
-      console.log(`📋 Found ${fundCount} existing funds in database`);
-      return true;
+      console.log(`📋 Found ${fundCount} existing funds in database - running incremental sync`);
+      return { mode: 'incremental', fundCount };
     }
     
-    console.log('📋 Funds table exists but is empty - proceeding with seeding');
-    return false;
+    console.log('📋 Funds table exists but is empty - running initial sync');
+    return { mode: 'initial', fundCount: 0 };
     
   } catch (error) {
-    console.log('📋 Error checking existing data - proceeding with seeding');
-    return false;
+    console.log('📋 Error checking existing data - running initial sync');
+    return { mode: 'initial', fundCount: 0 };
   } finally {
     client.release();
   }
@@ -106,12 +825,12 @@ async function checkExistingData() {
 
 async function discoverFunds() {
   try {
-    const fundCodes = await kuveraListService.getFilteredFundCodes();
+    const fundCodes = await dataSource.getFilteredFundCodes();
     
     console.log(`✅ Found ${fundCodes.length} eligible funds after filtering`);
     
     // Show category breakdown
-    const breakdown = kuveraListService.getCategoriesBreakdown(fundCodes);
+    const breakdown = dataSource.getCategoriesBreakdown(fundCodes);
     console.log('\n📈 Fund breakdown by category:');
     Object.entries(breakdown).forEach(([category, count]) => {
       console.log(`  ${category}: ${count} funds`);
@@ -125,41 +844,215 @@ async function discoverFunds() {
   }
 }
 
-async function retrieveFundDetails(fundCodes) {
-  console.log(`📊 Fetching detailed information for ${fundCodes.length} funds...`);
+// Two NAVs are the same if they match to the precision stored in funds.current_nav
+function sameNav(a, b) {
+  return a !== null && b !== null && Math.abs(parseFloat(a) - parseFloat(b)) < 0.000005;
+}
+
+// pg returns DATE columns as local-midnight Dates; API dates are "YYYY-MM-DD..." strings
+function toDateKey(value) {
+  if (value instanceof Date) {
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+function sameDate(stored, incoming) {
+  return Boolean(stored && incoming) && toDateKey(stored) === toDateKey(incoming);
+}
+
+/**
+ * Compare discovery results and category report dates with what is stored:
+ * published and cut funds in funds, filter-rejected funds in fund_rejections
+ * @param {Object} options - { scope, force, retryCodes: funds with an open sync failure or in quarantine }
+ * @returns {Object} - { hasNewData, fundsToFetch, unchangedCodes, movedCategories, storedFunds, retryCodes }
+ */
+async function checkDataFreshness(mode, fundCodes, categoryAverages, options = {}) {
+  const everythingChanged = {
+    hasNewData: true,
+    fundsToFetch: fundCodes,
+    unchangedCodes: [],
+    movedCategories: categoryAverages.map(category => category.category_name),
+    storedFunds: new Map(),
+    retryCodes: []
+  };
+  
+  if (mode === 'initial') {
+    return everythingChanged;
+  }
+  if (options.force) {
+    console.log('🔁 Forced sync - ignoring freshness checks');
+    return everythingChanged;
+  }
+  const scope = options.scope || {};
+  const retryCodes = new Set(options.retryCodes || []);
+  
+  const client = await pool.connect();
   
   try {
-    const batchSize = 10; // Slightly larger batch size
-    const delayMs = 100; // Reduced delay between batches
+    const fundsResult = await client.query(`
+      SELECT kuvera_code, current_nav, current_nav_date, returns_date
+      FROM funds
+      WHERE (is_active OR below_cutoff)
+        AND ($1::text IS NULL OR fund_category = $1)
+        AND ($2::text[] IS NULL OR kuvera_code = ANY($2::text[]))
+    `, [scope.category || null, scope.codes || null]);
+    // Dates as YYYY-MM-DD keys so the rows survive a JSON checkpoint unchanged
+    const storedFunds = new Map(fundsResult.rows.map(row => [row.kuvera_code, {
+      ...row,
+      current_nav_date: row.current_nav_date && toDateKey(row.current_nav_date),
+      returns_date: row.returns_date && toDateKey(row.returns_date)
+    }]));
     
-    const results = await kuveraListService.getFundDetailsBatch(fundCodes, batchSize, delayMs);
+    const rejectionsResult = await client.query(`
+      SELECT kuvera_code, current_nav FROM fund_rejections WHERE stage = 'filter' AND current_nav IS NOT NULL
+    `);
+    const rejectedNavs = new Map(rejectionsResult.rows.map(row => [row.kuvera_code, row.current_nav]));
     
-    // Process results
-    const successfulFunds = [];
-    const failedFunds = [];
+    const categoriesResult = await client.query('SELECT category_name, report_date FROM category_averages');
+    const storedReportDates = new Map(categoriesResult.rows.map(row => [row.category_name, row.report_date]));
     
-    results.forEach(result => {
-      if (result.success) {
-        successfulFunds.push(result.data);
+    // Funds whose list NAV is unchanged need neither a detail fetch nor a write.
+    // Filter-rejected funds are refetched only once their list NAV moves.
+    // Funds not stored (new, or rejected without a recorded NAV) are always fetched but
+    // do not count as new data on their own, otherwise no day would ever be stale.
+    // Funds that failed or were quarantined on an earlier run are always fetched and retried.
+    const fundsToFetch = [];
+    const unchangedCodes = [];
+    const retryingCodes = [];
+    const rejectedUnchanged = new Map();
+    let changedCount = 0;
+    let rejectedChangedCount = 0;
+    let newCount = 0;
+    fundCodes.forEach(fund => {
+      const stored = storedFunds.get(fund.code);
+      if (retryCodes.has(fund.code)) {
+        fundsToFetch.push(fund);
+        retryingCodes.push(fund.code);
+      } else if (!stored && rejectedNavs.has(fund.code)) {
+        if (fund.nav !== undefined && sameNav(rejectedNavs.get(fund.code), fund.nav)) {
+          rejectedUnchanged.set(fund.code, fund);
+        } else {
+          fundsToFetch.push(fund);
+          rejectedChangedCount++;
+        }
+      } else if (!stored) {
+        fundsToFetch.push(fund);
+        newCount++;
+      } else if (fund.nav !== undefined && sameNav(stored.current_nav, fund.nav)) {
+        unchangedCodes.push(fund.code);
       } else {
-        failedFunds.push(result);
+        fundsToFetch.push(fund);
+        changedCount++;
       }
     });
     
-    console.log(`✅ Successfully retrieved: ${successfulFunds.length} funds`);
-    console.log(`❌ Failed to retrieve: ${failedFunds.length} funds`);
+    // A fetched direct plan stores its regular plan's figures, so the regular plan is fetched with it
+    const withRegularPlan = fundsToFetch.filter(fund => rejectedUnchanged.has(fund.regularCode));
+    withRegularPlan.forEach(fund => {
+      fundsToFetch.push(rejectedUnchanged.get(fund.regularCode));
+      rejectedUnchanged.delete(fund.regularCode);
+    });
+    
+    const movedCategories = categoryAverages
+      .filter(category => !sameDate(storedReportDates.get(category.category_name), category.report_date))
+      .map(category => category.category_name);
+    
+    const discoveredCodes = new Set(fundCodes.map(fund => fund.code));
+    const departedCount = [...storedFunds.keys()].filter(code => !discoveredCodes.has(code)).length;
+    
+    console.log('\n🕒 Data freshness:');
+    console.log(`  - Stored funds with a new NAV: ${changedCount}`);
+    console.log(`  - Stored funds with an unchanged NAV: ${unchangedCodes.length}`);
+    console.log(`  - Filtered-out funds with a new NAV: ${rejectedChangedCount}`);
+    console.log(`  - Filtered-out funds with an unchanged NAV: ${rejectedUnchanged.size} (${withRegularPlan.length} more fetched with their direct plan)`);
+    console.log(`  - Funds not stored yet: ${newCount}`);
+    console.log(`  - Funds with an open sync failure or in quarantine: ${retryingCodes.length}`);
+    console.log(`  - Categories with a new report date: ${movedCategories.length}`);
+    console.log(`  - Stored funds no longer listed: ${departedCount}`);
+    
+    return {
+      hasNewData: changedCount > 0 || retryingCodes.length > 0 || movedCategories.length > 0 || departedCount > 0,
+      fundsToFetch,
+      unchangedCodes,
+      movedCategories,
+      storedFunds,
+      retryCodes: retryingCodes
+    };
     
-    if (failedFunds.length > 0) {
-      console.log(`\n⚠️ Failed Failed to retrieve: ${failedFunds.length} funds`);
-      failedFunds.slice(0, 5).forEach(failed => {
-        console.log(`  - ${failed.fundCode}: ${failed.error}`);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Drop fetched funds whose NAV date and returns date match the stored row;
+ * they are kept in the universe but not rewritten (unless they are being retried)
+ */
+function skipUnchangedDetails(fundDetails, freshness) {
+  const changed = fundDetails.filter(fund => {
+    const stored = freshness.storedFunds.get(fund.code);
+    const unchanged = stored && !freshness.retryCodes.includes(fund.code) &&
+      fund.nav && sameDate(stored.current_nav_date, fund.nav.date) &&
+      fund.returns && sameDate(stored.returns_date, fund.returns.date);
+    if (unchanged) {
+      freshness.unchangedCodes.push(fund.code);
+    }
+    return !unchanged;
+  });
+  
+  if (changed.length < fundDetails.length) {
+    console.log(`⏭️ Skipping ${fundDetails.length - changed.length} funds whose NAV and returns dates are unchanged`);
+  }
+  
+  return changed;
+}
+
+/**
+ * Fetch details in chunks so progress can be checkpointed between them
+ * @param {Array} fundCodes - Discovered funds to fetch
+ * @param {Object} options - { alreadyFetched: details from an interrupted run, onChunk(fundDetails) }
+ * @returns {Promise<Object>} - { fundDetails, failedFunds }
+ */
+async function retrieveFundDetails(fundCodes, options = {}) {
+  const alreadyFetched = options.alreadyFetched || [];
+  const fetchedCodes = new Set(alreadyFetched.map(fund => fund.code));
+  const remainingCodes = fundCodes.filter(fund => !fetchedCodes.has(fund.code || fund));
+  const chunkSize = readNumberEnv('SYNC_CHECKPOINT_CHUNK_SIZE', 100);
+  
+  console.log(`📊 Fetching detailed information for ${remainingCodes.length} funds...`);
+  if (alreadyFetched.length > 0) {
+    console.log(`♻️ ${alreadyFetched.length} funds already fetched before the previous run stopped`);
+  }
+  
+  try {
+    const successfulFunds = [...alreadyFetched];
+    const failedFunds = [];
+    
+    for (let i = 0; i < remainingCodes.length; i += chunkSize) {
+      const results = await dataSource.getFundDetailsBatch(remainingCodes.slice(i, i + chunkSize));
+      
+      results.forEach(result => {
+        if (result.success) {
+          successfulFunds.push(result.data);
+        } else {
+          failedFunds.push(result);
+        }
       });
-      if (failedFunds.length > 5) {
-        console.log(`  ... and ${failedFunds.length - 5} more`);
+      
+      if (options.onChunk && i + chunkSize < remainingCodes.length) {
+        await options.onChunk(successfulFunds);
       }
     }
     
-    return successfulFunds;
+    console.log(`✅ Successfully retrieved: ${successfulFunds.length} funds`);
+    console.log(`❌ Failed to retrieve: ${failedFunds.length} funds`);
+    
+    reportRetryOutcome(dataSource.getAttemptReport(), failedFunds);
+    
+    return { fundDetails: successfulFunds, failedFunds };
     
   } catch (error) {
     console.error('❌ Fund details retrieval failed:', error.message);
@@ -167,270 +1060,390 @@ async function retrieveFundDetails(fundCodes) {
   }
 }
 
+function reportRetryOutcome(attemptReport, failedFunds) {
+  const { recovered, failed, totalAttempts, totalRetries, circuitOpened } = attemptReport;
+  const attemptsByCode = new Map(failed.map(entry => [entry.key, entry]));
+  
+  console.log(`\n🔁 Request attempts: ${totalAttempts} (${totalRetries} retries, circuit breaker opened ${circuitOpened} times)`);
+  
+  if (recovered.length > 0) {
+    console.log(`✅ Recovered after retry: ${recovered.length}`);
+    recovered.forEach(entry => {
+      console.log(`  - ${entry.key}: succeeded on attempt ${entry.attempts}`);
+    });
+  }
+  
+  if (failedFunds.length > 0) {
+    console.log(`⚠️ Never recovered: ${failedFunds.length}`);
+    failedFunds.forEach(failedFund => {
+      const entry = attemptsByCode.get(failedFund.fundCode);
+      const attempts = entry ? `${entry.attempts} attempts` : '1 attempt';
+      const status = entry && entry.lastStatus ? ` [HTTP ${entry.lastStatus}]` : '';
+      console.log(`  - ${failedFund.fundCode}: ${attempts}${status} - ${failedFund.error}`);
+    });
+  }
+}
+
+function reportThroughput(stats) {
+  if (!stats) {
+    return;
+  }
+  
+  console.log('\n🚦 Kuvera API throughput:');
+  console.log(`  - Requests: ${stats.tasks} (${stats.succeeded} ok, ${stats.failed} failed, ${stats.attempts} attempts, ${stats.throttled} throttled)`);
+  console.log(`  - Duration: ${(stats.elapsedMs / 1000).toFixed(1)}s (${stats.requestsPerSecond} req/s)`);
+  console.log(`  - Latency: avg ${stats.avgLatencyMs}ms, p95 ${stats.p95LatencyMs}ms`);
+  console.log(`  - Concurrency: final ${stats.finalConcurrency}, range ${stats.minConcurrency}-${stats.maxConcurrency} (${stats.increases} increases, ${stats.decreases} decreases)`);
+}
+
+// Stop before anything is written when a scoring field has vanished upstream
+function checkSchemaDrift() {
+  try {
+    dataSource.assertCriticalFields();
+  } catch (error) {
+    reportSchemaDrift(dataSource.getDriftReport());
+    throw error;
+  }
+}
+
+function reportSchemaDrift(driftReport) {
+  if (!driftReport) {
+    return;
+  }
+  
+  console.log('\n🧬 Schema drift report:');
+  Object.values(driftReport).forEach(schema => {
+    const clean = schema.missing.length === 0 && schema.typeChanged.length === 0 && schema.newFields.length === 0;
+    console.log(`  ${schema.name} (${schema.records} records)${clean ? ': no drift' : ''}`);
+    schema.missing.forEach(field => {
+      console.log(`    - missing ${field.path}: ${field.count} (${Math.round(field.ratio * 100)}%)${field.critical ? ' [critical]' : ''}`);
+    });
+    schema.typeChanged.forEach(field => {
+      const actual = Object.entries(field.actual).map(([type, count]) => `${type} x${count}`).join(', ');
+      console.log(`    - type changed ${field.path}: expected ${field.expected}, got ${actual}`);
+    });
+    schema.newFields.forEach(field => {
+      console.log(`    - new field ${field.path}: ${field.count} (${Math.round(field.ratio * 100)}%)`);
+    });
+  });
+}
+
 async function applyAdvancedFilters(fundDetails) {
   console.log(`🎯 Applying advanced filters to ${fundDetails.length} funds...`);
   
   const filteredFunds = [];
-  let filterStats = {
-    availability: 0,
-    fundType: 0,
-    planType: 0,
-    maturity: 0,
-    rating: 0,
-    aum: 0,
-    dataIntegrity: 0,
-    indexFund: 0,
-    passed: 0
-  };
+  const rejectedFunds = [];
+  // Failures per rule id; a fund that fails several rules counts against each
+  const filterStats = {};
+  fundUniverse.defaults.filterRules.forEach(rule => {
+    filterStats[rule.id] = 0;
+  });
   
   for (const fund of fundDetails) {
-    let passesFilter = true;
-    
-    // 3.1 Availability Filters
-    const hasLumpsum = fund.lump_available === 'Y';
-    const hasSip = fund.sip_available === 'Y';
-    if (!hasLumpsum && !hasSip) {
-      filterStats.availability++;
-      passesFilter = false;
-      continue;
-    }
-    
-    // Fund Type: Must be direct plan
-    if (fund.direct !== 'Y') {
-      filterStats.fundType++;
-      passesFilter = false;
-      continue;
-    }
-    
-    // Plan Type: Must be growth plan
-    if (fund.plan !== 'GROWTH') {
-      filterStats.planType++;
-      passesFilter = false;
-      continue;
-    }
-    
-    // Maturity: Must be open-ended
-    if (fund.maturity_type !== 'Open Ended') {
-      filterStats.maturity++;
-      passesFilter = false;
-      continue;
-    }
-    
-    // 3.2 Quality Filters
-    // Fund Rating: Exclude only 1, 2 star funds
-    if (fund.fund_rating && [1, 2].includes(parseInt(fund.fund_rating))) {
-      filterStats.rating++;
-      passesFilter = false;
-      continue;
-    }
-    
-    // AUM Threshold: Minimum ₹10 crores
-    if (!fund.aum || (fund.aum / 10) < 10) {
-      filterStats.aum++;
-      passesFilter = false;
-      continue;
-    }
-    
-    // 3.3 Data Integrity
-    if (!fund.name || !fund.code) {
-      filterStats.dataIntegrity++;
-      passesFilter = false;
-      continue;
-    }
+    // Rules come from the fund universe config, with per-category overrides;
+    // rules on fields the data source never provides are skipped
+    const rules = fundUniverse.getFilterRules(fund.fund_category);
+    const { passed, failures } = evaluateRules(fund, rules, dataSource.capabilities);
     
-    // 3.4 Exclude Index Funds containing 'Nifty' anywhere in the name (case-insensitive)
-    if (fund.name && fund.name.toLowerCase().includes('nifty')) {
-      filterStats.indexFund = (filterStats.indexFund || 0) + 1;
-      passesFilter = false;
+    if (passed) {
+      filteredFunds.push(fund);
       continue;
     }
     
-    if (passesFilter) {
-      filteredFunds.push(fund);
-      filterStats.passed++;
-    }
+    failures.forEach(failure => {
+      filterStats[failure.rule] = (filterStats[failure.rule] || 0) + 1;
+    });
+    rejectedFunds.push({ fund, failures });
   }
   
+  filterStats.passed = filteredFunds.length;
+  filterStats.rejected = rejectedFunds.length;
+  
   console.log(`✅ Funds passed advanced filtering: ${filteredFunds.length}`);
-  console.log('\n📊 Filter statistics:');
-  console.log(`  - Failed availability check: ${filterStats.availability}`);
-  console.log(`  - Failed fund type check: ${filterStats.fundType}`);
-  console.log(`  - Failed plan type check: ${filterStats.planType}`);
-  console.log(`  - Failed maturity check: ${filterStats.maturity}`);
-  console.log(`  - Failed rating check: ${filterStats.rating}`);
-  console.log(`  - Failed AUM check: ${filterStats.aum}`);
-  console.log(`  - Failed data integrity check: ${filterStats.dataIntegrity}`);
-  console.log(`  - Excluded index funds named 'Nifty': ${filterStats.indexFund || 0}`);
+  console.log('\n📊 Filter statistics (funds failing each rule):');
+  fundUniverse.defaults.filterRules.forEach(rule => {
+    console.log(`  - ${rule.id} (${rule.description || rule.id}): ${filterStats[rule.id]}`);
+  });
+  console.log(`  - Rejected: ${filterStats.rejected}`);
   console.log(`  - Passed all filters: ${filterStats.passed}`);
   
-  return filteredFunds;
+  return { filteredFunds, rejectedFunds, filterStats };
 }
 
-async function createDatabaseTables() {
+/**
+ * Persist why funds were left out, so "why isn't fund X listed?" can be answered
+ * without rerunning the sync. Each fund keeps its latest rejection; funds that
+ * passed the stage lose theirs. Lives in public, outside the staged dataset.
+ * @param {string} stage - 'filter' or 'score_cutoff'
+ * @param {Array} rejections - [{ fund: { code, name, fund_category, fund_house, nav? }, failures }];
+ *   the detail NAV of filter rejections lets the next freshness check skip them
+ * @param {Array<string>} passedCodes - Codes that passed this stage
+ * @param {number|null} runId - sync_runs id
+ */
+async function storeRejections(stage, rejections, passedCodes, runId) {
   const client = await pool.connect();
-  await client.query("SET TIME ZONE 'Asia/Kolkata'");
   
   try {
     await client.query('BEGIN');
     
-    console.log('🗄️ Creating funds table...');
+    if (passedCodes.length > 0) {
+      await client.query('DELETE FROM fund_rejections WHERE kuvera_code = ANY($1::text[])', [passedCodes]);
+    }
+    
+    const rows = rejections.map(({ fund, failures }) => ({
+      kuvera_code: fund.code,
+      scheme_name: fund.name,
+      fund_category: fund.fund_category,
+      fund_house: fund.fund_house,
+      current_nav: fund.nav ? fund.nav.nav : null,
+      failed_rules: failures
+    }));
     
-    // Create comprehensive funds table
     await client.query(`
-      CREATE TABLE IF NOT EXISTS funds (
-        -- Primary Keys & Identifiers
-        id SERIAL PRIMARY KEY,
-        kuvera_code TEXT UNIQUE NOT NULL,
-        scheme_name TEXT NOT NULL,
-        isin TEXT,
-        
-        -- Fund House Information
-        fund_house TEXT,
-        fund_house_name TEXT,
-        fund_category TEXT,
-        fund_type TEXT,
-        
-        -- Investment Options
-        lump_available VARCHAR(1),
-        lump_min DECIMAL(15,2),
-        sip_available VARCHAR(1),
-        sip_min DECIMAL(15,2),
-        lock_in_period INTEGER,
-        detail_info TEXT,
-        
-        -- NAV Data
-        current_nav DECIMAL(10,5),
-        current_nav_date DATE,
-        t1_nav DECIMAL(10,5),
-        t1_nav_date DATE,
-        
-        -- Performance Returns (in percentage)
-        returns_1d DECIMAL(8,4),
-        returns_1w DECIMAL(8,4),
-        returns_1y DECIMAL(8,4),
-        returns_3y DECIMAL(8,4),
-        returns_5y DECIMAL(8,4),
-        returns_inception DECIMAL(8,4),
-        returns_date DATE,
-        
-        -- Fund Metadata
-        start_date DATE,              -- Fund inception date
-        expense_ratio DECIMAL(5,2),   -- Annual expense ratio
-        expense_ratio_date DATE,      -- Date of expense ratio
-        fund_managers JSONB,          -- Fund manager names as JSON array
-        investment_objective TEXT,    -- Investment objective
-        volatility DECIMAL(8,4),
-        portfolio_turnover DECIMAL(8,4),
-        aum DECIMAL(15,2),
-        fund_rating INTEGER,
-        fund_rating_date DATE,
-        crisil_rating TEXT,
-        
-        -- Scoring System
-        total_score DECIMAL(5,2),
-        score_updated TIMESTAMP,
-        
-        -- Audit Fields
-        last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+      INSERT INTO fund_rejections (kuvera_code, scheme_name, fund_category, fund_house, current_nav, stage, failed_rules, run_id, rejected_at)
+      SELECT r.kuvera_code, r.scheme_name, r.fund_category, r.fund_house, r.current_nav, $2, r.failed_rules, $3, CURRENT_TIMESTAMP
+      FROM jsonb_to_recordset($1::jsonb) AS r(kuvera_code TEXT, scheme_name TEXT, fund_category TEXT, fund_house TEXT, current_nav DECIMAL(10,5), failed_rules JSONB)
+      ON CONFLICT (kuvera_code) DO UPDATE SET
+        scheme_name = EXCLUDED.scheme_name,
+        fund_category = EXCLUDED.fund_category,
+        fund_house = EXCLUDED.fund_house,
+        current_nav = EXCLUDED.current_nav,
+        stage = EXCLUDED.stage,
+        failed_rules = EXCLUDED.failed_rules,
+        run_id = EXCLUDED.run_id,
+        rejected_at = EXCLUDED.rejected_at
+    `, [JSON.stringify(rows), stage, runId]);
     
-    console.log('🗄️ Creating category_averages table...');
+    await client.query('COMMIT');
+    console.log(`🗒️ Recorded ${rows.length} ${stage} rejections`);
     
-    // Create category averages table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS category_averages (
-        id SERIAL PRIMARY KEY,
-        category_name TEXT UNIQUE NOT NULL,
-        report_date DATE NOT NULL,
-        returns_1w DECIMAL(8,4),
-        returns_1y DECIMAL(8,4),
-        returns_3y DECIMAL(8,4),
-        returns_5y DECIMAL(8,4),
-        returns_inception DECIMAL(8,4),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Storing rejections failed:', error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Run the anomaly checks on the filtered funds and update the quarantine
+ * @param {Array} filteredFunds - Fund details that passed Stage 3
+ * @param {number|null} runId - sync_runs id
+ * @returns {Promise<Array>} - Quarantined funds: [{ code, name, fund_category, reasons }]
+ */
+async function quarantineAnomalies(filteredFunds, runId) {
+  console.log(`🔬 Checking ${filteredFunds.length} funds for data anomalies...`);
+
+  const { quarantined, checked } = await detectAnomalies(pool, filteredFunds, { capabilities: dataSource.capabilities });
+  const { released } = await recordQuarantine(pool, quarantined, checked, runId);
+
+  quarantined.forEach(({ fund, reasons }) => {
+    console.log(`  🚧 ${fund.code} (${fund.name}):`);
+    reasons.forEach(reason => console.log(`    - ${reason.check}: ${reason.description}`));
+  });
+  console.log(`✅ Quarantined ${quarantined.length} funds${released > 0 ? `, released ${released}` : ''}`);
+
+  return quarantined.map(({ fund, reasons }) => ({
+    code: fund.code,
+    name: fund.name,
+    fund_category: fund.fund_category,
+    reasons
+  }));
+}
+
+/**
+ * Unpublish scored funds below their category's score cutoff and reinstate cut
+ * funds that clear it. Cut funds are kept as inactive rows flagged below_cutoff,
+ * so they stay in their category's normalization and are rescored with it.
+ * @param {Array<string>|null} categories - Categories to apply the cutoff to, or null for all
+ * @returns {Promise<Object>} - { cutFunds: shaped like filter rejections, reinstatedCodes }
+ */
+async function applyScoreCutoff(categories = null) {
+  const client = await connectStaging(pool);
+  
+  try {
+    const cutoffs = fundUniverse.getEnabledCategories().map(entry => ({
+      category: entry.category,
+      min_score: entry.scoring.minScore
+    }));
     
-    console.log('📇 Creating database indexes...');
+    // Funds whose category is not in the universe fall back to the default cutoff; funds without a score are kept
+    const { rows } = await client.query(`
+      UPDATE funds f
+      SET is_active = NOT s.cut,
+          below_cutoff = s.cut,
+          removed_at = CASE WHEN NOT s.cut THEN NULL WHEN s.was_active THEN CURRENT_TIMESTAMP ELSE f.removed_at END
+      FROM (
+        SELECT id, is_active AS was_active, COALESCE(total_score < COALESCE(
+          (SELECT c.min_score FROM jsonb_to_recordset($1::jsonb) AS c(category TEXT, min_score DECIMAL)
+           WHERE c.category = funds.fund_category),
+          $2
+        ), FALSE) AS cut
+        FROM funds
+        WHERE (is_active OR below_cutoff)
+          AND ($3::text[] IS NULL OR fund_category = ANY($3::text[]))
+      ) s
+      WHERE f.id = s.id AND (s.cut OR NOT s.was_active)
+      RETURNING f.kuvera_code, f.scheme_name, f.fund_category, f.fund_house, f.total_score, f.raw_score, s.cut, s.was_active
+    `, [JSON.stringify(cutoffs), fundUniverse.defaults.scoring.minScore, categories]);
     
-    // Create performance indexes for funds table
-    await client.query(`CREATE INDEX IF NOT EXISTS idx_funds_kuvera_code ON funds(kuvera_code)`);
-    await client.query(`CREATE INDEX IF NOT EXISTS idx_funds_isin ON funds(isin)`);
-    await client.query(`CREATE INDEX IF NOT EXISTS idx_funds_fund_category ON funds(fund_category)`);
-    await client.query(`CREATE INDEX IF NOT EXISTS idx_funds_fund_house ON funds(fund_house)`);
-    await client.query(`CREATE INDEX IF NOT EXISTS idx_funds_fund_type ON funds(fund_type)`);
-    await client.query(`CREATE INDEX IF NOT EXISTS idx_funds_total_score ON funds(total_score DESC)`);
+    const cutRows = rows.filter(row => row.cut);
+    const reinstatedCodes = rows.filter(row => !row.cut).map(row => row.kuvera_code);
+    const newlyCut = cutRows.filter(row => row.was_active).length;
+    console.log(`Cut ${cutRows.length} funds below their category score cutoff (${newlyCut} newly, ${reinstatedCodes.length} reinstated)`);
+    
+    // Shaped like filter rejections so both can be stored together
+    const cutFunds = cutRows.map(row => ({
+      fund: { code: row.kuvera_code, name: row.scheme_name, fund_category: row.fund_category, fund_house: row.fund_house, raw_score: row.raw_score },
+      failures: [{
+        rule: 'min_score',
+        description: 'Normalized score at or above the category cutoff',
+        param: fundUniverse.getScoring(row.fund_category).minScore,
+        actual: parseFloat(row.total_score)
+      }]
+    }));
+    
+    return { cutFunds, reinstatedCodes };
+    
+  } finally {
+    await releaseStaging(client);
+  }
+}
+
+/**
+ * Validate the staged dataset and swap it into public in one transaction,
+ * recording in the same transaction how the staged funds differ from the live
+ * ones in fund_events. A dataset that fails validation is left in staging for
+ * inspection; the live tables and fund_events are not touched.
+ * @param {number|null} runId - sync_runs id
+ * @returns {Promise<Object>} - Validation stats plus { events }
+ */
+async function publishDataset(runId) {
+  const client = await pool.connect();
+  
+  try {
+    const stats = await validateStaging(client, {
+      requireCategoryAverages: dataSource.capabilities.categoryAverages
+    });
+    console.log(`🔎 Staging validated: ${stats.stagedFunds} active funds (live: ${stats.liveFunds}), ${stats.stagedCategories} category averages`);
+    
+    const events = await publishStaging(client, {
+      beforeSwap: transaction => recordFundEvents(transaction, runId, {
+        stagingSchema: STAGING_SCHEMA,
+        liveSchema: LIVE_SCHEMA,
+        capabilities: dataSource.capabilities
+      })
+    });
+    console.log('🔀 Staging published; the previous dataset is kept for rollback (npm run rollback)');
+    const eventTypes = Object.entries(events.byType).map(([type, count]) => `${type} ${count}`);
+    console.log(`📝 Fund changes: ${events.recorded} recorded${eventTypes.length > 0 ? ` (${eventTypes.join(', ')})` : ''}`);
     
-    // Create indexes for category_averages table
-    await client.query(`CREATE INDEX IF NOT EXISTS idx_category_averages_category_name ON category_averages(category_name)`);
-    await client.query(`CREATE INDEX IF NOT EXISTS idx_category_averages_report_date ON category_averages(report_date)`);
+    return { ...stats, events };
+    
+  } catch (error) {
+    console.error('❌ Publish failed, live tables unchanged:', error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Snapshot the published scores and category ranks, and the funds cut at Stage 9, into score_history
+ * @param {RunAudit} audit - Run audit of the publishing run
+ * @param {Array} cutFunds - From applyScoreCutoff
+ */
+async function recordScoreHistory(audit, cutFunds) {
+  await audit.beginStage(13, 'Score History');
+  const snapshot = await recordScoreSnapshot(pool, audit.runId, cutFunds);
+  console.log(`📊 Score history: ${snapshot.published} published and ${snapshot.cut} cut funds snapshotted`);
+  await audit.endStage({ outputCount: snapshot.published + snapshot.cut, details: snapshot });
+}
+
+/**
+ * Upsert the fund houses seen this run and refresh every house's aggregates in amcs
+ * @param {RunAudit} audit - Run audit of the publishing run
+ * @param {Array} houses - [{ fund_house, name }] from discovery and fund details
+ */
+async function recordAmcAggregates(audit, houses = []) {
+  await audit.beginStage(15, 'AMCs', houses.length);
+  const amcs = await recordAmcs(pool, houses);
+  console.log(`🏦 AMCs: ${amcs.refreshed} fund houses refreshed (${amcs.added} new)`);
+  await audit.endStage({ outputCount: amcs.refreshed, details: amcs });
+}
+
+async function createDatabaseTables() {
+  const client = await connectStaging(pool);
+  await client.query("SET TIME ZONE 'Asia/Kolkata'");
+  
+  try {
+    await client.query('BEGIN');
+    
+    console.log(`🧱 Resetting ${STAGING_SCHEMA} schema...`);
+    await resetStagingSchema(client);
+    
+    console.log('🗄️ Creating funds and category_averages from the published migrations...');
+    await applyPublishedMigrations(client);
+    
+    // Incremental syncs build on the published dataset
+    const copied = await copyLiveTables(client);
     
     await client.query('COMMIT');
-    console.log('✅ Database tables and indexes created successfully');
+    console.log(`✅ Staging tables created (${copied.funds} funds, ${copied.category_averages} category averages copied from live)`);
+    
+    return copied;
     
   } catch (error) {
     await client.query('ROLLBACK');
     console.error('❌ Database table creation failed:', error.message);
     throw error;
   } finally {
-    client.release();
+    await releaseStaging(client);
   }
 }
 
-async function processCategoryAverages() {
-  console.log('📈 Fetching and processing category averages...');
+async function fetchCategoryAverages() {
+  console.log('📈 Fetching category averages...');
   
   try {
-    // Fetch category averages from Kuvera API
-    const categoryAveragesUrl = 'https://api.kuvera.in/mf/api/v4/fund_categories.json';
-    const response = await axios.get(categoryAveragesUrl, {
-      timeout: 15000,
-      headers: {
-        'Accept': 'application/json',
-        'User-Agent': 'MF-Compass-Sync-Service/2.0'
-      }
-    });
-    
-    if (!response.data || !Array.isArray(response.data)) {
-      throw new Error('Invalid category averages response from API');
+    // Fetch category averages from the data source
+    const categoryData = await dataSource.getCategoryAverages();
+    console.log(`✅ Fetched ${categoryData.length} category averages from ${dataSource.name}`);
+    checkSchemaDrift();
+    if (!dataSource.capabilities.categoryAverages) {
+      console.log(`⚠️ ${dataSource.name} does not provide category averages; scoring falls back to absolute returns`);
     }
     
-    const categoryData = response.data;
-    console.log(`✅ Fetched ${categoryData.length} category averages from API`);
-    
-    // Filter for categories we're interested in
-    const allowedEquityCategories = [
-      'Large Cap Fund',
-      'Mid Cap Fund',
-      'Small Cap Fund',
-      'Flexi Cap Fund'
-    ];
+    // Filter for categories enabled in the fund universe
     const relevantCategories = categoryData.filter(category =>
-      allowedEquityCategories.includes(category.category_name)
+      fundUniverse.isEnabled(category.category_name)
     );
     
     console.log(`📊 Found ${relevantCategories.length} relevant categories`);
     
-    // Only process equity categories for DB
-    const equityCategories = relevantCategories.filter(cat => ['Large Cap Fund', 'Mid Cap Fund', 'Small Cap Fund', 'Flexi Cap Fund'].includes(cat.category_name));
-    const processedCategories = [];
-    equityCategories.forEach(category => {
-      processedCategories.push({
-        category_name: category.category_name,
-        report_date: category.report_date,
-        returns_1w: category.week_1,
-        returns_1y: category.year_1,
-        returns_3y: category.year_3,
-        returns_5y: category.year_5,
-        returns_inception: category.inception
-      });
-    });
+    return relevantCategories.map(category => ({
+      category_name: category.category_name,
+      report_date: category.report_date,
+      returns_1w: category.week_1,
+      returns_1y: category.year_1,
+      returns_3y: category.year_3,
+      returns_5y: category.year_5,
+      returns_inception: category.inception
+    }));
     
-    // Store in database
-    await storeCategoryAverages(processedCategories);
+  } catch (error) {
+    console.error('❌ Category averages fetch failed:', error.message);
+    throw error;
+  }
+}
+
+async function processCategoryAverages(categories) {
+  console.log('📈 Processing category averages...');
+  
+  try {
+    // Store in database (staging; the history is appended once they are published)
+    await storeCategoryAverages(categories);
     
     console.log('✅ Category averages processed and stored successfully');
     
@@ -441,7 +1454,7 @@ async function processCategoryAverages() {
 }
 
 async function storeCategoryAverages(categories) {
-  const client = await pool.connect();
+  const client = await connectStaging(pool);
   await client.query("SET TIME ZONE 'Asia/Kolkata'");
   
   try {
@@ -483,58 +1496,188 @@ async function storeCategoryAverages(categories) {
     console.error('❌ Error storing category averages:', error.message);
     throw error;
   } finally {
-    client.release();
+    await releaseStaging(client);
   }
 }
 
-async function processAndStoreFunds(funds) {
+/**
+ * Upsert funds into staging in committed batches, one multi-row statement per batch.
+ * When a batch statement fails, its funds are written one at a time, each under its
+ * own savepoint, so one bad fund cannot abort the rest of the batch.
+ * @param {Array} funds - Filtered fund details
+ * @param {Object} options - { regularPlans: direct plan code → regular plan details, onBatch({ storedCodes, inserted }) after each commit }
+ * @returns {Promise<Object>} - { processed, inserted, failures: [{ code, error, payload }], timings }
+ */
+async function processAndStoreFunds(funds, options = {}) {
   console.log(`💾 Processing and storing ${funds.length} funds...`);
   
-  const client = await pool.connect();
+  const client = await connectStaging(pool);
   await client.query("SET TIME ZONE 'Asia/Kolkata'");
   
-  const batchSize = 10;
+  const batchSize = readNumberEnv('SYNC_WRITE_BATCH_SIZE', 500);
+  const timings = { transformMs: 0, writeMs: 0, statements: 0 };
+  const failures = [];
   let processedCount = 0;
+  let insertedCount = 0;
   
   try {
+    // Category averages are stored in Stage 6 and do not change while funds are written
+    const categoryAverages = await getCategoryAveragesForScoring(client);
+    
     for (let i = 0; i < funds.length; i += batchSize) {
       const batch = funds.slice(i, i + batchSize);
       
+      let started = Date.now();
+      const { rows, failures: transformFailures } = buildFundRows(batch, categoryAverages, options.regularPlans);
+      failures.push(...transformFailures);
+      timings.transformMs += Date.now() - started;
+      
+      started = Date.now();
       await client.query('BEGIN');
+      await client.query('SAVEPOINT fund_batch');
       
-      for (const fund of batch) {
-        try {
-          await processSingleFund(client, fund);
-          processedCount++;
-          
-          // Show progress
-          if (processedCount % 25 === 0 || processedCount <= 5) {
-            console.log(`📊 Processed ${processedCount}/${funds.length}: ${fund.name}`);
+      let results = [];
+      try {
+        results = await upsertFunds(client, rows);
+        timings.statements++;
+      } catch (batchError) {
+        await client.query('ROLLBACK TO SAVEPOINT fund_batch');
+        console.warn(`⚠️ Batch of ${rows.length} funds failed (${batchError.message}); storing them one at a time`);
+        
+        for (const row of rows) {
+          await client.query('SAVEPOINT fund_row');
+          try {
+            results.push(...await upsertFunds(client, [row]));
+            timings.statements++;
+            await client.query('RELEASE SAVEPOINT fund_row');
+          } catch (error) {
+            await client.query('ROLLBACK TO SAVEPOINT fund_row');
+            console.error(`⚠️ Error processing fund ${row.scheme_name}:`, error.message);
+            failures.push({ code: row.kuvera_code, error: error.message, payload: batch.find(fund => fund.code === row.kuvera_code) });
           }
-          
-        } catch (error) {
-          console.error(`⚠️ Error processing fund ${fund.name}:`, error.message);
         }
       }
       
       await client.query('COMMIT');
+      timings.writeMs += Date.now() - started;
       
-      // Brief pause between batches
-      await new Promise(resolve => setTimeout(resolve, 100));
+      const batchResult = {
+        storedCodes: results.map(row => row.kuvera_code),
+        inserted: results.filter(row => row.inserted).length
+      };
+      processedCount += batchResult.storedCodes.length;
+      insertedCount += batchResult.inserted;
+      console.log(`📊 Processed ${processedCount}/${funds.length} funds`);
+      
+      if (options.onBatch) {
+        await options.onBatch(batchResult);
+      }
     }
     
-    console.log(`✅ Successfully processed ${processedCount} funds`);
+    console.log(`✅ Successfully processed ${processedCount} funds (${insertedCount} new, ${processedCount - insertedCount} updated)`);
+    if (failures.length > 0) {
+      console.log(`❌ Failed to store: ${failures.length} funds (${failures.map(failure => failure.code).join(', ')})`);
+    }
+    reportWriteTimings('Storage', processedCount, timings);
+    
+    return { processed: processedCount, inserted: insertedCount, failures, timings };
     
   } catch (error) {
     await client.query('ROLLBACK');
     console.error('❌ Fund processing failed:', error.message);
     throw error;
   } finally {
-    client.release();
+    await releaseStaging(client);
   }
 }
 
-async function processSingleFund(client, fund) {
+function reportWriteTimings(label, count, timings) {
+  const totalMs = Object.entries(timings)
+    .filter(([key]) => key.endsWith('Ms'))
+    .reduce((sum, [, ms]) => sum + ms, 0);
+  const rate = totalMs > 0 ? Math.round(count / (totalMs / 1000)) : count;
+  const parts = Object.entries(timings)
+    .filter(([key]) => key.endsWith('Ms'))
+    .map(([key, ms]) => `${key.slice(0, -2)} ${ms}ms`);
+  
+  console.log(`⏱️ ${label}: ${count} funds in ${totalMs}ms (${parts.join(', ')}; ${timings.statements} write statements, ${rate} funds/s)`);
+}
+
+/**
+ * Codes that are still part of the universe this run: funds that passed filtering,
+ * plus discovered funds whose details could not be fetched (their status is unknown)
+ */
+function universeCodes(fundCodes, fundDetails, filteredFunds) {
+  const fetchedCodes = new Set(fundDetails.map(fund => fund.code));
+  const unfetchedCodes = fundCodes.map(fund => fund.code).filter(code => !fetchedCodes.has(code));
+  return [...filteredFunds.map(fund => fund.code), ...unfetchedCodes];
+}
+
+async function deactivateDepartedFunds(currentCodes, scope = {}) {
+  const client = await connectStaging(pool);
+  await client.query("SET TIME ZONE 'Asia/Kolkata'");
+  
+  try {
+    const { rows } = await client.query(`
+      UPDATE funds
+      SET is_active = FALSE, below_cutoff = FALSE, removed_at = CASE WHEN is_active THEN CURRENT_TIMESTAMP ELSE removed_at END
+      WHERE (is_active OR below_cutoff) AND NOT (kuvera_code = ANY($1::text[]))
+        AND ($2::text IS NULL OR fund_category = $2)
+        AND ($3::text[] IS NULL OR kuvera_code = ANY($3::text[]))
+      RETURNING kuvera_code, scheme_name, fund_category
+    `, [currentCodes, scope.category || null, scope.codes || null]);
+    
+    console.log(`🚪 Deactivated ${rows.length} funds that left the universe`);
+    rows.slice(0, 10).forEach(row => {
+      console.log(`  - ${row.kuvera_code}: ${row.scheme_name}`);
+    });
+    if (rows.length > 10) {
+      console.log(`  ... and ${rows.length - 10} more`);
+    }
+    
+    return rows;
+    
+  } finally {
+    await releaseStaging(client);
+  }
+}
+
+// Columns written by Stage 7; score_updated and last_updated are set by the database
+const FUND_COLUMNS = [
+  'kuvera_code', 'scheme_name', 'isin', 'fund_house', 'fund_house_name', 'fund_category', 'fund_type',
+  'lump_available', 'lump_min', 'sip_available', 'sip_min', 'lock_in_period', 'detail_info',
+  'current_nav', 'current_nav_date', 't1_nav', 't1_nav_date',
+  'returns_1d', 'returns_1w', 'returns_1y', 'returns_3y', 'returns_5y', 'returns_inception', 'returns_date',
+  'start_date', 'expense_ratio', 'expense_ratio_date', 'fund_managers', 'investment_objective',
+  'volatility', 'portfolio_turnover', 'aum', 'fund_rating', 'fund_rating_date', 'crisil_rating',
+  'total_score',
+  'regular_code', 'regular_expense_ratio', 'regular_nav', 'regular_nav_date',
+  'regular_returns_1y', 'regular_returns_3y', 'regular_returns_5y'
+];
+
+/**
+ * Transform fund details into funds rows with an initial raw score
+ * @param {Array} funds - Fund details from the data source
+ * @param {Object|null} categoryAverages - From getCategoryAveragesForScoring
+ * @param {Map} regularPlans - Direct plan code → regular plan details
+ * @returns {Object} - { rows: keyed by FUND_COLUMNS, one per fund code, failures: [{ code, error, payload }] }
+ */
+function buildFundRows(funds, categoryAverages, regularPlans = new Map()) {
+  // A code listed twice would make the multi-row upsert touch the same row twice
+  const rows = new Map();
+  const failures = [];
+  funds.forEach(fund => {
+    try {
+      rows.set(fund.code, buildFundRow(fund, categoryAverages, regularPlans.get(fund.code)));
+    } catch (error) {
+      console.error(`⚠️ Error processing fund ${fund.name}:`, error.message);
+      failures.push({ code: fund.code, error: error.message, payload: fund });
+    }
+  });
+  return { rows: [...rows.values()], failures };
+}
+
+function buildFundRow(fund, categoryAverages, regularPlan = null) {
   // 5.2 Data Transformation
   
   // NAV Data Processing
@@ -581,12 +1724,9 @@ async function processSingleFund(client, fund) {
       .map(name => name.trim())
       .filter(name => name.length > 0);
     
-    fundManagers = managerNames.length > 0 ? JSON.stringify(managerNames) : null;
+    fundManagers = managerNames.length > 0 ? managerNames : null;
   }
   
-  // Get category averages for scoring
-  const categoryAverages = await getCategoryAveragesForScoring(client);
-  
   // Calculate initial raw score with category averages
   const fundDataForScoring = {
     returns_1y: returns1y,
@@ -604,108 +1744,90 @@ async function processSingleFund(client, fund) {
   
   const scoreResult = scoringUtils.calculateFundScore(fundDataForScoring, categoryAverages);
   
-  // 5.3 Database Insertion
-  await client.query(`
-    INSERT INTO funds (
-      kuvera_code, scheme_name, isin, fund_house, fund_house_name, fund_category, fund_type,
-      lump_available, lump_min, sip_available, sip_min, lock_in_period, detail_info,
-      current_nav, current_nav_date, t1_nav, t1_nav_date,
-      returns_1d, returns_1w, returns_1y, returns_3y, returns_5y, returns_inception, returns_date,
-      start_date, expense_ratio, expense_ratio_date, fund_managers, investment_objective,
-      volatility, portfolio_turnover, aum, fund_rating, fund_rating_date, crisil_rating,
-      total_score, score_updated, last_updated
-    ) VALUES (
-      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17,
-      $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30, $31, $32,
-      $33, $34, $35, $36, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
-    )
+  return {
+    kuvera_code: fund.code,
+    scheme_name: fund.name,
+    isin: fund.ISIN,
+    fund_house: fund.fund_house,
+    fund_house_name: fund.fund_name,
+    fund_category: fund.fund_category,
+    fund_type: fundType,
+    lump_available: fund.lump_available,
+    lump_min: fund.lump_min ? parseFloat(fund.lump_min) : null,
+    sip_available: fund.sip_available,
+    sip_min: fund.sip_min ? parseFloat(fund.sip_min) : null,
+    lock_in_period: fund.lock_in_period ? parseInt(fund.lock_in_period) : null,
+    detail_info: fund.investment_objective,
+    current_nav: currentNav,
+    current_nav_date: currentNavDate,
+    t1_nav: t1Nav,
+    t1_nav_date: t1NavDate,
+    returns_1d: returns1d,
+    returns_1w: returns1w,
+    returns_1y: returns1y,
+    returns_3y: returns3y,
+    returns_5y: returns5y,
+    returns_inception: returnsInception,
+    returns_date: returnsDate,
+    start_date: startDate,
+    expense_ratio: expenseRatio,
+    expense_ratio_date: expenseRatioDate,
+    fund_managers: fundManagers,
+    investment_objective: fund.investment_objective,
+    volatility: volatility,
+    portfolio_turnover: portfolioTurnover,
+    aum: aumInCrores,
+    fund_rating: fundRating,
+    fund_rating_date: fundRatingDate,
+    crisil_rating: fund.crisil_rating,
+    total_score: scoreResult.total_score,
+    ...regularPlanColumns(regularPlan)
+  };
+}
+
+/**
+ * 5.3 Database Insertion: upsert rows in one statement (reactivates funds that re-enter the universe).
+ * Rows are sent as one JSON array and expanded with the funds row type, so Postgres does the casting.
+ * @returns {Promise<Array>} - { kuvera_code, inserted } per row
+ */
+async function upsertFunds(client, rows) {
+  const { rows: results } = await client.query(`
+    INSERT INTO funds (${FUND_COLUMNS.join(', ')}, score_updated, last_updated)
+    SELECT ${FUND_COLUMNS.join(', ')}, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+    FROM jsonb_populate_recordset(NULL::funds, $1::jsonb)
     ON CONFLICT (kuvera_code) DO UPDATE SET
-      scheme_name = EXCLUDED.scheme_name,
-      isin = EXCLUDED.isin,
-      fund_house = EXCLUDED.fund_house,
-      fund_house_name = EXCLUDED.fund_house_name,
-      fund_category = EXCLUDED.fund_category,
-      fund_type = EXCLUDED.fund_type,
-      lump_available = EXCLUDED.lump_available,
-      lump_min = EXCLUDED.lump_min,
-      sip_available = EXCLUDED.sip_available,
-      sip_min = EXCLUDED.sip_min,
-      lock_in_period = EXCLUDED.lock_in_period,
-      detail_info = EXCLUDED.detail_info,
-      current_nav = EXCLUDED.current_nav,
-      current_nav_date = EXCLUDED.current_nav_date,
-      t1_nav = EXCLUDED.t1_nav,
-      t1_nav_date = EXCLUDED.t1_nav_date,
-      returns_1d = EXCLUDED.returns_1d,
-      returns_1w = EXCLUDED.returns_1w,
-      returns_1y = EXCLUDED.returns_1y,
-      returns_3y = EXCLUDED.returns_3y,
-      returns_5y = EXCLUDED.returns_5y,
-      returns_inception = EXCLUDED.returns_inception,
-      returns_date = EXCLUDED.returns_date,
-      start_date = EXCLUDED.start_date,
-      expense_ratio = EXCLUDED.expense_ratio,
-      expense_ratio_date = EXCLUDED.expense_ratio_date,
-      fund_managers = EXCLUDED.fund_managers,
-      investment_objective = EXCLUDED.investment_objective,
-      volatility = EXCLUDED.volatility,
-      portfolio_turnover = EXCLUDED.portfolio_turnover,
-      aum = EXCLUDED.aum,
-      fund_rating = EXCLUDED.fund_rating,
-      fund_rating_date = EXCLUDED.fund_rating_date,
-      crisil_rating = EXCLUDED.crisil_rating,
-      total_score = EXCLUDED.total_score,
+      ${FUND_COLUMNS.filter(column => column !== 'kuvera_code').map(column => `${column} = EXCLUDED.${column}`).join(',\n      ')},
       score_updated = EXCLUDED.score_updated,
+      is_active = TRUE,
+      below_cutoff = FALSE,
+      removed_at = NULL,
       last_updated = CURRENT_TIMESTAMP
-  `, [
-    fund.code,
-    fund.name,
-    fund.ISIN,
-    fund.fund_house,
-    fund.fund_name,
-    fund.fund_category,
-    fundType,
-    fund.lump_available,
-    fund.lump_min ? parseFloat(fund.lump_min) : null,
-    fund.sip_available,
-    fund.sip_min ? parseFloat(fund.sip_min) : null,
-    fund.lock_in_period ? parseInt(fund.lock_in_period) : null,
-    fund.investment_objective,
-    currentNav,
-    currentNavDate,
-    t1Nav,
-    t1NavDate,
-    returns1d,
-    returns1w,
-    returns1y,
-    returns3y,
-    returns5y,
-    returnsInception,
-    returnsDate,
-    startDate,
-    expenseRatio,
-    expenseRatioDate,
-    fundManagers,
-    fund.investment_objective,
-    volatility,
-    portfolioTurnover,
-    aumInCrores,
-    fundRating,
-    fundRatingDate,
-    fund.crisil_rating,
-    scoreResult.total_score
-  ]);
-}
-
-async function getCategoryAveragesForScoring(client) {
+    RETURNING kuvera_code, (xmax = 0) AS inserted
+  `, [JSON.stringify(rows)]);
+  
+  return results;
+}
+
+/**
+ * Category averages keyed by category name: the staged category_averages, or
+ * each category's newest report in category_average_history
+ * @param {PoolClient} client - pg client
+ * @param {boolean} latestReports - Read category_averages_latest instead of the staged averages
+ * @returns {Promise<Object|null>} - null falls back to absolute returns scoring
+ */
+async function getCategoryAveragesForScoring(client, latestReports = false) {
   try {
-    const result = await client.query(`
-      SELECT category_name, returns_1w, returns_1y, returns_3y, returns_5y, returns_inception
-      FROM category_averages
-    `);
+    // A sync scores against the staged averages, the ones published with these scores;
+    // they reach the history only after publish
+    const rows = latestReports
+      ? await getCategoryAveragesAsOf(client, null)
+      : (await client.query(`
+          SELECT category_name, report_date, ${AVERAGE_COLUMNS.join(', ')}
+          FROM category_averages
+        `)).rows;
     
     const categoryAverages = {};
-    result.rows.forEach(row => {
+    rows.forEach(row => {
       categoryAverages[row.category_name] = {
         returns_1w: row.returns_1w,
         returns_1y: row.returns_1y,
@@ -722,77 +1844,83 @@ async function getCategoryAveragesForScoring(client) {
   }
 }
 
-async function calculateAndNormalizeScores() {
-  console.log('📈 Calculating and normalizing fund scores...');
+/**
+ * Recalculate raw scores and normalize them within each category; scores are
+ * computed in memory and written with one set-based UPDATE
+ * @param {Array<string>|null} categories - Categories to rescore, or null for all
+ * @param {Object} options - { latestReports: score against category_averages_latest (rescore) }
+ * @returns {Promise<Object>} - { scored, timings }
+ */
+async function calculateAndNormalizeScores(categories = null, options = {}) {
+  console.log(categories
+    ? `📈 Calculating and normalizing fund scores for ${categories.length} categories...`
+    : '📈 Calculating and normalizing fund scores...');
   
-  const client = await pool.connect();
+  const client = await connectStaging(pool);
   await client.query("SET TIME ZONE 'Asia/Kolkata'");
   
+  const timings = { loadMs: 0, computeMs: 0, writeMs: 0, statements: 0 };
+  
   try {
     await client.query('BEGIN');
     
+    let started = Date.now();
+    
     // Get category averages for scoring
-    const categoryAverages = await getCategoryAveragesForScoring(client);
+    const categoryAverages = await getCategoryAveragesForScoring(client, options.latestReports);
     
-    // Fetch all funds with their data for scoring
+    // Fetch all funds with their data for scoring, including funds cut earlier so a
+    // rescore normalizes the same set; quarantined funds keep their last published
+    // score and stay out of their peers' normalization
     const result = await client.query(`
       SELECT id, kuvera_code, scheme_name, fund_category, fund_type, 
              returns_1y, returns_3y, returns_5y, returns_1w, returns_inception,
              fund_rating, volatility, aum, start_date, total_score
       FROM funds
+      WHERE (is_active OR below_cutoff) AND ($1::text[] IS NULL OR fund_category = ANY($1::text[]))
+        AND NOT EXISTS (SELECT 1 FROM public.fund_quarantine q WHERE q.kuvera_code = funds.kuvera_code)
       ORDER BY fund_type, fund_category, total_score DESC
-    `);
+    `, [categories]);
+    timings.loadMs = Date.now() - started;
     
     const fundsData = result.rows;
     console.log(`📊 Recalculating scores for ${fundsData.length} funds with category averages...`);
     
+    started = Date.now();
+    
     // Recalculate scores for all funds with category averages
     for (const fund of fundsData) {
-      const fundDataForScoring = {
-        returns_1y: fund.returns_1y,
-        returns_3y: fund.returns_3y,
-        returns_5y: fund.returns_5y,
-        returns_1w: fund.returns_1w,
-        returns_inception: fund.returns_inception,
-        fund_rating: fund.fund_rating,
-        volatility: fund.volatility,
-        aum: fund.aum,
-        start_date: fund.start_date,
-        fund_category: fund.fund_category,
-        fund_type: fund.fund_type
-      };
-      
-      const scoreResult = scoringUtils.calculateFundScore(fundDataForScoring, categoryAverages);
+      const scoreResult = scoringUtils.calculateFundScore(storedScoringInput(fund), categoryAverages);
       
-      // Update fund score in database
-      await client.query(`
-        UPDATE funds 
-        SET total_score = $1, score_updated = CURRENT_TIMESTAMP
-        WHERE id = $2
-      `, [scoreResult.total_score, fund.id]);
-      
-      // Update the fund object for normalization
+      // Update the fund object for normalization, keeping the raw score for score history
       fund.total_score = scoreResult.total_score;
+      fund.raw_score = scoreResult.total_score;
     }
     
     // Normalize scores using scoring utils
     const normalizedFunds = scoringUtils.normalizeFundScores(fundsData);
+    timings.computeMs = Date.now() - started;
     
     // Update database with normalized scores
-    for (const fund of normalizedFunds) {
+    started = Date.now();
+    if (normalizedFunds.length > 0) {
       await client.query(`
-        UPDATE funds 
-        SET total_score = $1, score_updated = CURRENT_TIMESTAMP
-        WHERE id = $2
-      `, [fund.total_score, fund.id]);
+        UPDATE funds f
+        SET total_score = s.total_score, raw_score = s.raw_score, score_updated = CURRENT_TIMESTAMP
+        FROM jsonb_to_recordset($1::jsonb) AS s(id INTEGER, total_score DECIMAL(5,2), raw_score DECIMAL(10,2))
+        WHERE f.id = s.id
+      `, [JSON.stringify(normalizedFunds.map(fund => ({ id: fund.id, total_score: fund.total_score, raw_score: fund.raw_score })))]);
+      timings.statements++;
     }
     
     await client.query('COMMIT');
+    timings.writeMs = Date.now() - started;
     
     // Generate category statistics
     const categoryStats = scoringUtils.getCategoryStatistics(normalizedFunds);
     
     console.log('✅ Score normalization completed');
+    reportWriteTimings('Scoring', normalizedFunds.length, timings);
     console.log('\n📊 Category-wise score statistics:');
     Object.entries(categoryStats).forEach(([category, stats]) => {
       console.log(`  ${category}:`);
@@ -801,19 +1929,32 @@ async function calculateAndNormalizeScores() {
       console.log(`    Range: ${stats.minScore} - ${stats.maxScore}`);
     });
     
+    return { scored: normalizedFunds.length, timings };
+    
   } catch (error) {
     await client.query('ROLLBACK');
     console.error('❌ Score calculation failed:', error.message);
     throw error;
   } finally {
-    client.release();
+    await releaseStaging(client);
   }
 }
 
 // Run the seeder
 if (require.main === module) {
-  seedDatabase()
-    .then(() => {
+  seedDatabase({
+    dryRun: process.argv.includes('--dry-run') || undefined,
+    fresh: process.argv.includes('--fresh') || undefined
+  })
+    .then((result) => {
+      if (result.status === 'dry_run') {
+        console.log('\n✅ Dry run completed; the database was not modified');
+        process.exit(0);
+      }
+      if (result.status === 'no_new_data') {
+        console.log('\n⏸️ Seeding skipped: no new data');
+        process.exit(0);
+      }
       console.log('\n✅ Seeding process completed successfully');
       process.exit(0);
     })
@@ -823,4 +1964,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { seedDatabase };
\ No newline at end of file
+module.exports = { seedDatabase, rescoreDatabase, retryFailedFunds };
\ No newline at end of file
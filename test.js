@@ -2,8 +2,15 @@ const { Pool } = require('pg');
 require('dotenv').config();
 
 // Import service modules
-const kuveraListService = require('./kuvera-list-service');
+const { getDataSource } = require('./data-sources');
+const { assertSchemaCurrent } = require('./schema-migrations');
 
+const dataSource = getDataSource();
+
+/**
+ * Run the system checks in order, stopping at the first failure
+ * @returns {Promise<Object>} - { ok, checks: [{ name, ok, error? }] }
+ */
 async function testConnection() {
   console.log('🔧 MF Compass System Test & Validation\n');
   
@@ -11,27 +18,31 @@ async function testConnection() {
     connectionString: process.env.DATABASE_URL,
     ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
   });
+  
+  const tests = [
+    ['database', () => testDatabaseConnection(pool)],
+    ['schema', () => testSchemaVersion(pool)],
+    ['dataSource', testDataSource],
+    ['fundDiscovery', testFundDiscovery],
+    ['dataQuality', testDataQuality]
+  ];
+  const checks = [];
 
   try {
-    // Test 1: Database Connection
-    await testDatabaseConnection(pool);
-    
-    // Test 2: Kuvera API
-    await testKuveraAPI();
-    
-    // Test 3: Fund Discovery
-    await testFundDiscovery();
-    
-    // Test 4: Data Quality
-    await testDataQuality();
+    for (const [name, test] of tests) {
+      await test();
+      checks.push({ name, ok: true });
+    }
     console.log('✅ All tests passed. System ready.');
     
   } catch (error) {
+    checks.push({ name: tests[checks.length][0], ok: false, error: error.message });
     console.error('❌ System test failed:', error.message);
-    process.exit(1);
   } finally {
     await pool.end();
   }
+  
+  return { ok: checks.every(check => check.ok), checks };
 }
 
 async function testDatabaseConnection(pool) {
@@ -46,21 +57,31 @@ async function testDatabaseConnection(pool) {
   }
 }
 
-async function testKuveraAPI() {
+async function testSchemaVersion(pool) {
   try {
-    const testResult = await kuveraListService.testConnection();
+    const status = await assertSchemaCurrent(pool);
+    console.log(`✅ Database schema at version ${status.current}`);
+  } catch (error) {
+    console.error('❌ Database schema check failed:', error.message);
+    throw error;
+  }
+}
+
+async function testDataSource() {
+  try {
+    const testResult = await dataSource.testConnection();
     if (testResult) {
-      console.log('✅ Kuvera API OK');
+      console.log(`✅ ${dataSource.name} data source OK`);
     }
   } catch (error) {
-    console.error('❌ Kuvera API test failed:', error.message);
+    console.error(`❌ ${dataSource.name} data source test failed:`, error.message);
     throw error;
   }
 }
 
 async function testFundDiscovery() {
   try {
-    const sampleCodes = await kuveraListService.getFilteredFundCodes();
+    const sampleCodes = await dataSource.getFilteredFundCodes();
     if (sampleCodes.length === 0) throw new Error('No funds discovered');
     console.log(`✅ Fund discovery OK (${sampleCodes.length} funds)`);
   } catch (error) {
@@ -71,11 +92,11 @@ async function testFundDiscovery() {
 
 async function testDataQuality() {
   try {
-    const sampleCodes = await kuveraListService.getFilteredFundCodes();
+    const sampleCodes = await dataSource.getFilteredFundCodes();
     if (sampleCodes.length === 0) throw new Error('No sample funds available');
     const sampleFund = sampleCodes[0];
-    const fundDetails = await kuveraListService.getFundDetails(sampleFund.code);
-    const validation = kuveraListService.validateFundData(fundDetails);
+    const fundDetails = await dataSource.getFundDetails(sampleFund.code);
+    const validation = dataSource.validateFundData(fundDetails);
     if (!validation.isValid) throw new Error(`Data validation failed: ${validation.message}`);
     console.log('✅ Sample fund data quality OK');
   } catch (error) {
@@ -86,7 +107,9 @@ async function testDataQuality() {
 
 // Run tests if this file is executed directly
 if (require.main === module) {
-  testConnection();
+  testConnection().then(result => {
+    process.exit(result.ok ? 0 : 1);
+  });
 }
 
 module.exports = { testConnection };
\ No newline at end of file
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { detectAnomalies } = require('../anomalies');
+
+const capabilities = { returns: true, aum: true };
+
+function fund(code, nav, navDate, returns = { week_1: 0.5, year_1: 12, year_3: 14, year_5: 15 }) {
+  return {
+    code,
+    name: `${code} Fund`,
+    fund_category: 'Mid Cap Fund',
+    nav: { nav, date: navDate },
+    last_nav: null,
+    returns,
+    aum: 10000
+  };
+}
+
+// Answers the history and quarantine lookups of detectAnomalies; there are no stored peers
+function fakePool({ history = [], quarantine = [] } = {}) {
+  return {
+    async query(sql) {
+      if (sql.includes('nav_history')) {
+        return { rows: history };
+      }
+      if (sql.includes('fund_quarantine')) {
+        return { rows: quarantine };
+      }
+      return { rows: [] };
+    }
+  };
+}
+
+function checksFailed(result) {
+  return result.quarantined.map(({ fund, reasons }) => [fund.code, reasons.map(reason => reason.check)]);
+}
+
+test('a fund that reports no returns yet is not quarantined', async () => {
+  const result = await detectAnomalies(fakePool(), [fund('NEW1-GR', 10, '2025-07-02', {})], { capabilities });
+
+  assert.deepStrictEqual(checksFailed(result), []);
+});
+
+test('a NAV jump is quarantined with the NAV and its date', async () => {
+  const pool = fakePool({ history: [{ kuvera_code: 'JMP1-GR', previous_nav: 100, previous_nav_date: '2025-07-01' }] });
+  const result = await detectAnomalies(pool, [fund('JMP1-GR', 150, '2025-07-02')], { capabilities });
+
+  assert.deepStrictEqual(checksFailed(result), [['JMP1-GR', ['nav_jump']]]);
+  const [reason] = result.quarantined[0].reasons;
+  assert.strictEqual(reason.value, 150);
+  assert.strictEqual(reason.date, '2025-07-02');
+});
+
+test('a jump that holds on a later NAV date becomes the baseline', async () => {
+  const pool = fakePool({
+    history: [{ kuvera_code: 'JMP1-GR', previous_nav: 100, previous_nav_date: '2025-07-01' }],
+    quarantine: [{ kuvera_code: 'JMP1-GR', reasons: [{ check: 'nav_jump', value: 150, date: '2025-07-02' }] }]
+  });
+  const result = await detectAnomalies(pool, [fund('JMP1-GR', 151, '2025-07-03')], { capabilities });
+
+  assert.deepStrictEqual(checksFailed(result), []);
+});
+
+test('a jump refetched for the same NAV date stays quarantined', async () => {
+  const pool = fakePool({
+    history: [{ kuvera_code: 'JMP1-GR', previous_nav: 100, previous_nav_date: '2025-07-01' }],
+    quarantine: [{ kuvera_code: 'JMP1-GR', reasons: [{ check: 'nav_jump', value: 150, date: '2025-07-02' }] }]
+  });
+  const result = await detectAnomalies(pool, [fund('JMP1-GR', 150, '2025-07-02')], { capabilities });
+
+  assert.deepStrictEqual(checksFailed(result), [['JMP1-GR', ['nav_jump']]]);
+});
+
+test('a NAV that reverts after a jump is compared with the stored history again', async () => {
+  const pool = fakePool({
+    history: [{ kuvera_code: 'JMP1-GR', previous_nav: 100, previous_nav_date: '2025-07-01' }],
+    quarantine: [{ kuvera_code: 'JMP1-GR', reasons: [{ check: 'nav_jump', value: 150, date: '2025-07-02' }] }]
+  });
+  const result = await detectAnomalies(pool, [fund('JMP1-GR', 101, '2025-07-03')], { capabilities });
+
+  assert.deepStrictEqual(checksFailed(result), []);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { CircuitBreaker, withRetry } = require('../retry-utils');
+
+const policy = { maxRetries: 0, baseDelayMs: 1, maxDelayMs: 1, maxRetryAfterMs: 1 };
+
+function upstreamError() {
+  return Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+}
+
+// An operation that records when each call starts and ends, and fails its first `failures` calls
+function trackedOperation(state, durationMs = 30) {
+  return async () => {
+    const call = { startedAt: Date.now(), concurrent: state.active };
+    state.calls.push(call);
+    state.active++;
+    await new Promise(resolve => setTimeout(resolve, durationMs));
+    state.active--;
+    call.endedAt = Date.now();
+    if (state.failures > 0) {
+      state.failures--;
+      throw upstreamError();
+    }
+    return 'ok';
+  };
+}
+
+function openBreaker(cooldownMs, breaker = new CircuitBreaker({ cooldownMs })) {
+  const warn = console.warn;
+  console.warn = () => {};
+  breaker.open();
+  console.warn = warn;
+  return breaker;
+}
+
+test('requests made while the circuit is open wait for the cooldown instead of failing', async () => {
+  const breaker = openBreaker(50);
+  const state = { active: 0, calls: [], failures: 0 };
+  const openedAt = breaker.openedAt;
+
+  const results = await Promise.all([1, 2, 3].map(() => withRetry(trackedOperation(state), policy, { breaker })));
+
+  assert.deepStrictEqual(results, ['ok', 'ok', 'ok']);
+  state.calls.forEach(call => assert.ok(call.startedAt >= openedAt + 50));
+  assert.strictEqual(breaker.state, 'closed');
+});
+
+test('half-open lets a single trial request through while concurrent calls wait for it', async () => {
+  const breaker = openBreaker(20);
+  const state = { active: 0, calls: [], failures: 0 };
+
+  await Promise.all([1, 2, 3, 4, 5].map(() => withRetry(trackedOperation(state), policy, { breaker })));
+
+  const [trial, ...rest] = state.calls;
+  assert.strictEqual(state.calls.length, 5);
+  assert.strictEqual(trial.concurrent, 0);
+  rest.forEach(call => assert.ok(call.startedAt >= trial.endedAt, 'a request started while the trial was in flight'));
+  // Once the trial succeeded the circuit closed and the rest ran together
+  assert.ok(rest.some(call => call.concurrent > 0));
+});
+
+test('a failed trial reopens the circuit and the waiting calls wait out another cooldown', async () => {
+  const breaker = openBreaker(40);
+  const state = { active: 0, calls: [], failures: 1 };
+  const warn = console.warn;
+  console.warn = () => {};
+
+  // Whichever call wakes first runs the trial; it fails and the circuit reopens
+  const results = await Promise.all([1, 2, 3].map(() => withRetry(trackedOperation(state), policy, { breaker }).catch(error => error)));
+  console.warn = warn;
+
+  assert.strictEqual(results.filter(result => result instanceof Error).length, 1);
+  assert.strictEqual(results.filter(result => result === 'ok').length, 2);
+  assert.strictEqual(breaker.timesOpened, 2);
+  const [trial, secondTrial, last] = state.calls;
+  // The second trial waited out the new cooldown and ran alone too
+  assert.ok(secondTrial.startedAt >= trial.endedAt + 40);
+  assert.strictEqual(secondTrial.concurrent, 0);
+  assert.ok(last.startedAt >= secondTrial.endedAt);
+});
+
+test('a request that started before the circuit opened does not close it while the trial is in flight', async () => {
+  const breaker = new CircuitBreaker({ cooldownMs: 20 });
+  const state = { active: 0, calls: [], failures: 0 };
+
+  const earlier = withRetry(trackedOperation(state, 60), policy, { breaker });
+  openBreaker(20, breaker);
+  const trial = withRetry(trackedOperation(state, 80), policy, { breaker });
+
+  // The earlier request succeeds while the trial is still running
+  await earlier;
+  assert.strictEqual(breaker.state, 'half-open');
+  const later = withRetry(trackedOperation(state), policy, { breaker });
+  await Promise.all([trial, later]);
+
+  const [, trialCall, laterCall] = state.calls;
+  assert.ok(laterCall.startedAt >= trialCall.endedAt, 'a request started before the trial settled');
+  assert.strictEqual(breaker.state, 'closed');
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { findRegressions } = require('../run-audit');
+
+function run(id, scope, counts, mode = 'initial') {
+  return { id, status: 'completed', mode, scope, funds_discovered: counts[0], funds_passed: counts[1], funds_published: counts[2] };
+}
+
+test('a scoped run followed by a full run is not flagged', () => {
+  // Newest first, as getRecentRuns returns them
+  const runs = [
+    run(2, 'all', [70, 23, 10]),
+    run(1, 'category:Mid Cap Fund', [18, 6, 10])
+  ];
+
+  assert.strictEqual(findRegressions(runs, 0.1).size, 0);
+});
+
+test('a scoped run is not compared with the full run before it', () => {
+  const runs = [
+    run(3, 'all', [70, 23, 10]),
+    run(2, 'category:Mid Cap Fund', [18, 6, 10]),
+    run(1, 'all', [70, 23, 10])
+  ];
+
+  assert.strictEqual(findRegressions(runs, 0.1).size, 0);
+});
+
+test('runs are compared with the previous run of the same scope', () => {
+  const runs = [
+    run(4, 'category:Mid Cap Fund', [9, 3, 10]),
+    run(3, 'all', [70, 23, 10]),
+    run(2, 'retry', [2, 1, 10]),
+    run(1, 'category:Mid Cap Fund', [18, 6, 10])
+  ];
+
+  const regressions = findRegressions(runs, 0.1);
+  assert.deepStrictEqual([...regressions.keys()], [4]);
+  assert.deepStrictEqual(regressions.get(4), [
+    'funds_discovered fell from 18 to 9 (run #1)',
+    'funds_passed fell from 6 to 3 (run #1)'
+  ]);
+});
+
+test('incremental runs are not flagged for passing fewer refetched funds', () => {
+  const runs = [
+    run(2, 'all', [70, 4, 10], 'incremental'),
+    run(1, 'all', [70, 23, 10], 'incremental')
+  ];
+
+  assert.strictEqual(findRegressions(runs, 0.1).size, 0);
+});
+
+test('incremental runs are still flagged when published funds fall', () => {
+  const runs = [
+    run(2, 'all', [70, 4, 5], 'incremental'),
+    run(1, 'all', [70, 23, 10], 'incremental')
+  ];
+
+  assert.deepStrictEqual(findRegressions(runs, 0.1).get(2), ['funds_published fell from 10 to 5 (run #1)']);
+});
+
+test('runs are only compared with the previous run of the same mode', () => {
+  // A rescore records no discovery counts, and an initial run passes every fund
+  const runs = [
+    run(4, 'all', [70, 4, 10], 'incremental'),
+    run(3, 'all', [null, null, 10], 'rescore'),
+    run(2, 'all', [70, 23, 10], 'initial'),
+    run(1, 'all', [null, null, 12], 'rescore')
+  ];
+
+  const regressions = findRegressions(runs, 0.1);
+  assert.deepStrictEqual([...regressions.keys()], [3]);
+  assert.deepStrictEqual(regressions.get(3), ['funds_published fell from 12 to 10 (run #1)']);
+});
+
+test('a sync after a rescore is compared with the sync before it', () => {
+  const runs = [
+    run(3, 'all', [35, 4, 10], 'incremental'),
+    run(2, 'all', [null, null, 10], 'rescore'),
+    run(1, 'all', [70, 20, 10], 'incremental')
+  ];
+
+  assert.deepStrictEqual(findRegressions(runs, 0.1).get(3), ['funds_discovered fell from 70 to 35 (run #1)']);
+});
@@ -0,0 +1,170 @@
+/**
+ * Runs the CLI end to end against TEST_DATABASE_URL with replayed Kuvera
+ * fixtures. The database is flushed before each test that uses it, so never
+ * point TEST_DATABASE_URL at a database you want to keep.
+ */
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Pool } = require('pg');
+
+const ROOT = path.join(__dirname, '..', '..');
+const DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+// Passed as the skip option of database-backed tests
+const skip = DATABASE_URL ? false : 'TEST_DATABASE_URL is not set';
+
+const CATEGORIES = ['Large Cap Fund', 'Mid Cap Fund'];
+const HOUSES = ['HDFC', 'AXIS', 'SBI'];
+const FUNDS_PER_HOUSE = 3;
+const BASE_DATE = Date.UTC(2025, 6, 1);
+
+function dateKey(day) {
+  return new Date(BASE_DATE + day * 86400000).toISOString().slice(0, 10);
+}
+
+// Park-Miller generator, so every fixture set has the same returns
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+}
+
+/**
+ * Every fund in the generated universe: per category and house, three direct
+ * growth plans with a regular sibling each. The third direct plan of each house
+ * has a 2-star rating and fails the rating filter; regular plans fail direct_plan.
+ * @returns {Array} - [{ code, regularCode, name, category, house, index, rejected }]
+ */
+function fixtureFunds() {
+  const funds = [];
+  let index = 0;
+  CATEGORIES.forEach(category => {
+    HOUSES.forEach(house => {
+      for (let position = 0; position < FUNDS_PER_HOUSE; position++) {
+        index++;
+        funds.push({
+          code: `${house}${index}-GR`,
+          regularCode: `${house}${index}R-GR`,
+          name: `${house} ${category.replace(' Fund', '')} Fund ${position}`,
+          category,
+          house,
+          index,
+          rejected: position === 2
+        });
+      }
+    });
+  });
+  return funds;
+}
+
+/**
+ * Write list.json, fund_categories.json and fund details for one market day.
+ * Each day moves every NAV by 0.5 and each category's 1-year average by 1;
+ * fund returns do not change.
+ * @param {string} dir - Fixture directory
+ * @param {Object} options - { day: days after the base date, unchanged: codes that keep their day-0 NAV }
+ */
+function writeKuveraFixtures(dir, options = {}) {
+  const day = options.day || 0;
+  const unchanged = new Set(options.unchanged || []);
+  const random = seededRandom(42);
+  const write = (name, data) => {
+    const file = path.join(dir, ...name.split('/').map(part => encodeURIComponent(part)));
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ url: name, status: 200, data }));
+  };
+
+  const list = { Equity: {} };
+  fixtureFunds().forEach(fund => {
+    const returns = { week_1: 0.5 + random(), year_1: 10 + random() * 10, year_3: 12 + random() * 8, year_5: 14 + random() * 6, inception: 15 };
+    const byHouse = list.Equity[fund.category] = list.Equity[fund.category] || {};
+    const listed = byHouse[fund.house] = byHouse[fund.house] || [];
+
+    [[fund.code, 'Y', 1], [fund.regularCode, 'N', 0.97]].forEach(([code, direct, navRatio]) => {
+      const navDay = unchanged.has(code) ? 0 : day;
+      const nav = Math.round((50 + fund.index + navDay * 0.5) * navRatio * 10000) / 10000;
+      const name = `${fund.name} ${direct === 'Y' ? 'Direct' : 'Regular'} Growth`;
+      listed.push({ c: code, n: name, re: 'Z', v: nav });
+      write(`fund_schemes/${code}.json`, [{
+        code, name, ISIN: `INF${code}`, fund_house: fund.house, fund_name: `${fund.house} Mutual Fund`,
+        fund_category: fund.category, fund_type: 'Equity',
+        lump_available: 'Y', sip_available: 'Y', lump_min: 1000, sip_min: 500, lock_in_period: null,
+        direct, plan: 'GROWTH', maturity_type: 'Open Ended',
+        fund_rating: fund.rejected ? 2 : 4, fund_rating_date: dateKey(-30), aum: 1000 + fund.index * 100,
+        crisil_rating: 'Very High Risk', expense_ratio: direct === 'Y' ? '0.6' : '1.6', expense_ratio_date: dateKey(-30),
+        fund_manager: 'Alice Smith; Bob Jones', investment_objective: 'Growth', volatility: 12 + fund.index % 3,
+        portfolio_turnover: 30, start_date: '2013-01-01',
+        nav: { nav, date: dateKey(navDay) },
+        last_nav: { nav: Math.round((nav - 0.5) * 10000) / 10000, date: dateKey(navDay - 1) },
+        returns: { ...returns, date: dateKey(navDay) }
+      }]);
+    });
+  });
+
+  write('list.json', list);
+  write('fund_categories.json', CATEGORIES.map(category => ({
+    category_name: category, report_date: dateKey(day), week_1: 0.6, year_1: 14 + day, year_3: 15, year_5: 16, inception: 14
+  })));
+}
+
+const tempDirs = [];
+process.on('exit', () => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+/** Create a temporary directory that is removed when the test process exits */
+function makeTempDir(prefix) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `mf-compass-${prefix}-`));
+  tempDirs.push(dir);
+  return dir;
+}
+
+function makeFixtureDir(day, options = {}) {
+  const dir = makeTempDir('fixtures');
+  writeKuveraFixtures(dir, { ...options, day });
+  return dir;
+}
+
+/**
+ * Run `node cli.js <args>` against the test database, replaying fixtures from fixtureDir
+ * @returns {string} - Combined output; throws with the output if the command fails
+ */
+function cli(args, fixtureDir = null, env = {}) {
+  const result = spawnSync(process.execPath, ['cli.js', ...args], {
+    cwd: ROOT,
+    encoding: 'utf8',
+    timeout: 120000,
+    env: {
+      ...process.env,
+      DATABASE_URL,
+      DATA_SOURCE: 'kuvera',
+      KUVERA_FIXTURE_MODE: fixtureDir ? 'replay' : 'off',
+      KUVERA_FIXTURE_DIR: fixtureDir || '',
+      ...env
+    }
+  });
+  const output = `${result.stdout}${result.stderr}`;
+  if (result.status !== 0) {
+    throw new Error(`node cli.js ${args.join(' ')} exited with ${result.status}:\n${output.slice(-4000)}`);
+  }
+  return output;
+}
+
+async function query(sql, params = []) {
+  const pool = new Pool({ connectionString: DATABASE_URL });
+  try {
+    return (await pool.query(sql, params)).rows;
+  } finally {
+    await pool.end();
+  }
+}
+
+function resetDatabase() {
+  cli(['flush']);
+  cli(['migrate']);
+}
+
+module.exports = { skip, fixtureFunds, makeTempDir, makeFixtureDir, cli, query, resetDatabase };
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { skip, fixtureFunds, makeTempDir, makeFixtureDir, cli, query, resetDatabase } = require('./support/sync-harness');
+
+async function publishedCodes() {
+  const rows = await query('SELECT kuvera_code FROM funds WHERE is_active ORDER BY kuvera_code');
+  return rows.map(row => row.kuvera_code);
+}
+
+test('rescoring twice publishes the same funds', { skip }, async () => {
+  resetDatabase();
+  cli(['sync'], makeFixtureDir(0));
+  const synced = await publishedCodes();
+  const cut = await query('SELECT kuvera_code FROM funds WHERE below_cutoff');
+  assert.ok(cut.length > 0, 'the fixtures should cut some funds');
+
+  cli(['rescore']);
+  assert.deepStrictEqual(await publishedCodes(), synced);
+  cli(['rescore']);
+  assert.deepStrictEqual(await publishedCodes(), synced);
+
+  const runs = await query('SELECT mode, funds_published FROM sync_runs ORDER BY id');
+  assert.deepStrictEqual(runs.map(run => run.mode), ['initial', 'rescore', 'rescore']);
+  assert.deepStrictEqual(runs.map(run => run.funds_published), [synced.length, synced.length, synced.length]);
+});
+
+test('rescore --as-of reports without writing', { skip }, async () => {
+  resetDatabase();
+  cli(['sync'], makeFixtureDir(0));
+  cli(['sync'], makeFixtureDir(1));
+  const snapshot = () => query(`
+    SELECT (SELECT json_agg(f ORDER BY kuvera_code) FROM (
+             SELECT kuvera_code, is_active, below_cutoff, total_score, raw_score, score_updated FROM funds) f) AS funds,
+           (SELECT COUNT(*) FROM score_history) AS score_history,
+           (SELECT COUNT(*) FROM fund_rejections) AS rejections,
+           (SELECT COUNT(*) FROM sync_runs) AS runs
+  `);
+  const before = await snapshot();
+
+  const reportPath = path.join(makeTempDir('report'), 'as-of.json');
+  cli(['rescore', '--as-of', '2025-07-01'], null, { RESCORE_AS_OF_REPORT: reportPath });
+
+  assert.deepStrictEqual(await snapshot(), before);
+  const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+  assert.strictEqual(report.asOf, '2025-07-01');
+  assert.deepStrictEqual(Object.values(report.categoryReports), ['2025-07-01', '2025-07-01']);
+  assert.throws(() => cli(['rescore', '--as-of', '2025-06-01']), /No category averages recorded on or before 2025-06-01/);
+});
+
+test('an incremental sync skips cut and filtered-out funds whose NAV has not moved', { skip }, async () => {
+  resetDatabase();
+  cli(['sync'], makeFixtureDir(0));
+  const published = await publishedCodes();
+  const cut = (await query('SELECT kuvera_code FROM funds WHERE below_cutoff ORDER BY kuvera_code')).map(row => row.kuvera_code);
+  const rejected = fixtureFunds().filter(fund => fund.rejected).map(fund => fund.code);
+  // Every fetched fund's NAVs are kept, published or not
+  const [navs] = await query('SELECT COUNT(DISTINCT kuvera_code)::int AS funds, COUNT(*)::int AS rows FROM nav_history');
+  assert.deepStrictEqual(navs, { funds: fixtureFunds().length * 2, rows: fixtureFunds().length * 4 });
+  // One published fund's regular plan keeps its NAV too; it must still be fetched with its direct plan
+  const unchanged = [...cut, ...rejected].flatMap(code => [code, code.replace('-GR', 'R-GR')])
+    .concat(published[0].replace('-GR', 'R-GR'));
+
+  const output = cli(['sync'], makeFixtureDir(1, { unchanged }));
+
+  // The regular plans of the published funds were rejected on day 0
+  assert.match(output, /Filtered-out funds with a new NAV: 6\n/);
+  assert.match(output, /Filtered-out funds with an unchanged NAV: 17 \(1 more fetched with their direct plan\)/);
+  assert.match(output, /Funds not stored yet: 0\n/);
+  // Only the published direct plans moved; each is fetched with its regular plan
+  const [run] = await query('SELECT mode, funds_discovered, funds_fetched FROM sync_runs ORDER BY id DESC LIMIT 1');
+  assert.deepStrictEqual(run, { mode: 'incremental', funds_discovered: fixtureFunds().length * 2, funds_fetched: published.length * 2 });
+  assert.deepStrictEqual(await publishedCodes(), published);
+  const stillCut = await query('SELECT kuvera_code FROM funds WHERE below_cutoff ORDER BY kuvera_code');
+  assert.deepStrictEqual(stillCut.map(row => row.kuvera_code), cut);
+  const withoutRegular = await query('SELECT kuvera_code FROM funds WHERE is_active AND regular_nav IS NULL');
+  assert.deepStrictEqual(withoutRegular, []);
+});
+
+test('funds crossing the score cutoff record cut and reinstated events', { skip }, async () => {
+  resetDatabase();
+  cli(['sync'], makeFixtureDir(0));
+  const published = await publishedCodes();
+
+  // A stricter cutoff cuts published funds; restoring it publishes them again
+  const universe = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fund-universe.json'), 'utf8'));
+  universe.defaults.scoring.minScore = 80;
+  const strictFile = path.join(makeTempDir('universe'), 'fund-universe.json');
+  fs.writeFileSync(strictFile, JSON.stringify(universe));
+  cli(['rescore'], null, { FUND_UNIVERSE_FILE: strictFile });
+  const strict = await publishedCodes();
+  const cut = published.filter(code => !strict.includes(code));
+  assert.ok(cut.length > 0, 'the stricter cutoff should cut some funds');
+
+  cli(['rescore']);
+  assert.deepStrictEqual(await publishedCodes(), published);
+
+  const events = await query(`
+    SELECT kuvera_code, event_type, field, old_value, new_value FROM fund_events ORDER BY id
+  `);
+  const cutEvents = events.filter(event => event.event_type === 'cut');
+  const reinstatedEvents = events.filter(event => event.event_type === 'reinstated');
+  assert.deepStrictEqual(cutEvents.map(event => event.kuvera_code).sort(), cut);
+  assert.deepStrictEqual(reinstatedEvents.map(event => event.kuvera_code).sort(), cut);
+  cutEvents.forEach(event => {
+    assert.strictEqual(event.field, 'total_score');
+    assert.ok(event.new_value < 80);
+  });
+  assert.strictEqual(events.length, cut.length * 2);
+});